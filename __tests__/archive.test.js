@@ -0,0 +1,19 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { writeTarGz, readTarGz } = require("../src/archive");
+
+test("tar.gz archives round-trip files, including long and non-ASCII paths", () => {
+    const long = `src/content/pages/${"a".repeat(80)}+/${"b".repeat(60)}.json`;
+    const entries = [
+        { name: "manifest.json", content: "{}" },
+        { name: long, content: "é".repeat(700) },
+        { name: "src/public/css/empty.css", content: "" },
+    ];
+    const back = readTarGz(writeTarGz(entries));
+    assert.deepEqual(back.map((e) => [e.name, e.content.toString("utf-8")]), entries.map((e) => [e.name, e.content]));
+});
+
+test("paths that fit no ustar split are rejected", () => {
+    assert.throws(() => writeTarGz([{ name: "x".repeat(120), content: "" }]), /Path too long/);
+});
@@ -0,0 +1,139 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs-extra");
+const os = require("os");
+const path = require("path");
+
+const { CONFIG_FILE, profilesPath, loadConfig, resolveConfig } = require("../src/config");
+const { loadIgnore } = require("../src/ignore");
+const { bindToken } = require("../src/credentials");
+
+// A temp HOME with `profiles` in ~/.sleekcms/profiles.json, and a workspace
+// directory inside it.
+async function withProfiles(profiles, fn) {
+    const home = await fs.mkdtemp(path.join(os.tmpdir(), "config-test-"));
+    const savedHome = process.env.HOME;
+    process.env.HOME = home;
+    try {
+        if (profiles) await fs.outputJson(profilesPath(), { sites: profiles });
+        const dir = path.join(home, "sites", "marketing");
+        await fs.ensureDir(dir);
+        await fn(dir, home);
+    } finally {
+        process.env.HOME = savedHome;
+        await fs.remove(home);
+    }
+}
+
+test("flags override the workspace config, which overrides the profile", async () => {
+    await withProfiles({
+        marketing: { token: "prof-xxxx-dev", path: "~/sites/marketing", editor: "code", debounce: 3000, ignore: ["drafts/"] },
+    }, async (dir) => {
+        await fs.writeJson(path.join(dir, CONFIG_FILE), { editor: "none", debounce: { model: 15000 }, ignore: ["*.tmp"] });
+
+        const config = await loadConfig({ site: "marketing", overrides: { env: "localhost", debounce: { fast: 500 } } });
+        assert.equal(config.site, "marketing");
+        assert.equal(config.path, dir);
+        assert.equal(config.token, "prof-xxxx-dev");
+        assert.equal(config.env, "localhost");
+        assert.equal(config.editor, "none");
+        assert.deepEqual(config.debounce, { default: 3000, model: 15000, fast: 500 });
+        assert.deepEqual(config.ignore, ["drafts/", "*.tmp"]);
+    });
+});
+
+test("a workspace finds its profile by config or by path", async () => {
+    await withProfiles({
+        marketing: { token: "mkt-xxxx", path: "~/sites/marketing" },
+        docs: { token: "docs-xxxx" },
+    }, async (dir, home) => {
+        assert.equal((await loadConfig({ dir })).site, "marketing");
+        assert.equal((await loadConfig({ dir })).token, "mkt-xxxx");
+
+        await fs.writeJson(path.join(dir, CONFIG_FILE), { site: "docs" });
+        assert.equal((await loadConfig({ dir })).token, "docs-xxxx");
+
+        const other = await loadConfig({ dir: home });
+        assert.equal(other.site, null);
+        assert.equal(other.token, null);
+    });
+});
+
+test("unknown sites are rejected", async () => {
+    await withProfiles({ docs: {} }, async (dir) => {
+        await assert.rejects(loadConfig({ site: "shop" }), (err) => err.code === "ENOSITE" && /known: docs/.test(err.message));
+        await fs.writeJson(path.join(dir, CONFIG_FILE), { site: "shop" });
+        await assert.rejects(loadConfig({ dir }), /names unknown site "shop"/);
+    });
+});
+
+test("token references resolve from the environment, a file or the workspace store", async () => {
+    await withProfiles({
+        fromEnv: { token: "env:CONFIG_TEST_TOKEN" },
+        fromFile: { token: "file:~/token.txt" },
+        relative: { token: "file:marketing.token" },
+        cached: { path: "~/sites/marketing" },
+    }, async (dir, home) => {
+        process.env.CONFIG_TEST_TOKEN = "abc-xxxx-development\n";
+        try {
+            const config = await resolveConfig({ site: "fromEnv" });
+            assert.equal(config.token, "abc-xxxx-development");
+            assert.equal(config.env, "development");
+        } finally {
+            delete process.env.CONFIG_TEST_TOKEN;
+        }
+        await assert.rejects(resolveConfig({ site: "fromEnv" }), /CONFIG_TEST_TOKEN is not set/);
+
+        await fs.writeFile(path.join(home, "token.txt"), "def-xxxx\n");
+        const fromFile = await resolveConfig({ site: "fromFile" });
+        assert.equal(fromFile.token, "def-xxxx");
+        assert.equal(fromFile.env, "production");
+        await fs.outputFile(path.join(home, ".sleekcms", "marketing.token"), "jkl-xxxx\n");
+        assert.equal((await resolveConfig({ site: "relative" })).token, "jkl-xxxx");
+
+        assert.equal((await resolveConfig({ site: "cached" })).token, null);
+        await bindToken(dir, "ghi-xxxx", 1);
+        assert.equal((await resolveConfig({ site: "cached" })).token, "ghi-xxxx");
+    });
+});
+
+test("a workspace config may reference a token but not hold one", async () => {
+    await withProfiles(null, async (dir, home) => {
+        await fs.writeFile(path.join(home, "token.txt"), "def-xxxx\n");
+        await fs.writeJson(path.join(dir, CONFIG_FILE), { token: "file:~/token.txt" });
+        assert.equal((await resolveConfig({ dir })).token, "def-xxxx");
+
+        // A relative file is the workspace's, wherever the command runs.
+        await fs.writeFile(path.join(dir, ".token"), "rel-xxxx\n");
+        await fs.writeJson(path.join(dir, CONFIG_FILE), { token: "file:.token" });
+        assert.equal((await resolveConfig({ dir })).token, "rel-xxxx");
+        assert.equal((await resolveConfig({ dir: path.relative(process.cwd(), dir) })).token, "rel-xxxx");
+
+        await fs.writeJson(path.join(dir, CONFIG_FILE), { token: "abc-xxxx" });
+        await assert.rejects(resolveConfig({ dir }), (err) =>
+            err.code === "EINLINETOKEN" && /holds a plain token\. Remove it and run: sleekcms login/.test(err.message));
+    });
+});
+
+test("an ignore setting that is not a list of patterns is rejected", async () => {
+    await withProfiles({ marketing: { path: "~/sites/marketing", ignore: "drafts/" } }, async (dir) => {
+        await assert.rejects(loadConfig({ site: "marketing" }), (err) =>
+            err.code === "EBADCONFIG" && /"ignore" in .*profiles\.json must be a list of patterns/.test(err.message));
+
+        await fs.writeJson(path.join(dir, CONFIG_FILE), { ignore: ["*.tmp", 3] });
+        await assert.rejects(loadConfig({ dir }), /"ignore" in .*sleekcms\.config\.json must be a list/);
+    });
+});
+
+test("config ignore patterns add to .sleekignore", async () => {
+    await withProfiles({ marketing: { path: "~/sites/marketing", ignore: ["drafts/"] } }, async (dir) => {
+        await fs.writeFile(path.join(dir, ".sleekignore"), "*.tmp\n");
+        await fs.writeJson(path.join(dir, CONFIG_FILE), { ignore: ["notes.md"] });
+
+        const ignored = await loadIgnore(dir);
+        assert.equal(ignored("src/views/drafts/a.ejs"), true);
+        assert.equal(ignored("src/views/a.tmp"), true);
+        assert.equal(ignored("src/notes.md"), true);
+        assert.equal(ignored("src/views/a.ejs"), false);
+    });
+});
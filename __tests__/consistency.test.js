@@ -0,0 +1,83 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { checkConsistency } = require("../src/consistency");
+const { formatProblem } = require("../src/lint");
+
+function check(files) {
+    return checkConsistency(files).map(formatProblem);
+}
+
+test("a consistent workspace has no problems", () => {
+    assert.deepEqual(check({
+        "src/models/pages/about.model": "{ title: text, hero: block(hero), author: entry(authors+), logo: image }",
+        "src/views/pages/about.ejs": "<%- render(item.hero) %>",
+        "src/content/pages/about.json": JSON.stringify({ title: "About", author: "jane", logo: "cms:logo|Logo" }),
+        "src/models/blocks/hero.model": "{ heading: text }",
+        "src/views/blocks/hero.ejs": "<h2><%= item.heading %></h2>",
+        "src/models/entries/authors+.model": "{ name: text }",
+        "src/views/entries/authors+.ejs": "<%= item.name %>",
+        "src/content/entries/authors+.json": JSON.stringify([{ _slug: "jane", name: "Jane" }]),
+        "src/content/images.json": JSON.stringify({ logo: "url:https://x/logo.svg" }),
+        "src/views/layouts/main.ejs": "<%- main %>",
+    }), []);
+});
+
+test("templates and models must come in pairs", () => {
+    assert.deepEqual(check({
+        "src/models/pages/blog.model": "{ title: text }",
+        "src/views/pages/blog+.ejs": "",
+    }), [
+        "src/models/pages/blog.model warning: No template src/views/pages/blog.ejs for this model (found src/views/pages/blog+.ejs — check the + suffix)",
+        "src/views/pages/blog+.ejs warning: No model src/models/pages/blog+.model for this template (found src/models/pages/blog.model — check the + suffix)",
+    ]);
+});
+
+test("content needs a model", () => {
+    assert.deepEqual(check({
+        "src/content/pages/blog+/hello.json": "{}",
+        "src/content/entries/nav.json": "{}",
+    }), [
+        "src/content/entries/nav.json No model src/models/entries/nav.model for this content",
+        "src/content/pages/blog+/hello.json No model src/models/pages/blog+.model for this content",
+    ]);
+});
+
+test("block and entry references must resolve", () => {
+    assert.deepEqual(check({
+        "src/models/pages/home.model": "{\n    hero: block(hero),\n    cta: block(cta),\n    author: entry(authors),\n}",
+        "src/views/pages/home.ejs": "",
+        "src/models/blocks/hero.model": "{ heading: text }",
+        "src/models/entries/authors+.model": "{ name: text }",
+        "src/views/entries/authors+.ejs": "",
+    }), [
+        "src/models/blocks/hero.model warning: No template src/views/blocks/hero.ejs for this model",
+        "src/models/pages/home.model:2:11 warning: block(hero) has no template src/views/blocks/hero.ejs",
+        "src/models/pages/home.model:3:10 block(cta) refers to src/models/blocks/cta.model, which does not exist",
+        "src/models/pages/home.model:4:13 entry(authors) refers to src/models/entries/authors.model, which does not exist (found src/models/entries/authors+.model — check the + suffix)",
+    ]);
+});
+
+test("cms image handles and entry slugs must exist", () => {
+    assert.deepEqual(check({
+        "src/models/pages/home.model": "{ cover: image, body: markdown, authors: [entry(authors+)], hero: block(hero) }",
+        "src/views/pages/home.ejs": "",
+        "src/models/blocks/hero.model": "{ background: image }",
+        "src/views/blocks/hero.ejs": "",
+        "src/models/entries/authors+.model": "{ name: text }",
+        "src/views/entries/authors+.ejs": "",
+        "src/content/entries/authors+.json": JSON.stringify([{ _slug: "jane" }, { _slug: "sam" }]),
+        "src/content/images.json": JSON.stringify({ logo: "url:https://x/logo.svg" }),
+        "src/content/pages/home.json": JSON.stringify({
+            cover: "cms:hero|Hero art",
+            body: "Intro ![logo](cms:logo) and ![map](cms:map|Map)",
+            authors: ["jane", "bob"],
+            hero: { background: "cms:bg" },
+        }),
+    }), [
+        'src/content/pages/home.json $.cover: image "cms:hero" is not declared in src/content/images.json',
+        'src/content/pages/home.json $.body: image "cms:map" is not declared in src/content/images.json',
+        'src/content/pages/home.json warning: $.authors[1]: entry "bob" not found in src/content/entries/authors+.json',
+        'src/content/pages/home.json $.hero.background: image "cms:bg" is not declared in src/content/images.json',
+    ]);
+});
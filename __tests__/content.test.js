@@ -0,0 +1,113 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { contentInfo, isImageShortcut } = require("../src/content");
+const { lintFiles, formatProblem } = require("../src/lint");
+
+const MODELS = {
+    "src/models/pages/about.model": `{
+        title: text,
+        published: date,
+        cover: image,
+        hero: block(hero),
+        ctas: [block(cta)],
+        author: entry(authors+),
+        tags: [entry(tags+)],
+        features: [ { title: text, icon: image } ],
+        seo: { description: paragraph, score: number },
+    }`,
+    "src/models/pages/blog+.model": "{ title: text }",
+    "src/models/blocks/hero.model": "{ heading: text, background: image }",
+    "src/models/blocks/cta.model": "{ label: text, link: link }",
+    "src/models/entries/authors+.model": "{ name: text, joined: date }",
+    "src/models/entries/footer.model": "{ copyright: text }",
+};
+
+// Per-file content checks only; cross-file checks are covered in consistency.test.js.
+function lintContent(content) {
+    return lintFiles({ ...MODELS, ...content })
+        .filter((p) => p.path.startsWith("src/content/") && p.severity === "error")
+        .map(formatProblem);
+}
+
+test("contentInfo maps content files to their model key", () => {
+    assert.deepEqual(contentInfo("src/content/pages/about.json"), { kind: "pages", key: "about" });
+    assert.deepEqual(contentInfo("src/content/pages/blog+/hello.json"), { kind: "pages", key: "blog+", slug: "hello" });
+    assert.deepEqual(contentInfo("src/content/entries/authors+.json"), { kind: "entries", key: "authors+" });
+    assert.equal(contentInfo("src/content/images.json"), null);
+});
+
+test("isImageShortcut accepts known sources with optional alt text", () => {
+    assert.ok(isImageShortcut("pexels:doctor|Smiling doctor"));
+    assert.ok(isImageShortcut("url:https://picsum.photos/200.jpg"));
+    assert.ok(isImageShortcut("cms:logo"));
+    assert.ok(!isImageShortcut("flickr:doctor"));
+    assert.ok(!isImageShortcut("pexels:|alt only"));
+    assert.ok(!isImageShortcut("doctor.jpg"));
+});
+
+test("valid content passes, including blocks, entry refs and image shortcuts", () => {
+    assert.deepEqual(lintContent({
+        "src/content/pages/about.json": JSON.stringify({
+            title: "About",
+            published: "2024-02-29",
+            cover: "pexels:doctor|Smiling doctor",
+            hero: { heading: "Hi", background: { url: "https://x/y.png", alt: "" } },
+            ctas: [{ label: "Go", link: "/go" }],
+            author: "jane",
+            tags: ["a", "b"],
+            features: [{ title: "Fast", icon: "iconify:mdi:flash" }],
+            seo: { description: "d", score: 3 },
+            _meta: { updated_at: "2024-01-01T00:00:00Z" },
+        }),
+        "src/content/pages/blog+/hello.json": JSON.stringify({ title: "Hello" }),
+        "src/content/entries/authors+.json": JSON.stringify([{ name: "Jane", joined: "2020-01-01" }]),
+        "src/content/entries/footer.json": JSON.stringify({ copyright: "©" }),
+    }), []);
+});
+
+test("type mismatches are reported by JSON path", () => {
+    assert.deepEqual(lintContent({
+        "src/content/pages/about.json": JSON.stringify({
+            title: 5,
+            published: "2024/01/01",
+            cover: "flickr:doctor",
+            hero: { heading: "Hi", background: "nope", extra: 1 },
+            ctas: [{ label: "Go" }, "cta"],
+            tags: ["a", 2],
+            features: { title: "x" },
+            seo: { score: "high" },
+        }),
+    }), [
+        "src/content/pages/about.json $.title: expected a string, got 5",
+        'src/content/pages/about.json $.published: expected a "YYYY-MM-DD" date, got "2024/01/01"',
+        'src/content/pages/about.json $.cover: expected an image object or a "<source>:<search>" shortcut (sources: unsplash, pexels, pixabay, iconify, url, cms), got "flickr:doctor"',
+        'src/content/pages/about.json $.hero.background: expected an image object or a "<source>:<search>" shortcut (sources: unsplash, pexels, pixabay, iconify, url, cms), got "nope"',
+        'src/content/pages/about.json $.hero.extra: field "extra" is not in the model',
+        'src/content/pages/about.json $.ctas[1]: expected a block(cta) object, got "cta"',
+        "src/content/pages/about.json $.tags[1]: expected an entry(tags+) slug string, got 2",
+        'src/content/pages/about.json $.features: expected an array, got {"title":"x"}',
+        'src/content/pages/about.json $.seo.score: expected a number, got "high"',
+    ]);
+});
+
+test("top-level shape follows the single/collection rules", () => {
+    assert.deepEqual(lintContent({
+        "src/content/entries/authors+.json": JSON.stringify({ name: "Jane" }),
+        "src/content/entries/footer.json": JSON.stringify([{ copyright: "©" }]),
+        "src/content/pages/blog+.json": JSON.stringify({ title: "x" }),
+        "src/content/pages/about/x.json": JSON.stringify({ title: "x" }),
+    }), [
+        "src/content/entries/authors+.json $: collection entry content must be an array of objects, got {\"name\":\"Jane\"}",
+        "src/content/entries/footer.json $: content must be an object, got [{\"copyright\":\"©\"}]",
+        "src/content/pages/about/x.json Only collection pages (key ending in +) have per-slug files; use src/content/pages/about.json",
+        "src/content/pages/blog+.json Collection page content must be one file per slug: src/content/pages/blog+/<slug>.json",
+    ]);
+});
+
+test("invalid JSON is reported with a position", () => {
+    const [problem] = lintContent({ "src/content/entries/footer.json": '{\n  "copyright": ,\n}' });
+    assert.equal(problem, 'src/content/entries/footer.json:2:16 Invalid JSON: unexpected ",", expected a value');
+    assert.deepEqual(lintContent({ "src/content/entries/footer.json": '{ "copyright": "©" ' }),
+        ['src/content/entries/footer.json:1:20 Invalid JSON: unexpected end of file, expected "," or "}"']);
+});
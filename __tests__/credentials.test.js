@@ -0,0 +1,111 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs-extra");
+const os = require("os");
+const path = require("path");
+
+const { BINDING_FILE, storeName, readToken, bindToken, login, logout } = require("../src/credentials");
+
+// A workspace in a temp HOME, so the file store writes there.
+async function withWorkspace(fn) {
+    const home = await fs.mkdtemp(path.join(os.tmpdir(), "credentials-test-"));
+    const saved = { HOME: process.env.HOME, SLEEKCMS_TOKEN: process.env.SLEEKCMS_TOKEN, SLEEKCMS_CREDENTIAL_STORE: process.env.SLEEKCMS_CREDENTIAL_STORE };
+    process.env.HOME = home;
+    delete process.env.SLEEKCMS_TOKEN;
+    delete process.env.SLEEKCMS_CREDENTIAL_STORE;
+    try {
+        const ws = path.join(home, "ws");
+        await fs.ensureDir(ws);
+        await fn(ws, home);
+    } finally {
+        for (const [name, value] of Object.entries(saved)) {
+            if (value === undefined) delete process.env[name];
+            else process.env[name] = value;
+        }
+        await fs.remove(home);
+    }
+}
+
+async function readAll(dir) {
+    const files = await fs.readdir(dir, { recursive: true });
+    const contents = [];
+    for (const rel of files) {
+        const file = path.join(dir, rel);
+        if ((await fs.stat(file)).isFile()) contents.push(await fs.readFile(file, "utf-8"));
+    }
+    return contents.join("\n");
+}
+
+test("the file store keeps tokens encrypted and out of the workspace", async () => {
+    await withWorkspace(async (ws, home) => {
+        await bindToken(ws, "secret-token-production", 7);
+        assert.equal(await readToken(ws), "secret-token-production");
+        assert.equal((await readAll(home)).includes("secret-token"), false);
+
+        const binding = await fs.readJson(path.join(ws, BINDING_FILE));
+        assert.equal(binding.siteId, 7);
+        assert.deepEqual(Object.keys(binding).sort(), ["fingerprint", "id", "siteId"]);
+        assert.equal((await fs.stat(path.join(home, ".sleekcms", "credentials.key"))).mode & 0o777, 0o600);
+        assert.equal((await fs.stat(path.join(home, ".sleekcms", "credentials.json"))).mode & 0o777, 0o600);
+
+        await fs.writeFile(path.join(home, ".sleekcms", "credentials.key"), Buffer.alloc(32).toString("base64"));
+        await assert.rejects(readToken(ws), /can't be decrypted/);
+    });
+});
+
+test("a bound workspace rejects other tokens and other sites until login", async () => {
+    await withWorkspace(async (ws) => {
+        await bindToken(ws, "first", 7);
+        await bindToken(ws, "first", 7);
+        await assert.rejects(bindToken(ws, "second", 7), /tied to a different token/);
+        await assert.rejects(login(ws, "other-site", 8), /belongs to site 7/);
+
+        await login(ws, "second", 7);
+        assert.equal(await readToken(ws), "second");
+        await bindToken(ws, "second", 7);
+    });
+});
+
+test("logout forgets the token; any token for the site binds again", async () => {
+    await withWorkspace(async (ws, home) => {
+        await bindToken(ws, "first", 7);
+        assert.equal(await logout(ws), true);
+        assert.equal(await logout(ws), false);
+        assert.equal(await readToken(ws), null);
+        assert.deepEqual((await fs.readJson(path.join(home, ".sleekcms", "credentials.json"))).tokens, {});
+
+        await bindToken(ws, "second", 7);
+        assert.equal(await readToken(ws), "second");
+    });
+});
+
+test("a plain .cache/token is moved into the store", async () => {
+    await withWorkspace(async (ws, home) => {
+        await fs.outputFile(path.join(ws, ".cache", "token"), "legacy-token\n");
+        // A read-only read (dry runs) leaves it where it is.
+        assert.equal(await readToken(ws, { readOnly: true }), "legacy-token");
+        assert.equal(await fs.pathExists(path.join(ws, ".cache", "token")), true);
+        assert.equal(await fs.pathExists(path.join(ws, BINDING_FILE)), false);
+        assert.equal(await fs.pathExists(path.join(home, ".sleekcms")), false);
+
+        assert.equal(await readToken(ws), "legacy-token");
+        assert.equal(await fs.pathExists(path.join(ws, ".cache", "token")), false);
+        await assert.rejects(bindToken(ws, "other", 7), /tied to a different token/);
+    });
+});
+
+test("env mode reads SLEEKCMS_TOKEN and writes no secret", async () => {
+    await withWorkspace(async (ws, home) => {
+        process.env.SLEEKCMS_CREDENTIAL_STORE = "env";
+        assert.equal(storeName(), "env");
+        assert.equal(await readToken(ws), null);
+
+        process.env.SLEEKCMS_TOKEN = "ci-token\n";
+        await bindToken(ws, "ci-token", 7);
+        assert.equal(await readToken(ws), "ci-token");
+        assert.equal(await fs.pathExists(path.join(home, ".sleekcms")), false);
+
+        process.env.SLEEKCMS_CREDENTIAL_STORE = "keychain";
+        assert.throws(storeName, /Unknown SLEEKCMS_CREDENTIAL_STORE "keychain"/);
+    });
+});
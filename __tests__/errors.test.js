@@ -0,0 +1,94 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const os = require("os");
+const path = require("path");
+const fs = require("fs-extra");
+
+const errors = require("../src/errors");
+
+async function withTempDir(fn) {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), "errors-test-"));
+    try {
+        await fn(dir);
+    } finally {
+        await fs.remove(dir);
+    }
+}
+
+test("messages with newlines and \": \" survive a save and load", async () => {
+    await withTempDir(async (dir) => {
+        const map = {};
+        errors.setError(map, "src/views/pages/a.ejs", "server", errors.serverError({
+            error: { message: "Render failed: item is undefined\n  at a.ejs", line: 4, column: 7 },
+        }));
+        errors.setError(map, "src/models/pages/b.model", "lint", {
+            message: "2:5 Unknown field type \"string\"",
+            problems: [{ path: "src/models/pages/b.model", line: 2, column: 5, severity: "error", message: "Unknown field type \"string\"" }],
+        });
+        await errors.saveErrors(dir, map);
+
+        assert.deepEqual(await errors.loadErrors(dir), map);
+        const [b, a] = await fs.readJson(path.join(dir, errors.ERROR_FILE));
+        assert.deepEqual({ ...a, time: undefined }, {
+            path: "src/views/pages/a.ejs",
+            message: "Render failed: item is undefined\n  at a.ejs",
+            category: "server",
+            time: undefined,
+            line: 4,
+            column: 7,
+        });
+        assert.equal(b.category, "lint");
+        assert.equal(b.line, 2);
+        assert.equal(await fs.readFile(path.join(dir, errors.ERROR_LOG), "utf-8"),
+            "src/models/pages/b.model: 2:5 Unknown field type \"string\"\n" +
+            "src/views/pages/a.ejs: Render failed: item is undefined at a.ejs\n");
+
+        await errors.saveErrors(dir, {});
+        assert.equal(await fs.pathExists(path.join(dir, errors.ERROR_FILE)), false);
+        assert.equal(await fs.pathExists(path.join(dir, errors.ERROR_LOG)), false);
+    });
+});
+
+test("an error that is still failing keeps the time it was first seen", () => {
+    const map = { "a.css": { message: "bad", category: "server", time: "2024-01-01T00:00:00.000Z" } };
+    errors.setError(map, "a.css", "server", { message: "bad" });
+    assert.equal(map["a.css"].time, "2024-01-01T00:00:00.000Z");
+    errors.setError(map, "a.css", "server", { message: "worse" });
+    assert.notEqual(map["a.css"].time, "2024-01-01T00:00:00.000Z");
+});
+
+test("a workspace with only the old log is read from it", async () => {
+    await withTempDir(async (dir) => {
+        await fs.writeFile(path.join(dir, errors.ERROR_LOG), "src/public/css/main.css: bad: css\n");
+        assert.deepEqual(await errors.loadErrors(dir), { "src/public/css/main.css": { message: "bad: css" } });
+    });
+});
+
+test("the problem-matcher format has one line per problem", () => {
+    const out = errors.formatProblemMatcher([
+        { path: "src/models/pages/b.model", message: "x", category: "lint", problems: [
+            { line: 2, column: 5, severity: "error", message: "Unknown field type" },
+            { line: 3, column: 1, severity: "error", message: "Missing comma" },
+        ] },
+        { path: "src/public/css/main.css", message: "rejected\nby server", category: "server" },
+    ]);
+    assert.equal(out,
+        "src/models/pages/b.model:2:5: error: Unknown field type\n" +
+        "src/models/pages/b.model:3:1: error: Missing comma\n" +
+        "src/public/css/main.css:1:1: error: rejected by server\n");
+    assert.match(out.split("\n")[0], /^(.*?):(\d+):(\d*):?\s+(?:fatal\s+)?(warning|error):\s+(.*)$/);
+    assert.equal(errors.formatProblemMatcher([]), "");
+});
+
+test("a server error without a message still gets one and can be logged", async () => {
+    await withTempDir(async (dir) => {
+        const error = errors.serverError({ error: { line: 3 } });
+        assert.deepEqual(error, { message: 'Server rejected the file: {"line":3}', line: 3, column: 1 });
+
+        const map = {};
+        errors.setError(map, "src/views/pages/a.ejs", "server", error);
+        await errors.saveErrors(dir, map);
+        assert.equal(await fs.readFile(path.join(dir, errors.ERROR_LOG), "utf-8"),
+            'src/views/pages/a.ejs: Server rejected the file: {"line":3}\n');
+    });
+});
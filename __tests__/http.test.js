@@ -0,0 +1,88 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const http = require("../src/http");
+
+const BASE = "https://app.sleekcms.com/api/mcp";
+
+function response(status, body, headers = {}) {
+    return {
+        ok: status < 400,
+        status,
+        headers: { get: (name) => headers[name.toLowerCase()] ?? null },
+        text: async () => JSON.stringify(body),
+        json: async () => body,
+    };
+}
+
+// Replies in turn with each of `replies` (a status, an Error to throw, or a
+// function of the fetch init), recording the calls.
+function stubFetch(t, replies) {
+    const origFetch = global.fetch;
+    const saved = { ...http.defaults };
+    t.after(() => {
+        global.fetch = origFetch;
+        Object.assign(http.defaults, saved);
+    });
+    Object.assign(http.defaults, { baseDelay: 1, maxDelay: 2 });
+
+    const calls = [];
+    global.fetch = async (url, init) => {
+        calls.push(`${init.method} ${url.slice(BASE.length)}`);
+        const reply = replies[Math.min(calls.length - 1, replies.length - 1)];
+        if (reply instanceof Error) throw reply;
+        if (typeof reply === "function") return reply(init);
+        return typeof reply === "number" ? response(reply, reply < 400 ? { ok: true } : "nope") : reply;
+    };
+    return calls;
+}
+
+test("5xx and network errors are retried for idempotent calls", async (t) => {
+    const calls = stubFetch(t, [503, new TypeError("fetch failed"), 200]);
+    assert.deepEqual(await http.request(BASE, "tok", "POST", "/save_files", []), { ok: true });
+    assert.equal(calls.length, 3);
+});
+
+test("moves and deletions are only retried when the server did not act", async (t) => {
+    let calls = stubFetch(t, [500, 200]);
+    await assert.rejects(http.request(BASE, "tok", "POST", "/move_files", []), (err) => err.status === 500 && !err.offline);
+    assert.equal(calls.length, 1);
+
+    calls = stubFetch(t, [429, 200]);
+    assert.deepEqual(await http.request(BASE, "tok", "POST", "/delete_files", []), { ok: true });
+    assert.equal(calls.length, 2);
+});
+
+test("an unreachable API fails as offline after the last retry", async (t) => {
+    const calls = stubFetch(t, [new TypeError("fetch failed")]);
+    await assert.rejects(http.request(BASE, "tok", "GET", "/get_site"), (err) => err.offline && err.code === "ENETWORK");
+    assert.equal(calls.length, http.defaults.retries + 1);
+});
+
+test("requests time out", async (t) => {
+    // A hanging server; the timer only keeps the event loop alive, as an
+    // open socket would (AbortSignal.timeout does not).
+    stubFetch(t, [(init) => new Promise((resolve, reject) => {
+        const hang = setTimeout(resolve, 10000);
+        init.signal.addEventListener("abort", () => {
+            clearTimeout(hang);
+            reject(init.signal.reason);
+        });
+    })]);
+    Object.assign(http.defaults, { timeout: 20, retries: 1 });
+    await assert.rejects(http.request(BASE, "tok", "GET", "/list_files"), (err) =>
+        err.code === "ETIMEDOUT" && err.offline && /timed out after 20ms/.test(err.message));
+});
+
+test("Retry-After is honoured, in seconds or as a date, and capped", () => {
+    assert.equal(http.retryDelay(0, "3"), 3000);
+    const inFive = new Date(Date.now() + 5000).toUTCString();
+    assert.ok(Math.abs(http.retryDelay(0, inFive) - 5000) <= 1000);
+    assert.equal(http.retryDelay(0, "3600"), http.defaults.maxRetryAfter);
+
+    for (let attempt = 0; attempt < 6; attempt++) {
+        const delay = http.retryDelay(attempt, null);
+        const backoff = Math.min(http.defaults.baseDelay * 2 ** attempt, http.defaults.maxDelay);
+        assert.ok(delay >= backoff / 2 && delay <= backoff);
+    }
+});
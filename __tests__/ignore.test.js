@@ -0,0 +1,78 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createIgnore } = require("../src/ignore");
+const os = require("os");
+const path = require("path");
+const fs = require("fs-extra");
+
+const { CONFIG_FILE, loadConfig } = require("../src/config");
+const { debounceFor, init, reloadSettings } = require("../src/watcher");
+
+test("editor, OS and merge leftovers are ignored by default", () => {
+    const ignored = createIgnore();
+    for (const rel of ["src/views/pages/.home.ejs.swp", "src/.DS_Store", "src/public/css/main.css~", "src/views/pages/.#home.ejs", "src/models/pages/home.model.orig"]) {
+        assert.equal(ignored(rel), true, rel);
+    }
+    assert.equal(ignored("src/views/pages/home.ejs"), false);
+});
+
+test(".sleekignore follows gitignore syntax", () => {
+    const ignored = createIgnore([
+        "# agent scratch files",
+        "scratch/",
+        "*.draft.*",
+        "/src/public/js/vendor",
+        "src/**/notes.md",
+        "!keep.draft.ejs",
+        "*.orig",
+        "!src/views/important.orig",
+        "data[0-9].json",
+        "\\#literal",
+    ].join("\n"));
+
+    assert.equal(ignored("src/views/pages/scratch/a.ejs"), true);
+    assert.equal(ignored("src/views/pages/scratch", true), true);
+    assert.equal(ignored("src/views/pages/scratch"), false, "dir-only pattern");
+    assert.equal(ignored("src/views/pages/about.draft.ejs"), true);
+    assert.equal(ignored("src/views/pages/keep.draft.ejs"), false, "negated");
+    assert.equal(ignored("src/public/js/vendor/lib.js"), true);
+    assert.equal(ignored("src/public/js/other/vendor/lib.js"), false, "anchored");
+    assert.equal(ignored("src/notes.md"), true);
+    assert.equal(ignored("src/content/pages/notes.md"), true);
+    assert.equal(ignored("src/views/important.orig"), false, "default undone by !");
+    assert.equal(ignored("src/content/data3.json"), true);
+    assert.equal(ignored("src/content/dataX.json"), false);
+    assert.equal(ignored("src/#literal"), true);
+});
+
+test("a file in an ignored directory can't be re-included", () => {
+    const ignored = createIgnore("tmp/\n!tmp/keep.css");
+    assert.equal(ignored("src/public/css/tmp/keep.css"), true);
+});
+
+test("the watcher debounce depends on the kind of file that changed", () => {
+    const settings = { default: 5000, templates: 500, assets: 500, models: 15000 };
+    assert.equal(debounceFor("src/public/css/main.css", settings), 500);
+    assert.equal(debounceFor("src/views/pages/home.ejs", settings), 500);
+    assert.equal(debounceFor("src/models/pages/home.model", settings), 15000);
+    assert.equal(debounceFor("src/content/pages/home.json", settings), 5000);
+    assert.equal(debounceFor("src/content/pages/home.json", {}), 5000);
+});
+
+test("the watcher re-reads debounce when sleekcms.config.json changes", async (t) => {
+    t.mock.method(console, "log", () => {});
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), "watcher-test-"));
+    try {
+        const loadDebounce = async () => (await loadConfig({ dir, overrides: { debounce: { assets: 100 } } })).debounce;
+        init({ viewsDir: dir, debounce: await loadDebounce(), loadDebounce });
+        assert.equal(debounceFor("src/models/pages/home.model"), 5000);
+
+        await fs.writeJson(path.join(dir, CONFIG_FILE), { debounce: { models: 15000, assets: 2000 } });
+        await reloadSettings(CONFIG_FILE);
+        assert.equal(debounceFor("src/models/pages/home.model"), 15000);
+        assert.equal(debounceFor("src/public/css/main.css"), 100);
+    } finally {
+        await fs.remove(dir);
+    }
+});
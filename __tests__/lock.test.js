@@ -0,0 +1,91 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const os = require("os");
+const path = require("path");
+const { spawnSync } = require("child_process");
+const fs = require("fs-extra");
+
+const { LOCK_FILE, readLock, acquireLock, withLock } = require("../src/lock");
+
+async function withTempDir(fn) {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), "lock-test-"));
+    try {
+        await fn(dir);
+    } finally {
+        await fs.remove(dir);
+    }
+}
+
+test("the lock is exclusive and records pid, host and command", async () => {
+    await withTempDir(async (dir) => {
+        const release = await acquireLock(dir, { command: "sync-site" });
+        const lock = await readLock(dir);
+        assert.equal(lock.pid, process.pid);
+        assert.equal(lock.host, os.hostname());
+        assert.equal(lock.command, "sync-site");
+
+        await assert.rejects(acquireLock(dir, { timeout: 0 }), (err) =>
+            err.code === "ELOCKED" && /locked by sync-site \(PID \d+ on .+\)/.test(err.message));
+
+        await release();
+        assert.equal(await readLock(dir), null);
+        assert.equal(await fs.pathExists(path.join(dir, LOCK_FILE)), false);
+    });
+});
+
+test("a waiting caller runs once the holder releases", async () => {
+    await withTempDir(async (dir) => {
+        const order = [];
+        const first = withLock(dir, {}, async () => {
+            order.push("first:start");
+            await new Promise((resolve) => setTimeout(resolve, 300));
+            order.push("first:end");
+        });
+        await new Promise((resolve) => setTimeout(resolve, 50));
+        await withLock(dir, {}, async () => order.push("second"));
+        await first;
+        assert.deepEqual(order, ["first:start", "first:end", "second"]);
+    });
+});
+
+test("locks of dead processes and old locks from other hosts are stale", async () => {
+    await withTempDir(async (dir) => {
+        const file = path.join(dir, LOCK_FILE);
+        const deadPid = spawnSync(process.execPath, ["-e", ""]).pid;
+        await fs.outputJson(file, { pid: deadPid, host: os.hostname(), command: "sync", createdAt: new Date().toISOString() });
+        assert.equal(await readLock(dir), null);
+
+        await fs.outputJson(file, { pid: 1, host: "elsewhere", command: "sync", createdAt: new Date().toISOString() });
+        assert.equal((await readLock(dir)).host, "elsewhere");
+
+        await fs.outputJson(file, { pid: 1, host: "elsewhere", command: "sync", createdAt: "2020-01-01T00:00:00.000Z" });
+        assert.equal(await readLock(dir), null);
+
+        const release = await acquireLock(dir, { timeout: 0 });
+        assert.equal((await readLock(dir)).pid, process.pid);
+        await release();
+    });
+});
+
+test("a lock taken over right after it was found stale is not deleted", async (t) => {
+    const rename = fs.rename;
+    t.after(() => { fs.rename = rename; });
+
+    await withTempDir(async (dir) => {
+        const file = path.join(dir, LOCK_FILE);
+        const deadPid = spawnSync(process.execPath, ["-e", ""]).pid;
+        await fs.outputJson(file, { pid: deadPid, host: os.hostname(), command: "sync", createdAt: new Date().toISOString() });
+
+        // Another process replaces the stale lock between the check and the rename.
+        const live = { pid: process.ppid, host: os.hostname(), command: "sync-site", createdAt: new Date().toISOString() };
+        fs.rename = async (from, to) => {
+            fs.rename = rename;
+            await fs.outputJson(file, live);
+            return rename(from, to);
+        };
+
+        await assert.rejects(acquireLock(dir, { timeout: 0 }), (err) => err.code === "ELOCKED");
+        assert.deepEqual(await fs.readJson(file), live);
+        assert.deepEqual(await fs.readdir(path.dirname(file)), ["sync.lock"]);
+    });
+});
@@ -0,0 +1,91 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { diffHunks, mergeText, mergeJson, hasConflictMarkers } = require("../src/merge");
+const { unifiedDiff } = require("../src/diff");
+
+function lcsLength(a, b) {
+    let row = new Array(b.length + 1).fill(0);
+    for (let i = a.length - 1; i >= 0; i--) {
+        const next = new Array(b.length + 1).fill(0);
+        for (let j = b.length - 1; j >= 0; j--) {
+            next[j] = a[i] === b[j] ? row[j + 1] + 1 : Math.max(row[j], next[j + 1]);
+        }
+        row = next;
+    }
+    return row[0];
+}
+
+test("mergeText applies non-overlapping edits from both sides", () => {
+    const base = "a\nb\nc\nd\ne";
+    const local = "A\nb\nc\nd\ne";
+    const server = "a\nb\nc\nd\nE\nf";
+    assert.deepEqual(mergeText(base, local, server), { clean: true, content: "A\nb\nc\nd\nE\nf" });
+});
+
+test("mergeText accepts identical edits on both sides", () => {
+    const result = mergeText("a\nb", "a\nB", "a\nB");
+    assert.deepEqual(result, { clean: true, content: "a\nB" });
+});
+
+test("mergeText wraps clashing edits in conflict markers", () => {
+    const result = mergeText("a\nb\nc", "a\nlocal\nc", "a\nserver\nc");
+    assert.equal(result.clean, false);
+    assert.equal(result.content, "a\n<<<<<<< local\nlocal\n=======\nserver\n>>>>>>> server\nc");
+    assert.ok(hasConflictMarkers(result.content));
+});
+
+test("diffHunks keeps a longest common subsequence and rebuilds the other side", () => {
+    let seed = 7;
+    const random = (n) => {
+        seed = (seed * 1103515245 + 12345) % 2147483648;
+        return seed % n;
+    };
+    for (let run = 0; run < 200; run++) {
+        const a = Array.from({ length: random(30) }, () => "abcd"[random(4)]);
+        const b = Array.from({ length: random(30) }, () => "abcd"[random(4)]);
+        const hunks = diffHunks(a, b);
+        const out = [];
+        let pos = 0;
+        for (const h of hunks) {
+            out.push(...a.slice(pos, h.start), ...h.lines);
+            pos = h.end;
+        }
+        out.push(...a.slice(pos));
+        assert.deepEqual(out, b);
+        assert.equal(a.length - hunks.reduce((n, h) => n + h.end - h.start, 0), lcsLength(a, b));
+    }
+});
+
+test("a reformatted large file is a conflict for the sidecar, and diffs as replaced", () => {
+    const base = Array.from({ length: 20000 }, (_, i) => `.c${i} { color: red; }`).join("\n");
+    const server = base.replace(/ \{ /g, " {\n    ").replace(/; \}/g, ";\n}");
+    const local = base.replace(".c0 ", ".first ");
+    assert.deepEqual(mergeText(base, local, server), { clean: false });
+
+    const diff = unifiedDiff(base, server);
+    assert.match(diff, /^@@ -1,20000 \+1,60000 @@$/m);
+});
+
+test("mergeJson merges different keys and keeps the local indentation", () => {
+    const base = JSON.stringify({ title: "T", body: "B", tags: ["x"] }, null, 4) + "\n";
+    const local = JSON.stringify({ title: "Local", body: "B", tags: ["x"] }, null, 4) + "\n";
+    const server = JSON.stringify({ title: "T", tags: ["x", "y"] }, null, 2);
+
+    const result = mergeJson(base, local, server);
+    assert.equal(result.clean, true);
+    assert.equal(result.content, JSON.stringify({ title: "Local", tags: ["x", "y"] }, null, 4) + "\n");
+});
+
+test("mergeJson merges nested groups key by key", () => {
+    const base = JSON.stringify({ hero: { heading: "H", sub: "S" } });
+    const local = JSON.stringify({ hero: { heading: "Local", sub: "S" } });
+    const server = JSON.stringify({ hero: { heading: "H", sub: "Server" } });
+    assert.deepEqual(JSON.parse(mergeJson(base, local, server).content), { hero: { heading: "Local", sub: "Server" } });
+});
+
+test("mergeJson reports a conflict when the same value changed on both sides", () => {
+    const base = JSON.stringify({ items: [1] });
+    assert.deepEqual(mergeJson(base, JSON.stringify({ items: [1, 2] }), JSON.stringify({ items: [0] })), { clean: false });
+    assert.deepEqual(mergeJson(base, "{ broken", base), { clean: false });
+});
@@ -0,0 +1,70 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { parseModel, validateModel, modelInfo } = require("../src/model");
+const { lintFiles, formatProblem } = require("../src/lint");
+
+test("parseModel builds an AST for groups, collections and references", () => {
+    const ast = parseModel(`{
+    title: text,
+    hero: { heading: text, background: image },
+    features: [ { title: text, } ],
+    cta: block(cta),
+    ctas: [block(cta)],
+    author: entry(authors+),
+    // comments are allowed
+    "quoted-key": markdown,
+}`);
+
+    assert.equal(ast.type, "group");
+    const fields = Object.fromEntries(ast.fields.map((f) => [f.name, f.value]));
+    assert.equal(fields.title.fieldType, "text");
+    assert.equal(fields.hero.type, "group");
+    assert.deepEqual(fields.hero.fields.map((f) => f.name), ["heading", "background"]);
+    assert.equal(fields.features.type, "collection");
+    assert.equal(fields.features.item.type, "group");
+    assert.deepEqual([fields.cta.type, fields.cta.key], ["block", "cta"]);
+    assert.deepEqual([fields.ctas.item.type, fields.ctas.item.key], ["block", "cta"]);
+    assert.deepEqual([fields.author.type, fields.author.key], ["entry", "authors+"]);
+    assert.equal(fields["quoted-key"].fieldType, "markdown");
+    assert.deepEqual([fields.hero.line, fields.hero.column], [3, 11]);
+});
+
+test("parseModel reports syntax errors with line and column", () => {
+    assert.throws(() => parseModel("{\n    title: text\n    body: text\n}"),
+        (err) => err.line === 3 && err.column === 5 && /Expected "}" but found "body"/.test(err.message));
+    assert.throws(() => parseModel("{ title: text,, }"), (err) => err.line === 1 && err.column === 15);
+    assert.throws(() => parseModel("{ tags: [text] }"), /collection must contain/);
+    assert.throws(() => parseModel("{ a: text, a: text }"), /Duplicate field "a"/);
+});
+
+test("validateModel rejects unknown types and malformed references", () => {
+    assert.deepEqual(validateModel("{ title: string }", "pages"),
+        [{ line: 1, column: 10, message: 'Unknown field type "string"' }]);
+    assert.match(validateModel("{ cta: block() }", "pages")[0].message, /block\(\) needs a key/);
+    assert.match(validateModel("{ cta: block(cta+) }", "pages")[0].message, /cannot be collections/);
+    assert.match(validateModel("{ author: entry(Authors) }", "pages")[0].message, /Invalid entry key "Authors"/);
+    assert.match(validateModel("{ cta: block }", "pages")[0].message, /block needs a key/);
+    assert.match(validateModel("{ cta: widget(cta) }", "pages")[0].message, /Unknown reference "widget\(\)"/);
+});
+
+test("validateModel rejects blocks nested inside block models", () => {
+    const source = "{\n    heading: text,\n    items: [ { cta: block(cta) } ]\n}";
+    assert.deepEqual(validateModel(source, "pages"), []);
+    const problems = validateModel(source, "blocks");
+    assert.equal(problems.length, 1);
+    assert.deepEqual([problems[0].line, problems[0].column], [3, 21]);
+    assert.match(problems[0].message, /Block models cannot contain block\(cta\)/);
+});
+
+test("modelInfo and lintFiles only check model files", () => {
+    assert.deepEqual(modelInfo("src/models/entries/authors+.model"), { kind: "entries", key: "authors+" });
+    assert.equal(modelInfo("src/views/pages/home.ejs"), null);
+
+    const problems = lintFiles({
+        "src/views/pages/home.ejs": "{ not a model",
+        "src/models/pages/home.model": "{ title: txt }",
+    });
+    assert.deepEqual(problems.filter((p) => p.severity === "error").map(formatProblem),
+        ['src/models/pages/home.model:1:10 Unknown field type "txt"']);
+});
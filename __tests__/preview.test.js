@@ -0,0 +1,92 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const os = require("os");
+const path = require("path");
+const fs = require("fs-extra");
+
+const { pagePath, createSite, startPreview } = require("../src/preview");
+
+const LAYOUT = "<html><head><meta charset=\"utf-8\"></head><body><%- main %></body></html>";
+
+test("page keys map to URL paths", () => {
+    assert.equal(pagePath("_"), "/");
+    assert.equal(pagePath("_index"), "/");
+    assert.equal(pagePath("about"), "/about");
+    assert.equal(pagePath("docs_index"), "/docs");
+    assert.equal(pagePath("docs_getting_started"), "/docs/getting/started");
+    assert.equal(pagePath("blog+", "hello"), "/blog/hello");
+});
+
+test("pages render through the layout with blocks, entries and images resolved", () => {
+    const site = createSite({
+        "src/models/pages/_index.model": "{ title: text, hero: block(hero), author: entry(authors+), logo: image }",
+        "src/views/pages/_index.ejs": "<% title(item.title) %><%- render(item.hero) %><p><%= item.author.name %></p><%- img(item.logo) %>",
+        "src/content/pages/_index.json": JSON.stringify({ title: "Home", hero: { heading: "Hi" }, author: "jane", logo: "cms:logo|Logo" }),
+        "src/models/blocks/hero.model": "{ heading: text }",
+        "src/views/blocks/hero.ejs": "<h1><%= item.heading %></h1>",
+        "src/models/entries/authors+.model": "{ name: text }",
+        "src/content/entries/authors+.json": JSON.stringify([{ _slug: "jane", name: "Jane" }]),
+        "src/content/images.json": JSON.stringify({ logo: "url:https://x/logo.svg" }),
+        "src/views/layouts/main.ejs": LAYOUT,
+    });
+
+    const { html } = site.renderPage(site.routes.get("/"));
+    assert.equal(html,
+        "<html><head><meta charset=\"utf-8\"><title>Home</title>\n</head>" +
+        "<body><h1>Hi</h1><p>Jane</p><img src=\"https://x/logo.svg\" alt=\"Logo\"></body></html>");
+});
+
+test("collection pages get one route per slug and are listed by getPages", () => {
+    const site = createSite({
+        "src/models/pages/blog+.model": "{ title: text }",
+        "src/views/pages/blog+.ejs": "<%= item.title %>:<%= getPages('/blog', { collection: true }).map(p => path(p)).join(',') %>",
+        "src/content/pages/blog+/a.json": JSON.stringify({ title: "A" }),
+        "src/content/pages/blog+/b.json": JSON.stringify({ title: "B" }),
+    });
+
+    assert.deepEqual([...site.routes.keys()], ["/blog/a", "/blog/b"]);
+    assert.equal(site.renderPage(site.routes.get("/blog/b")).html, "B:/blog/a,/blog/b");
+});
+
+test("xml pages skip the layout", () => {
+    const site = createSite({
+        "src/models/pages/rss.xml.model": "{}",
+        "src/views/pages/rss.xml.ejs": "<?xml version=\"1.0\"?><rss></rss>",
+        "src/views/layouts/main.ejs": LAYOUT,
+    });
+
+    const page = site.routes.get("/rss.xml");
+    assert.deepEqual(site.renderPage(page), { html: "<?xml version=\"1.0\"?><rss></rss>", type: "application/xml; charset=utf-8" });
+});
+
+test("the server renders pages, reports template errors and lists routes on 404", async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), "preview-test-"));
+    await fs.outputFile(path.join(dir, "src/models/pages/about.model"), "{ title: text }");
+    await fs.outputFile(path.join(dir, "src/views/pages/about.ejs"), "<h1><%= item.title %></h1><%- include('../partials/footer') %>");
+    await fs.outputFile(path.join(dir, "src/views/partials/footer.ejs"), "<footer>Fine print</footer>");
+    await fs.outputFile(path.join(dir, "src/content/pages/about.json"), JSON.stringify({ title: "About us" }));
+    await fs.outputFile(path.join(dir, "src/models/pages/broken.model"), "{}");
+    await fs.outputFile(path.join(dir, "src/views/pages/broken.ejs"), "<%= missing.value %>");
+    await fs.outputFile(path.join(dir, "src/public/css/site.css"), "body{}");
+
+    const preview = await startPreview({ viewsDir: dir, port: 0 });
+    try {
+        let res = await fetch(`${preview.url}/about`);
+        assert.equal(res.status, 200);
+        assert.match(await res.text(), /<h1>About us<\/h1><footer>Fine print<\/footer>.*EventSource/s);
+
+        res = await fetch(`${preview.url}/css/site.css`);
+        assert.equal(await res.text(), "body{}");
+
+        res = await fetch(`${preview.url}/broken`);
+        assert.equal(res.status, 500);
+        assert.match(await res.text(), /missing is not defined/);
+
+        res = await fetch(`${preview.url}/nope`);
+        assert.equal(res.status, 404);
+        assert.match(await res.text(), /\/about\n  \/broken/);
+    } finally {
+        await preview.close();
+        await fs.remove(dir);
+    }
+});
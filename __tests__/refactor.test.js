@@ -0,0 +1,85 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { planRenameKey, planRenameField, planErrors } = require("../src/refactor");
+
+const FILES = {
+    "src/models/pages/blog+.model": "{\n    title: text,\n    hero: block(hero),\n    author: entry(authors+),\n}\n",
+    "src/views/pages/blog+.ejs": "<h1><%= item.title %></h1><%- render(item.hero) %>",
+    "src/content/pages/blog+/hello.json": JSON.stringify({ title: "Hello", hero: { heading: "Hi" }, author: "jane" }, null, 2) + "\n",
+    "src/models/blocks/hero.model": "{ heading: text }",
+    "src/views/blocks/hero.ejs": "<h2><%= item.heading %></h2>",
+    "src/models/entries/authors+.model": "{ name: text }",
+    "src/views/entries/authors+.ejs": "<%= item.name %>",
+    "src/content/entries/authors+.json": JSON.stringify([{ _slug: "jane", name: "Jane" }]),
+    "src/views/layouts/main.ejs": "<% getPages('/blog').forEach(p => { %><a href=\"<%= path(p) %>\"><% }) %><%= getEntry('authors').length %><%- main %>",
+};
+
+function summarize(plan) {
+    return plan.changes.map((c) => (c.from === c.to ? c.from : `${c.from} -> ${c.to}`));
+}
+
+test("rename-key moves collection files, keeps the + suffix and rewrites getPages()", () => {
+    const plan = planRenameKey(FILES, "page", "blog+", "posts");
+    assert.deepEqual(summarize(plan), [
+        "src/content/pages/blog+/hello.json -> src/content/pages/posts+/hello.json",
+        "src/models/pages/blog+.model -> src/models/pages/posts+.model",
+        "src/views/layouts/main.ejs",
+        "src/views/pages/blog+.ejs -> src/views/pages/posts+.ejs",
+    ]);
+    assert.match(plan.changes[2].after, /getPages\('\/posts'\)/);
+    assert.deepEqual(planErrors(FILES, plan), []);
+});
+
+test("rename-key rewrites entry() refs in models and getEntry() calls", () => {
+    const plan = planRenameKey(FILES, "entry", "authors+", "people+");
+    const after = Object.fromEntries(plan.changes.map((c) => [c.to, c.after]));
+    assert.match(after["src/models/pages/blog+.model"], /author: entry\(people\+\)/);
+    assert.match(after["src/views/layouts/main.ejs"], /getEntry\('people'\)/);
+    assert.ok(after["src/content/entries/people+.json"]);
+});
+
+test("rename-key refuses existing targets and unknown keys", () => {
+    assert.throws(() => planRenameKey(FILES, "block", "hero", "hero"), /same as the old one/);
+    assert.throws(() => planRenameKey({ ...FILES, "src/models/pages/posts.model": "{}" }, "page", "blog+", "posts"), /"posts" already exists/);
+    assert.throws(() => planRenameKey(FILES, "page", "missing", "other"), /No page "missing"/);
+    assert.throws(() => planRenameKey(FILES, "block", "hero", "banner+"), /into a collection/);
+});
+
+test("rename-field updates the block model, its template and block content in pages", () => {
+    const plan = planRenameField(FILES, "block", "hero", "heading", "headline");
+    const after = Object.fromEntries(plan.changes.map((c) => [c.to, c.after]));
+    assert.deepEqual(Object.keys(after), [
+        "src/content/pages/blog+/hello.json",
+        "src/models/blocks/hero.model",
+        "src/views/blocks/hero.ejs",
+    ]);
+    assert.deepEqual(JSON.parse(after["src/content/pages/blog+/hello.json"]).hero, { headline: "Hi" });
+    assert.equal(after["src/models/blocks/hero.model"], "{ headline: text }");
+    assert.equal(after["src/views/blocks/hero.ejs"], "<h2><%= item.headline %></h2>");
+    assert.deepEqual(planErrors(FILES, plan), []);
+});
+
+test("rename-field keeps key order in collection entries and warns about other templates", () => {
+    const plan = planRenameField(FILES, "entry", "authors+", "name", "full_name");
+    const content = plan.changes.find((c) => c.to === "src/content/entries/authors+.json").after;
+    assert.equal(content, JSON.stringify([{ _slug: "jane", full_name: "Jane" }]));
+    assert.deepEqual(plan.warnings, []);
+    assert.throws(() => planRenameField(FILES, "entry", "authors+", "nope", "x"), /No field "nope"/);
+    assert.throws(() => planRenameField(FILES, "page", "blog+", "title", "hero"), /already has a field "hero"/);
+});
+
+test("rename-field keeps the layout of single-line and hand-formatted content", () => {
+    const files = {
+        ...FILES,
+        "src/content/entries/authors+.json": '[ { "_slug": "jane", "name": "Jane", "bio": { "name": "x" } } ]\n',
+        "src/content/pages/blog+/hello.json": '{\n  "title": "Hello",   "hero": {"heading": "Hi"},\n\n  "tags": [1,2]\n}',
+    };
+    const entry = planRenameField(files, "entry", "authors+", "name", "full_name").changes
+        .find((c) => c.to === "src/content/entries/authors+.json");
+    assert.equal(entry.after, '[ { "_slug": "jane", "full_name": "Jane", "bio": { "name": "x" } } ]\n');
+
+    const page = planRenameField(files, "block", "hero", "heading", "headline").changes
+        .find((c) => c.to === "src/content/pages/blog+/hello.json");
+    assert.equal(page.after, '{\n  "title": "Hello",   "hero": {"headline": "Hi"},\n\n  "tags": [1,2]\n}');
+});
@@ -0,0 +1,56 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const os = require("os");
+const path = require("path");
+const fs = require("fs-extra");
+
+const { parseFields, scaffoldFiles, scaffold } = require("../src/scaffold");
+const { lintFiles } = require("../src/lint");
+
+test("field specs accept field types and block/entry refs", () => {
+    assert.deepEqual(parseFields("title:text, hero:block(hero),sections:[block(hero)]"), [
+        { name: "title", type: "text" },
+        { name: "hero", type: "block(hero)" },
+        { name: "sections", type: "[block(hero)]" },
+    ]);
+    assert.deepEqual(parseFields(undefined), [{ name: "title", type: "text" }]);
+    assert.throws(() => parseFields("title:string"), /Unknown field type "string"/);
+    assert.throws(() => parseFields("tags:[block(x)"), /Unknown field type/);
+});
+
+test("collection pages get a + key and per-slug content that passes lint", () => {
+    const files = scaffoldFiles("page", "blog", { collection: true, fields: "title:text,cover:image,body:markdown" });
+    assert.deepEqual(Object.keys(files), [
+        "src/models/pages/blog+.model",
+        "src/views/pages/blog+.ejs",
+        "src/content/pages/blog+/example.json",
+    ]);
+    assert.equal(files["src/models/pages/blog+.model"], "{\n    title: text,\n    cover: image,\n    body: markdown,\n}\n");
+    assert.deepEqual(lintFiles(files), []);
+});
+
+test("collection entries are arrays of slugged items; blocks have no content", () => {
+    const entry = scaffoldFiles("entry", "authors+", { fields: "name:text", slug: "jane" });
+    assert.deepEqual(JSON.parse(entry["src/content/entries/authors+.json"]), [{ _slug: "jane", name: "Example name" }]);
+    assert.deepEqual(lintFiles(entry), []);
+
+    assert.deepEqual(Object.keys(scaffoldFiles("block", "hero")), ["src/models/blocks/hero.model", "src/views/blocks/hero.ejs"]);
+    assert.throws(() => scaffoldFiles("block", "hero", { collection: true }), /can't be collections/);
+    assert.throws(() => scaffoldFiles("block", "cards", { fields: "items:[block(card)]" }), /Block models cannot contain block\(card\)/);
+});
+
+test("scaffold refuses to overwrite a key, with or without the + suffix", async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), "scaffold-test-"));
+    try {
+        await fs.ensureDir(path.join(dir, "src"));
+        assert.deepEqual(await scaffold(dir, "page", "about"), [
+            "src/models/pages/about.model",
+            "src/views/pages/about.ejs",
+            "src/content/pages/about.json",
+        ]);
+        await assert.rejects(scaffold(dir, "page", "about+"), /"about" already exists: src\/models\/pages\/about.model/);
+        assert.equal(await fs.pathExists(path.join(dir, "src/content/pages/about+")), false);
+    } finally {
+        await fs.remove(dir);
+    }
+});
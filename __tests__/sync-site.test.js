@@ -2,12 +2,37 @@ const test = require("node:test");
 const assert = require("node:assert/strict");
 const path = require("node:path");
 const os = require("node:os");
+const crypto = require("node:crypto");
 const fs = require("fs-extra");
 
 const {
     syncSite,
     resolveViewsDir,
+    findUnsyncedFiles,
+    backupFiles,
+    readWorkspace,
+    readQueue,
+    workspaceStatus,
+    workspaceDiff,
+    loginSite,
+    rollbackSite,
+    exportSite,
+    importSite,
 } = require("../setup-site");
+const { readTarGz, writeTarGz } = require("../src/archive");
+const { listSnapshots } = require("../src/history");
+const { acquireLock } = require("../src/lock");
+const http = require("../src/http");
+const { planRenameKey, applyPlan } = require("../src/refactor");
+const { readToken, BINDING_FILE } = require("../src/credentials");
+const { runCommand, exitCode, EXIT } = require("../src/commands");
+const events = require("../src/events");
+const { createProgram } = require("../src/cli");
+
+// Keep the credential store (src/credentials.js) out of the real home.
+const HOME = fs.mkdtempSync(path.join(os.tmpdir(), "sync-site-home-"));
+process.env.HOME = HOME;
+test.after(() => fs.removeSync(HOME));
 
 test("resolveViewsDir builds slug from site name + id", () => {
     const dir = resolveViewsDir("/tmp/base", { name: "My Cool Site", id: 42 });
@@ -59,12 +84,40 @@ async function withTempDir(fn) {
 const SITE = { id: 123, name: "Demo" };
 const BASE = "https://app.sleekcms.com/api";
 
+const sha1 = (content) => crypto.createHash("sha1").update(content).digest("hex");
+
+// /list_files and POST /get_files are derived from the GET /get_files stub so
+// incremental pulls see the same server state as the initial pull.
 function defaultRoutes(overrides = {}) {
-    return {
+    const routes = {
         [`GET ${BASE}/mcp/get_site`]: async () => SITE,
         [`GET ${BASE}/mcp/get_files`]: async () => [],
         ...overrides,
     };
+    const getFiles = routes[`GET ${BASE}/mcp/get_files`];
+    return {
+        [`GET ${BASE}/mcp/list_files`]: async () =>
+            (await getFiles()).map((f) => ({ path: f.path, hash: sha1(f.content) })),
+        [`POST ${BASE}/mcp/get_files`]: async ({ paths }) =>
+            (await getFiles()).filter((f) => paths.includes(f.path)),
+        ...routes,
+    };
+}
+
+/**
+ * Stub fetch with defaultRoutes(`routes`), or with `routes` itself when it
+ * is a function, until test `t` ends. `fastRetries` shortens the http
+ * backoff (src/http.js) to milliseconds.
+ */
+function stubFetch(t, routes = {}, { fastRetries = false } = {}) {
+    const origFetch = global.fetch;
+    const origDefaults = { ...http.defaults };
+    t.after(() => {
+        global.fetch = origFetch;
+        Object.assign(http.defaults, origDefaults);
+    });
+    if (fastRetries) Object.assign(http.defaults, { baseDelay: 1, maxDelay: 2 });
+    global.fetch = typeof routes === "function" ? routes : makeFetchStub(defaultRoutes(routes));
 }
 
 test("syncSite: token is required", async () => {
@@ -139,7 +192,9 @@ test("syncSite: first run creates workspace, pulls files, writes cache + aux", a
         assert.ok(cache.fileMap["src/views/pages/home.ejs"]);
         assert.ok(cache.fileMap["src/models/pages/home.model"]);
         assert.ok(cache.fileMap["src/content/pages/home.json"]);
-        assert.equal((await fs.readFile(path.join(ws, ".cache/token"), "utf-8")).trim(), "tok-xyz-production");
+        assert.equal(await fs.pathExists(path.join(ws, ".cache/token")), false);
+        assert.equal((await fs.readJson(path.join(ws, BINDING_FILE))).siteId, 123);
+        assert.equal(await readToken(ws), "tok-xyz-production");
     });
 });
 
@@ -160,19 +215,49 @@ test("syncSite: token mismatch on existing workspace throws", async (t) => {
     });
 });
 
+test("loginSite: rotates the token and keeps sync state", async (t) => {
+    let site = SITE;
+    stubFetch(t, {
+        [`GET ${BASE}/mcp/get_site`]: async () => site,
+        [`GET ${BASE}/mcp/get_files`]: async () => [{ path: "src/views/pages/home.ejs", content: "<h1>Home</h1>" }],
+    });
+
+    await withTempDir(async (tmp) => {
+        const { viewsDir: ws } = await syncSite({ token: "old-tok", path: tmp });
+        const state = await fs.readFile(path.join(ws, ".cache/state.json"), "utf-8");
+
+        await loginSite({ token: "new-tok", viewsDir: ws });
+        assert.equal(await readToken(ws), "new-tok");
+        assert.equal(await fs.readFile(path.join(ws, ".cache/state.json"), "utf-8"), state);
+        await assert.rejects(() => syncSite({ token: "old-tok", viewsDir: ws }), /tied to a different token/);
+        const result = await syncSite({ token: "new-tok", viewsDir: ws });
+        assert.equal(result.isFirstRun, false);
+        assert.equal(result.pulled, 0);
+
+        site = { id: 999, name: "Other" };
+        await assert.rejects(() => loginSite({ token: "other-tok", viewsDir: ws }), /belongs to site 123/);
+        assert.equal(await readToken(ws), "new-tok");
+
+        await assert.rejects(() => loginSite({ token: "new-tok", viewsDir: path.join(tmp, "nowhere") }), (err) => err.code === "ENOWORKSPACE");
+    });
+});
+
 test("syncSite: second run pushes local edits and skips unchanged files", async (t) => {
     const origFetch = global.fetch;
     t.after(() => { global.fetch = origFetch; });
 
     const saveCalls = []; // each call captures the request body (array of files)
 
+    const files = new Map([
+        ["src/views/pages/home.ejs",    "<h1>Home</h1>"],
+        ["src/models/pages/home.model", "{ title: text }"],
+    ]);
     global.fetch = makeFetchStub(defaultRoutes({
-        [`GET ${BASE}/mcp/get_files`]: async () => [
-            { path: "src/views/pages/home.ejs",    content: "<h1>Home</h1>" },
-            { path: "src/models/pages/home.model", content: "{ title: string }" },
-        ],
+        [`GET ${BASE}/mcp/get_files`]: async () =>
+            [...files].map(([p, content]) => ({ path: p, content })),
         [`POST ${BASE}/mcp/save_files`]: async (body) => {
             saveCalls.push(body);
+            for (const f of body) files.set(f.path, f.content);
             return body.map((f) => ({ path: f.path, content: f.content, error: null }));
         },
     }));
@@ -184,7 +269,7 @@ test("syncSite: second run pushes local edits and skips unchanged files", async
 
         // Edit template and model locally
         await fs.writeFile(path.join(ws, "src/views/pages/home.ejs"), "<h1>Edited</h1>");
-        await fs.writeFile(path.join(ws, "src/models/pages/home.model"), "{ title: string, extra: number }");
+        await fs.writeFile(path.join(ws, "src/models/pages/home.model"), "{ title: text, extra: number }");
         // New content record
         await fs.outputFile(path.join(ws, "src/content/pages/home.json"), JSON.stringify({ title: "X" }));
 
@@ -199,7 +284,7 @@ test("syncSite: second run pushes local edits and skips unchanged files", async
         assert.equal(body.length, 3);
 
         const byPath = Object.fromEntries(body.map((f) => [f.path, f.content]));
-        assert.equal(byPath["src/models/pages/home.model"], "{ title: string, extra: number }");
+        assert.equal(byPath["src/models/pages/home.model"], "{ title: text, extra: number }");
         assert.equal(byPath["src/views/pages/home.ejs"], "<h1>Edited</h1>");
         assert.equal(byPath["src/content/pages/home.json"], JSON.stringify({ title: "X" }));
 
@@ -211,30 +296,241 @@ test("syncSite: second run pushes local edits and skips unchanged files", async
     });
 });
 
-test("syncSite: server-deleted templates are NOT removed on incremental sync (push-only)", async (t) => {
-    const origFetch = global.fetch;
-    t.after(() => { global.fetch = origFetch; });
+test("syncSite: incremental sync pulls server-side edits, additions and deletions", async (t) => {
 
     let files = [
         { path: "src/views/pages/home.ejs",  content: "h" },
         { path: "src/views/pages/about.ejs", content: "a" },
     ];
-    global.fetch = makeFetchStub(defaultRoutes({
+    const fetchedPaths = [];
+    stubFetch(t, {
         [`GET ${BASE}/mcp/get_files`]: async () => files,
-    }));
+        [`POST ${BASE}/mcp/get_files`]: async ({ paths }) => {
+            fetchedPaths.push(...paths);
+            return files.filter((f) => paths.includes(f.path));
+        },
+    });
 
     await withTempDir(async (tmp) => {
         const first = await syncSite({ token: "tok", path: tmp });
         const ws = first.viewsDir;
         assert.ok(await fs.pathExists(path.join(ws, "src/views/pages/about.ejs")));
 
-        // Simulate server-side delete — but incremental sync only pushes, so the
-        // local file is NOT removed. Re-run setup-site to re-pull from server.
-        files = [{ path: "src/views/pages/home.ejs", content: "h" }];
+        // Teammate edits home, deletes about and adds contact in the dashboard.
+        files = [
+            { path: "src/views/pages/home.ejs",    content: "h2" },
+            { path: "src/views/pages/contact.ejs", content: "c" },
+        ];
+        const second = await syncSite({ token: "tok", viewsDir: ws });
+
+        assert.equal(second.pulled, 3);
+        assert.deepEqual(fetchedPaths.sort(), ["src/views/pages/contact.ejs", "src/views/pages/home.ejs"]);
+        assert.equal(await fs.readFile(path.join(ws, "src/views/pages/home.ejs"), "utf-8"), "h2");
+        assert.equal(await fs.readFile(path.join(ws, "src/views/pages/contact.ejs"), "utf-8"), "c");
+        assert.ok(!(await fs.pathExists(path.join(ws, "src/views/pages/about.ejs"))));
+
+        // Nothing changed since — nothing is fetched.
+        fetchedPaths.length = 0;
+        const third = await syncSite({ token: "tok", viewsDir: ws });
+        assert.equal(third.pulled, 0);
+        assert.equal(fetchedPaths.length, 0);
+    });
+});
+
+test("syncSite: edits on both sides of the same line get conflict markers and block the push", async (t) => {
+
+    let files = [{ path: "src/views/pages/home.ejs", content: "h" }];
+    const saveCalls = [];
+    stubFetch(t, {
+        [`GET ${BASE}/mcp/get_files`]: async () => files,
+        [`POST ${BASE}/mcp/save_files`]: async (body) => {
+            saveCalls.push(body);
+            return body.map((f) => ({ path: f.path, content: f.content, error: null }));
+        },
+    });
+
+    await withTempDir(async (tmp) => {
+        const first = await syncSite({ token: "tok", path: tmp });
+        const ws = first.viewsDir;
+        const home = path.join(ws, "src/views/pages/home.ejs");
+
+        await fs.writeFile(home, "local");
+        files = [{ path: "src/views/pages/home.ejs", content: "server" }];
+
+        const second = await syncSite({ token: "tok", viewsDir: ws });
+        assert.equal(second.pushed, 0);
+        assert.equal(saveCalls.length, 0);
+        assert.equal(
+            await fs.readFile(home, "utf-8"),
+            "<<<<<<< local\nlocal\n=======\nserver\n>>>>>>> server"
+        );
+        assert.match(await fs.readFile(path.join(ws, "sync-errors.log"), "utf-8"),
+            /^src\/views\/pages\/home\.ejs: Conflict: /);
+
+        // Resolving the markers unblocks the push and clears the error.
+        await fs.writeFile(home, "resolved");
+        const third = await syncSite({ token: "tok", viewsDir: ws });
+        assert.equal(third.pushed, 1);
+        assert.equal(saveCalls[0][0].content, "resolved");
+        assert.ok(!(await fs.pathExists(path.join(ws, "sync-errors.log"))));
+    });
+});
+
+test("syncSite: sync errors are dropped once a file is back in sync or gone from the server", async (t) => {
+
+    const model = { path: "src/models/pages/home.model", content: "{ title: text }" };
+    const view = { path: "src/views/pages/home.ejs", content: "h" };
+    const css = { path: "src/public/css/main.css", content: "body{}" };
+    let files = [model, view, css];
+    stubFetch(t, {
+        [`GET ${BASE}/mcp/get_files`]: async () => files,
+        [`POST ${BASE}/mcp/save_files`]: async (body) => body.map((f) => ({ path: f.path, content: f.content })),
+        [`POST ${BASE}/mcp/delete_files`]: async (body) => body.map(() => ({ error: "locked" })),
+    });
+    const failing = async (ws) => (await fs.pathExists(path.join(ws, "sync-errors.json")))
+        ? (await fs.readJson(path.join(ws, "sync-errors.json"))).map((e) => e.path)
+        : [];
+
+    await withTempDir(async (tmp) => {
+        const { viewsDir: ws } = await syncSite({ token: "tok", path: tmp });
+        const home = path.join(ws, view.path);
+
+        // A conflict, resolved by taking the server version as it is.
+        await fs.writeFile(home, "local");
+        files = [model, { ...view, content: "server" }, css];
+        await syncSite({ token: "tok", viewsDir: ws });
+        // A model blocked by local checks, then put back.
+        await fs.writeFile(path.join(ws, model.path), "{ title: string }");
+        // A deletion the server refused.
+        await fs.remove(path.join(ws, css.path));
         await syncSite({ token: "tok", viewsDir: ws });
+        assert.deepEqual(await failing(ws), [model.path, css.path, view.path]);
 
-        assert.ok(await fs.pathExists(path.join(ws, "src/views/pages/about.ejs")));
-        assert.ok(await fs.pathExists(path.join(ws, "src/views/pages/home.ejs")));
+        await fs.writeFile(home, "server");
+        await fs.writeFile(path.join(ws, model.path), model.content);
+        await syncSite({ token: "tok", viewsDir: ws });
+        assert.deepEqual(await failing(ws), [css.path]);
+
+        files = [model, { ...view, content: "server" }];
+        await syncSite({ token: "tok", viewsDir: ws });
+        assert.deepEqual(await failing(ws), []);
+        assert.ok(!(await fs.pathExists(path.join(ws, "sync-errors.log"))));
+    });
+});
+
+test("syncSite: non-overlapping edits on both sides are merged before pushing", async (t) => {
+
+    const model = { path: "src/models/pages/home.model", content: "{ title: text, intro: text }" };
+    let files = [
+        model,
+        { path: "src/views/pages/home.ejs",    content: "<h1>Home</h1>\n<p>Body</p>\n<footer>F</footer>" },
+        { path: "src/content/pages/home.json", content: JSON.stringify({ title: "Home", intro: "Hi" }, null, 2) },
+    ];
+    const saveCalls = [];
+    stubFetch(t, {
+        [`GET ${BASE}/mcp/get_files`]: async () => files,
+        [`POST ${BASE}/mcp/save_files`]: async (body) => {
+            saveCalls.push(body);
+            return body.map((f) => ({ path: f.path, content: f.content, error: null }));
+        },
+    });
+
+    await withTempDir(async (tmp) => {
+        const first = await syncSite({ token: "tok", path: tmp });
+        const ws = first.viewsDir;
+
+        await fs.writeFile(path.join(ws, "src/views/pages/home.ejs"), "<h1>Welcome</h1>\n<p>Body</p>\n<footer>F</footer>");
+        await fs.writeFile(path.join(ws, "src/content/pages/home.json"),
+            JSON.stringify({ title: "Welcome", intro: "Hi" }, null, 2));
+        files = [
+            model,
+            { path: "src/views/pages/home.ejs",    content: "<h1>Home</h1>\n<p>Body</p>\n<footer>New</footer>" },
+            { path: "src/content/pages/home.json", content: JSON.stringify({ title: "Home", intro: "Hello" }, null, 2) },
+        ];
+
+        const second = await syncSite({ token: "tok", viewsDir: ws });
+        assert.equal(second.pushed, 2);
+
+        const byPath = Object.fromEntries(saveCalls[0].map((f) => [f.path, f.content]));
+        assert.equal(byPath["src/views/pages/home.ejs"], "<h1>Welcome</h1>\n<p>Body</p>\n<footer>New</footer>");
+        assert.deepEqual(JSON.parse(byPath["src/content/pages/home.json"]), { title: "Welcome", intro: "Hello" });
+    });
+});
+
+test("syncSite: conflicting JSON content gets a .server sidecar instead of markers", async (t) => {
+
+    const model = { path: "src/models/pages/home.model", content: "{ title: text }" };
+    let files = [model, { path: "src/content/pages/home.json", content: JSON.stringify({ title: "Home" }) }];
+    const saveCalls = [];
+    stubFetch(t, {
+        [`GET ${BASE}/mcp/get_files`]: async () => files,
+        [`POST ${BASE}/mcp/save_files`]: async (body) => {
+            saveCalls.push(body);
+            return body.map((f) => ({ path: f.path, content: f.content, error: null }));
+        },
+    });
+
+    await withTempDir(async (tmp) => {
+        const first = await syncSite({ token: "tok", path: tmp });
+        const ws = first.viewsDir;
+        const home = path.join(ws, "src/content/pages/home.json");
+
+        await fs.writeFile(home, JSON.stringify({ title: "Local" }));
+        files = [model, { path: "src/content/pages/home.json", content: JSON.stringify({ title: "Server" }) }];
+
+        await syncSite({ token: "tok", viewsDir: ws });
+        assert.equal(saveCalls.length, 0);
+        assert.equal(await fs.readFile(home, "utf-8"), JSON.stringify({ title: "Local" }));
+        assert.equal(await fs.readFile(home + ".server", "utf-8"), JSON.stringify({ title: "Server" }));
+
+        // Deleting the sidecar keeps the local version.
+        await fs.remove(home + ".server");
+        const third = await syncSite({ token: "tok", viewsDir: ws });
+        assert.equal(third.pushed, 1);
+        assert.equal(saveCalls[0][0].path, "src/content/pages/home.json");
+    });
+});
+
+test("syncSite: touched or re-saved files are not pushed; mtime-preserving edits are", async (t) => {
+
+    const saveCalls = [];
+    stubFetch(t, {
+        [`GET ${BASE}/mcp/get_files`]: async () => [
+            { path: "src/views/pages/home.ejs", content: "<h1>Home</h1>" },
+            { path: "src/public/css/main.css",  content: "body{}" },
+        ],
+        [`POST ${BASE}/mcp/save_files`]: async (body) => {
+            saveCalls.push(body);
+            return body.map((f) => ({ path: f.path, content: f.content, error: null }));
+        },
+    });
+
+    await withTempDir(async (tmp) => {
+        const { viewsDir: ws } = await syncSite({ token: "tok", path: tmp });
+        const home = path.join(ws, "src/views/pages/home.ejs");
+        const css = path.join(ws, "src/public/css/main.css");
+
+        // touch + identical re-save: new mtime, same bytes.
+        const later = new Date(Date.now() + 60000);
+        await fs.utimes(home, later, later);
+        await fs.writeFile(css, "body{}");
+
+        const second = await syncSite({ token: "tok", viewsDir: ws });
+        assert.equal(second.pushed, 0);
+        assert.equal(saveCalls.length, 0);
+
+        // The cache picks up the new mtime so the fast path applies next time.
+        const cache = await fs.readJson(path.join(ws, ".cache/state.json"));
+        assert.equal(cache.fileMap["src/views/pages/home.ejs"].mtimeMs, (await fs.stat(home)).mtimeMs);
+
+        // A real edit whose tool restores the old mtime is still detected.
+        const { atime, mtime } = await fs.stat(css);
+        await fs.writeFile(css, "body{color:red}");
+        await fs.utimes(css, atime, mtime);
+
+        const third = await syncSite({ token: "tok", viewsDir: ws });
+        assert.equal(third.pushed, 1);
+        assert.equal(saveCalls[0][0].path, "src/public/css/main.css");
     });
 });
 
@@ -290,3 +586,941 @@ test("syncSite: images-only edit produces a save_files request with just the ima
         assert.equal(saveCalls[0][0].path, "src/content/images.json");
     });
 });
+
+test("syncSite: local deletions are sent to /delete_files and dropped from the cache", async (t) => {
+
+    const deleteCalls = [];
+    stubFetch(t, {
+        [`GET ${BASE}/mcp/get_files`]: async () => [
+            { path: "src/views/pages/home.ejs",  content: "h" },
+            { path: "src/views/pages/about.ejs", content: "a" },
+        ],
+        [`POST ${BASE}/mcp/delete_files`]: async (body) => {
+            deleteCalls.push(body);
+            return body.map((f) => ({ path: f.path, error: null }));
+        },
+    });
+
+    await withTempDir(async (tmp) => {
+        const first = await syncSite({ token: "tok", path: tmp });
+        const ws = first.viewsDir;
+
+        await fs.remove(path.join(ws, "src/views/pages/about.ejs"));
+
+        const second = await syncSite({ token: "tok", viewsDir: ws });
+        assert.equal(second.deleted, 1);
+        assert.equal(second.pushed, 0);
+        assert.deepEqual(deleteCalls, [[{ path: "src/views/pages/about.ejs" }]]);
+
+        const cache = await fs.readJson(path.join(ws, ".cache/state.json"));
+        assert.equal(cache.fileMap["src/views/pages/about.ejs"], undefined);
+        assert.ok(cache.fileMap["src/views/pages/home.ejs"]);
+
+        // Nothing left to delete on the next run.
+        deleteCalls.length = 0;
+        const third = await syncSite({ token: "tok", viewsDir: ws });
+        assert.equal(third.deleted, 0);
+        assert.equal(deleteCalls.length, 0);
+    });
+});
+
+test("syncSite: renaming a collection key is sent as moves, not delete + create", async (t) => {
+
+    const moveCalls = [];
+    const saveCalls = [];
+    const deleteCalls = [];
+    stubFetch(t, {
+        [`GET ${BASE}/mcp/get_files`]: async () => [
+            { path: "src/models/pages/blog+.model",       content: "{ title: text }" },
+            { path: "src/content/pages/blog+/hello.json", content: JSON.stringify({ title: "Hello" }) },
+        ],
+        [`POST ${BASE}/mcp/move_files`]: async (body) => {
+            moveCalls.push(body);
+            return body.map((m) => ({ path: m.to, error: null }));
+        },
+        [`POST ${BASE}/mcp/save_files`]: async (body) => {
+            saveCalls.push(body);
+            return body.map((f) => ({ path: f.path, content: f.content, error: null }));
+        },
+        [`POST ${BASE}/mcp/delete_files`]: async (body) => {
+            deleteCalls.push(body);
+            return body.map((f) => ({ path: f.path, error: null }));
+        },
+    });
+
+    await withTempDir(async (tmp) => {
+        const first = await syncSite({ token: "tok", path: tmp });
+        const ws = first.viewsDir;
+
+        await fs.move(path.join(ws, "src/models/pages/blog+.model"), path.join(ws, "src/models/pages/posts+.model"));
+        await fs.move(path.join(ws, "src/content/pages/blog+"), path.join(ws, "src/content/pages/posts+"));
+
+        const second = await syncSite({ token: "tok", viewsDir: ws });
+        assert.equal(second.moved, 2);
+        assert.equal(second.pushed, 0);
+        assert.equal(second.deleted, 0);
+        assert.equal(saveCalls.length, 0);
+        assert.equal(deleteCalls.length, 0);
+
+        assert.equal(moveCalls.length, 1);
+        const moves = Object.fromEntries(moveCalls[0].map((m) => [m.from, m.to]));
+        assert.equal(moves["src/models/pages/blog+.model"], "src/models/pages/posts+.model");
+        assert.equal(moves["src/content/pages/blog+/hello.json"], "src/content/pages/posts+/hello.json");
+
+        const cache = await fs.readJson(path.join(ws, ".cache/state.json"));
+        assert.equal(cache.fileMap["src/models/pages/blog+.model"], undefined);
+        assert.ok(cache.fileMap["src/models/pages/posts+.model"]);
+        assert.ok(cache.fileMap["src/content/pages/posts+/hello.json"]);
+    });
+});
+
+test("syncSite: a refactor batch pushes every file in one /save_files call, whatever the chunk limits, then deletes", async (t) => {
+
+    const calls = [];
+    stubFetch(t, {
+        [`GET ${BASE}/mcp/get_files`]: async () => [
+            { path: "src/models/pages/about.model", content: "{ title: text }" },
+            { path: "src/views/pages/about.ejs",    content: "<h1><%= item.title %></h1>" },
+            { path: "src/views/layouts/main.ejs",   content: "<a href=\"<%= url(getPage('/about')) %>\">About</a><%- main %>" },
+        ],
+        [`POST ${BASE}/mcp/move_files`]: async (body) => {
+            calls.push(["move", body]);
+            return body.map((m) => ({ path: m.to, error: null }));
+        },
+        [`POST ${BASE}/mcp/save_files`]: async (body) => {
+            calls.push(["save", body.map((f) => f.path)]);
+            return body.map((f) => ({ path: f.path, content: f.content, error: null }));
+        },
+        [`POST ${BASE}/mcp/delete_files`]: async (body) => {
+            calls.push(["delete", body.map((f) => f.path)]);
+            return body.map((f) => ({ path: f.path, error: null }));
+        },
+    });
+
+    await withTempDir(async (tmp) => {
+        const { viewsDir: ws } = await syncSite({ token: "tok", path: tmp });
+
+        const plan = planRenameKey(await readWorkspace(ws), "page", "about", "team");
+        await applyPlan(ws, plan);
+
+        const result = await syncSite({ token: "tok", viewsDir: ws, batch: true, chunkFiles: 1 });
+        assert.deepEqual(calls, [
+            ["save", ["src/models/pages/team.model", "src/views/layouts/main.ejs", "src/views/pages/team.ejs"]],
+            ["delete", ["src/models/pages/about.model", "src/views/pages/about.ejs"]],
+        ]);
+        assert.equal(result.pushed, 3);
+        assert.equal(result.deleted, 2);
+        assert.equal(result.moved, 0);
+    });
+});
+
+test("workspaceStatus and workspaceDiff report pending local changes against the last sync", async (t) => {
+
+    stubFetch(t, {
+        [`GET ${BASE}/mcp/get_files`]: async () => [
+            { path: "src/views/pages/home.ejs",   content: "<h1>Home</h1>\n<p>Hi</p>\n" },
+            { path: "src/views/pages/about.ejs",  content: "<h1>About</h1>\n" },
+            { path: "src/public/css/main.css",    content: "body{}\n" },
+        ],
+    });
+
+    await withTempDir(async (tmp) => {
+        const { viewsDir: ws } = await syncSite({ token: "tok", path: tmp });
+
+        assert.deepEqual(await workspaceStatus(ws), { new: [], modified: [], deleted: [], failing: [] });
+
+        await fs.writeFile(path.join(ws, "src/views/pages/home.ejs"), "<h1>Home</h1>\n<p>Hello</p>\n");
+        await fs.outputFile(path.join(ws, "src/views/pages/new.ejs"), "<h1>New</h1>\n");
+        await fs.remove(path.join(ws, "src/views/pages/about.ejs"));
+        await fs.utimes(path.join(ws, "src/public/css/main.css"), new Date(), new Date());
+        await fs.writeFile(path.join(ws, "sync-errors.log"), "src/views/pages/new.ejs: 3:1 boom\n");
+
+        assert.deepEqual(await workspaceStatus(ws), {
+            new: ["src/views/pages/new.ejs"],
+            modified: ["src/views/pages/home.ejs"],
+            deleted: ["src/views/pages/about.ejs"],
+            failing: [{ path: "src/views/pages/new.ejs", message: "3:1 boom" }],
+        });
+
+        const diffs = await workspaceDiff(ws);
+        assert.deepEqual(diffs.map((d) => [d.path, d.status]), [
+            ["src/views/pages/about.ejs", "deleted"],
+            ["src/views/pages/home.ejs", "modified"],
+            ["src/views/pages/new.ejs", "new"],
+        ]);
+        assert.equal(diffs[1].diff, [
+            "--- a/src/views/pages/home.ejs",
+            "+++ b/src/views/pages/home.ejs",
+            "@@ -1,2 +1,2 @@",
+            " <h1>Home</h1>",
+            "-<p>Hi</p>",
+            "+<p>Hello</p>",
+            "",
+        ].join("\n"));
+        assert.match(diffs[0].diff, /^--- a\/src\/views\/pages\/about.ejs\n\+\+\+ \/dev\/null\n@@ -1,1 \+0,0 @@\n-<h1>About<\/h1>\n$/);
+        assert.deepEqual((await workspaceDiff(ws, ["src/views/pages/new.ejs"])).map((d) => d.path), ["src/views/pages/new.ejs"]);
+    });
+});
+
+test("syncSite: dry run plans the push without sending anything or writing state.json", async (t) => {
+
+    const requested = [];
+    const routes = defaultRoutes({
+        [`GET ${BASE}/mcp/get_files`]: async () => [
+            { path: "src/models/pages/home.model",  content: "{ title: text }" },
+            { path: "src/views/pages/home.ejs",     content: "<h1><%= item.title %></h1>" },
+            { path: "src/content/pages/home.json",  content: JSON.stringify({ title: "Home" }) },
+            { path: "src/public/css/old.css",       content: "a{}" },
+            { path: "src/public/js/gone.js",        content: "1" },
+        ],
+    });
+    const stub = makeFetchStub(routes);
+    stubFetch(t, async (url, init = {}) => {
+        requested.push(`${init.method || "GET"} ${url.replace(BASE, "")}`);
+        return stub(url, init);
+    });
+
+    await withTempDir(async (tmp) => {
+        const { viewsDir: ws } = await syncSite({ token: "tok", path: tmp });
+        const statePath = path.join(ws, ".cache/state.json");
+        const stateBefore = await fs.readFile(statePath, "utf-8");
+        requested.length = 0;
+
+        await fs.writeFile(path.join(ws, "src/public/css/main.css"), "body{}");
+        await fs.writeFile(path.join(ws, "src/content/pages/home.json"), JSON.stringify({ title: "Welcome" }));
+        await fs.writeFile(path.join(ws, "src/views/pages/home.ejs"), "<h1><%= item.title %>!</h1>");
+        await fs.writeFile(path.join(ws, "src/models/pages/home.model"), "{ title: text, intro: markdown }");
+        await fs.outputFile(path.join(ws, "src/models/pages/bad.model"), "{ title: text");
+        await fs.move(path.join(ws, "src/public/css/old.css"), path.join(ws, "src/public/css/renamed.css"));
+        await fs.remove(path.join(ws, "src/public/js/gone.js"));
+
+        const result = await syncSite({ token: "tok", viewsDir: ws, dryRun: true });
+        assert.equal(result.dryRun, true);
+        assert.deepEqual(result.plan, {
+            save: {
+                models: ["src/models/pages/home.model"],
+                templates: ["src/views/pages/home.ejs"],
+                content: ["src/content/pages/home.json"],
+                assets: ["src/public/css/main.css"],
+            },
+            move: [{ from: "src/public/css/old.css", to: "src/public/css/renamed.css" }],
+            delete: ["src/public/js/gone.js"],
+            blocked: [{ path: "src/models/pages/bad.model", message: "1:14 Expected \"}\" but found end of file" }],
+            warnings: ["src/models/pages/bad.model warning: No template src/views/pages/bad.ejs for this model"],
+        });
+
+        assert.deepEqual(requested, ["GET /mcp/get_site"]);
+        assert.equal(await fs.readFile(statePath, "utf-8"), stateBefore);
+        assert.equal(await fs.pathExists(path.join(ws, "sync-errors.log")), false);
+
+        // A fresh workspace is refused rather than pulled, and left untouched.
+        const fresh = path.join(tmp, "fresh");
+        await assert.rejects(syncSite({ token: "tok", viewsDir: fresh, dryRun: true }),
+            (err) => err.code === "ENOWORKSPACE" && /never synced — run: sleekcms init/.test(err.message));
+        assert.equal(await fs.pathExists(fresh), false);
+
+        // Nor is the token binding written, even for a different token.
+        const binding = await fs.readFile(path.join(ws, BINDING_FILE), "utf-8");
+        await syncSite({ token: "other", viewsDir: ws, dryRun: true });
+        assert.equal(await fs.readFile(path.join(ws, BINDING_FILE), "utf-8"), binding);
+    });
+});
+
+test("pushes are snapshotted in .cache/history and can be rolled back", async (t) => {
+
+    const server = new Map([
+        ["src/views/pages/home.ejs", "<h1>Home</h1>"],
+        ["src/public/css/main.css", "body{}"],
+    ]);
+    let failSaves = false;
+    stubFetch(t, {
+        [`GET ${BASE}/mcp/get_files`]: async () => [...server].map(([p, content]) => ({ path: p, content })),
+        [`POST ${BASE}/mcp/save_files`]: async (body) => {
+            if (failSaves) return body.map((f) => ({ path: f.path, error: "boom" }));
+            body.forEach((f) => server.set(f.path, f.content));
+            return body.map((f) => ({ path: f.path, content: f.content, error: null }));
+        },
+        [`POST ${BASE}/mcp/delete_files`]: async (body) => {
+            body.forEach((f) => server.delete(f.path));
+            return body.map((f) => ({ path: f.path, error: null }));
+        },
+    });
+
+    await withTempDir(async (tmp) => {
+        const { viewsDir: ws } = await syncSite({ token: "tok", path: tmp });
+        assert.deepEqual(await listSnapshots(ws), []);
+
+        await fs.writeFile(path.join(ws, "src/views/pages/home.ejs"), "<h1>Broken</h1>");
+        await fs.outputFile(path.join(ws, "src/public/js/new.js"), "1");
+        await syncSite({ token: "tok", viewsDir: ws });
+
+        failSaves = true;
+        await fs.writeFile(path.join(ws, "src/public/css/main.css"), "body{color:red}");
+        await syncSite({ token: "tok", viewsDir: ws });
+        failSaves = false;
+        await fs.writeFile(path.join(ws, "src/public/css/main.css"), "body{}");
+
+        const snapshots = await listSnapshots(ws);
+        assert.equal(snapshots.length, 1, "failed pushes leave no snapshot");
+        assert.deepEqual(snapshots[0].files, [
+            { path: "src/views/pages/home.ejs", action: "save", existed: true },
+            { path: "src/public/js/new.js", action: "save", existed: false },
+        ]);
+
+        await assert.rejects(rollbackSite({ token: "tok", viewsDir: ws, id: "nope" }), /No snapshot "nope"/);
+
+        await fs.writeFile(path.join(ws, "src/public/js/new.js"), "2");
+        await assert.rejects(rollbackSite({ token: "tok", viewsDir: ws, id: snapshots[0].id }), /would be lost: src\/public\/js\/new.js/);
+        await fs.writeFile(path.join(ws, "src/public/js/new.js"), "1");
+
+        const result = await rollbackSite({ token: "tok", viewsDir: ws, id: snapshots[0].id });
+        assert.equal(result.pushed, 1);
+        assert.equal(result.deleted, 1);
+        assert.equal(server.get("src/views/pages/home.ejs"), "<h1>Home</h1>");
+        assert.equal(server.has("src/public/js/new.js"), false);
+        assert.equal(await fs.readFile(path.join(ws, "src/views/pages/home.ejs"), "utf-8"), "<h1>Home</h1>");
+        assert.equal(await fs.pathExists(path.join(ws, "src/public/js/new.js")), false);
+        assert.equal((await listSnapshots(ws)).length, 2, "the rollback itself can be undone");
+    });
+});
+
+test("exportSite archives every file; importSite pushes them in dependency order and verifies", async (t) => {
+
+    const source = [
+        { path: "src/content/pages/home.json",  content: JSON.stringify({ title: "Home" }) },
+        { path: "src/models/pages/home.model",  content: "{ title: text, hero: block(hero) }" },
+        { path: "src/models/blocks/hero.model", content: "{ heading: text }" },
+        { path: "src/public/css/main.css",      content: "body{}" },
+        { path: "src/views/pages/home.ejs",     content: "<%= item.title %>" },
+        { path: "src/views/layouts/main.ejs",   content: "<%- main %>" },
+    ];
+    stubFetch(t, { [`GET ${BASE}/mcp/get_files`]: async () => source });
+
+    await withTempDir(async (tmp) => {
+        const file = path.join(tmp, "site.tar.gz");
+        const exported = await exportSite({ token: "tok", file });
+        assert.equal(exported.manifest.site.id, SITE.id);
+        assert.equal(exported.manifest.env, "production");
+        assert.equal(exported.manifest.files.length, 6);
+        assert.equal(exported.manifest.files[0].hash, sha1(source.find((f) => f.path === exported.manifest.files[0].path).content));
+
+        const target = new Map([["src/views/pages/old.ejs", "old"]]);
+        const batches = [];
+        global.fetch = makeFetchStub({
+            [`GET ${BASE}/mcp/get_site`]: async () => ({ id: 456, name: "Clone" }),
+            [`POST ${BASE}/mcp/save_files`]: async (body) => {
+                batches.push(body.map((f) => f.path));
+                // The server rewrites one file, which verification must catch.
+                body.forEach((f) => target.set(f.path, f.path.endsWith(".css") ? "body{ }" : f.content));
+                return body.map((f) => ({ path: f.path, content: f.content, error: null }));
+            },
+            [`GET ${BASE}/mcp/list_files`]: async () => [...target].map(([p, c]) => ({ path: p, hash: sha1(c) })),
+        });
+
+        const cancelled = await importSite({ token: "tok", file, confirm: async () => false });
+        assert.equal(cancelled.cancelled, true);
+        assert.equal(batches.length, 0);
+
+        const result = await importSite({ token: "tok", file });
+        assert.deepEqual(batches, [
+            ["src/models/blocks/hero.model", "src/models/pages/home.model"],
+            ["src/views/layouts/main.ejs", "src/views/pages/home.ejs"],
+            ["src/content/pages/home.json"],
+            ["src/public/css/main.css"],
+        ]);
+        assert.equal(result.pushed, 6);
+        assert.deepEqual(result.verification, {
+            missing: [],
+            mismatched: ["src/public/css/main.css"],
+            extra: ["src/views/pages/old.ejs"],
+            ok: false,
+        });
+
+        const tampered = readTarGz(await fs.readFile(file)).map((e) =>
+            ({ name: e.name, content: e.name.endsWith(".ejs") ? "changed" : e.content }));
+        await fs.writeFile(file, writeTarGz(tampered));
+        await assert.rejects(importSite({ token: "tok", file }), /Archive is corrupt: src\/views\/layouts\/main.ejs/);
+    });
+});
+
+test("findUnsyncedFiles lists new, edited, deleted and failing files but not touched ones", async (t) => {
+
+    stubFetch(t, {
+        [`GET ${BASE}/mcp/get_files`]: async () => [
+            { path: "src/views/pages/home.ejs",  content: "h" },
+            { path: "src/views/pages/about.ejs", content: "a" },
+            { path: "src/public/css/main.css",   content: "body{}" },
+        ],
+    });
+
+    await withTempDir(async (tmp) => {
+        const { viewsDir: ws } = await syncSite({ token: "tok", path: tmp });
+
+        await fs.writeFile(path.join(ws, "src/views/pages/home.ejs"), "edited");
+        const future = new Date(Date.now() + 60000);
+        await fs.utimes(path.join(ws, "src/views/pages/about.ejs"), future, future);
+        await fs.outputFile(path.join(ws, "src/views/pages/new.ejs"), "n");
+        await fs.writeFile(path.join(ws, "sync-errors.log"), "src/public/css/main.css: bad css\n");
+
+        const unsynced = await findUnsyncedFiles(ws);
+        assert.deepEqual(unsynced.sort(), [
+            "src/public/css/main.css",
+            "src/views/pages/home.ejs",
+            "src/views/pages/new.ejs",
+        ]);
+
+        const backupDir = await backupFiles(ws, unsynced);
+        assert.ok(backupDir.startsWith(path.join(ws, ".cache", "backup")));
+        assert.equal(await fs.readFile(path.join(backupDir, "src/views/pages/home.ejs"), "utf-8"), "edited");
+        assert.equal(await fs.readFile(path.join(backupDir, "src/views/pages/new.ejs"), "utf-8"), "n");
+
+        // Deletions not pushed yet count too, whether tracked or only queued offline.
+        await fs.remove(path.join(ws, "src/views/pages/about.ejs"));
+        await fs.outputFile(path.join(ws, ".cache/base/src/views/pages/gone.ejs"), "g");
+        await fs.outputJson(path.join(ws, ".cache/queue.json"), {
+            since: new Date().toISOString(),
+            reason: "offline",
+            paths: ["src/views/pages/gone.ejs", "src/views/pages/scratch.ejs"],
+        });
+        assert.deepEqual((await findUnsyncedFiles(ws)).sort(), [
+            "src/public/css/main.css",
+            "src/views/pages/about.ejs",
+            "src/views/pages/gone.ejs",
+            "src/views/pages/home.ejs",
+            "src/views/pages/new.ejs",
+        ]);
+        await backupFiles(ws, await findUnsyncedFiles(ws));
+    });
+});
+
+test("syncSite: flush re-fetch restores the server copy and reports what changed", async (t) => {
+
+    let files = [
+        { path: "src/views/pages/home.ejs",  content: "h" },
+        { path: "src/views/pages/about.ejs", content: "a" },
+    ];
+    stubFetch(t, {
+        [`GET ${BASE}/mcp/get_files`]: async () => files,
+    });
+
+    await withTempDir(async (tmp) => {
+        const { viewsDir: ws } = await syncSite({ token: "tok", path: tmp });
+
+        await fs.writeFile(path.join(ws, "src/views/pages/home.ejs"), "local edit");
+        await fs.outputFile(path.join(ws, "src/views/pages/scratch.ejs"), "s");
+        files = [
+            { path: "src/views/pages/home.ejs",    content: "h" },
+            { path: "src/views/pages/about.ejs",   content: "a2" },
+            { path: "src/views/pages/contact.ejs", content: "c" },
+        ];
+
+        const result = await syncSite({ token: "tok", viewsDir: ws, flush: true });
+        assert.deepEqual(result.refetch, {
+            added: ["src/views/pages/contact.ejs"],
+            changed: ["src/views/pages/about.ejs", "src/views/pages/home.ejs"],
+            removed: ["src/views/pages/scratch.ejs"],
+        });
+        assert.equal(await fs.readFile(path.join(ws, "src/views/pages/home.ejs"), "utf-8"), "h");
+        assert.ok(!(await fs.pathExists(path.join(ws, "src/views/pages/scratch.ejs"))));
+        assert.deepEqual(await findUnsyncedFiles(ws), []);
+    });
+});
+
+test("syncSite: invalid models are blocked locally with line and column", async (t) => {
+
+    const saveCalls = [];
+    stubFetch(t, {
+        [`POST ${BASE}/mcp/save_files`]: async (body) => {
+            saveCalls.push(body);
+            return body.map((f) => ({ path: f.path, content: f.content, error: null }));
+        },
+    });
+
+    await withTempDir(async (tmp) => {
+        const { viewsDir: ws } = await syncSite({ token: "tok", path: tmp });
+
+        await fs.outputFile(path.join(ws, "src/models/pages/about.model"), "{\n    title: text,\n    body: string\n}");
+        await fs.outputFile(path.join(ws, "src/views/pages/about.ejs"), "<h1><%= item.title %></h1>");
+
+        const second = await syncSite({ token: "tok", viewsDir: ws });
+        assert.equal(second.pushed, 1);
+        assert.deepEqual(saveCalls[0].map((f) => f.path), ["src/views/pages/about.ejs"]);
+        assert.equal(
+            await fs.readFile(path.join(ws, "sync-errors.log"), "utf-8"),
+            'src/models/pages/about.model: 3:11 Unknown field type "string"\n'
+        );
+        const [entry] = await fs.readJson(path.join(ws, "sync-errors.json"));
+        assert.equal(entry.category, "lint");
+        assert.deepEqual([entry.line, entry.column], [3, 11]);
+    });
+});
+
+test("syncSite: cross-file errors block the push, warnings do not", async (t) => {
+
+    const saveCalls = [];
+    stubFetch(t, {
+        [`POST ${BASE}/mcp/save_files`]: async (body) => {
+            saveCalls.push(body);
+            return body.map((f) => ({ path: f.path, content: f.content, error: null }));
+        },
+    });
+
+    await withTempDir(async (tmp) => {
+        const { viewsDir: ws } = await syncSite({ token: "tok", path: tmp });
+
+        // Template without a model: warning only. Content referencing an
+        // undeclared cms image: blocked.
+        await fs.outputFile(path.join(ws, "src/views/pages/draft.ejs"), "<p>draft</p>");
+        await fs.outputFile(path.join(ws, "src/models/pages/about.model"), "{ logo: image }");
+        await fs.outputFile(path.join(ws, "src/views/pages/about.ejs"), "<%- img(item.logo) %>");
+        await fs.outputFile(path.join(ws, "src/content/pages/about.json"), JSON.stringify({ logo: "cms:logo" }));
+
+        const second = await syncSite({ token: "tok", viewsDir: ws });
+        assert.equal(second.pushed, 3);
+        assert.deepEqual(saveCalls[0].map((f) => f.path).sort(), [
+            "src/models/pages/about.model",
+            "src/views/pages/about.ejs",
+            "src/views/pages/draft.ejs",
+        ]);
+        assert.equal(
+            await fs.readFile(path.join(ws, "sync-errors.log"), "utf-8"),
+            'src/content/pages/about.json: $.logo: image "cms:logo" is not declared in src/content/images.json\n'
+        );
+    });
+});
+
+test("syncSite refuses a workspace locked by another sync while status still works", async (t) => {
+
+    stubFetch(t, {
+        [`GET ${BASE}/mcp/get_files`]: async () => [{ path: "src/public/css/main.css", content: "body{}" }],
+        [`POST ${BASE}/mcp/save_files`]: async (files) => files.map((f) => ({ path: f.path, content: f.content })),
+    });
+
+    await withTempDir(async (tmp) => {
+        const ws = path.join(tmp, "ws");
+        await syncSite({ token: "tok", viewsDir: ws });
+        await fs.outputFile(path.join(ws, "src/public/css/main.css"), "body{color:red}");
+
+        const release = await acquireLock(ws, { command: "sleekcms watch" });
+        try {
+            await assert.rejects(syncSite({ token: "tok", viewsDir: ws, lockTimeout: 0 }), (err) =>
+                err.code === "ELOCKED" && /locked by sleekcms watch/.test(err.message));
+            assert.deepEqual((await workspaceStatus(ws)).modified, ["src/public/css/main.css"]);
+
+            const dryRun = await syncSite({ token: "tok", viewsDir: ws, dryRun: true });
+            assert.deepEqual(dryRun.plan.save.assets, ["src/public/css/main.css"]);
+        } finally {
+            await release();
+        }
+
+        const result = await syncSite({ token: "tok", viewsDir: ws });
+        assert.equal(result.pushed, 1);
+        assert.equal(await fs.pathExists(path.join(ws, ".cache", "sync.lock")), false);
+    });
+});
+
+test("changes made while the API is unreachable are queued and pushed once it is back", async (t) => {
+
+    let online = true;
+    const saved = [];
+    stubFetch(t, {
+        [`GET ${BASE}/mcp/get_files`]: async () => [{ path: "src/public/css/main.css", content: "body{}" }],
+        [`POST ${BASE}/mcp/save_files`]: async (files) => {
+            if (!online) throw new TypeError("fetch failed");
+            saved.push(...files.map((f) => f.path));
+            return files.map((f) => ({ path: f.path, content: f.content }));
+        },
+    }, { fastRetries: true });
+
+    await withTempDir(async (tmp) => {
+        const ws = path.join(tmp, "ws");
+        await syncSite({ token: "tok", viewsDir: ws });
+        await fs.outputFile(path.join(ws, "src/public/css/main.css"), "body{color:red}");
+        await fs.outputFile(path.join(ws, "src/public/js/app.js"), "run()");
+
+        online = false;
+        await assert.rejects(syncSite({ token: "tok", viewsDir: ws }), (err) =>
+            err.offline && err.queued.join() === "src/public/css/main.css,src/public/js/app.js");
+        const queue = await readQueue(ws);
+        assert.deepEqual(queue.paths, ["src/public/css/main.css", "src/public/js/app.js"]);
+        assert.match(queue.reason, /POST \/save_files/);
+        assert.equal(await fs.pathExists(path.join(ws, "sync-errors.log")), false);
+
+        online = true;
+        const result = await syncSite({ token: "tok", viewsDir: ws });
+        assert.equal(result.pushed, 2);
+        assert.deepEqual(saved.sort(), ["src/public/css/main.css", "src/public/js/app.js"]);
+        assert.equal(await readQueue(ws), null);
+    });
+});
+
+test("a sync that can't reach the site queues under the lock and leaves a running sync's queue alone", async (t) => {
+
+    let online = true;
+    stubFetch(t, {
+        [`GET ${BASE}/mcp/get_site`]: async () => {
+            if (!online) throw new TypeError("fetch failed");
+            return SITE;
+        },
+        [`GET ${BASE}/mcp/get_files`]: async () => [{ path: "src/public/css/main.css", content: "body{}" }],
+    }, { fastRetries: true });
+
+    await withTempDir(async (tmp) => {
+        const ws = path.join(tmp, "ws");
+        await syncSite({ token: "tok", viewsDir: ws });
+        await fs.outputFile(path.join(ws, "src/public/css/main.css"), "body{color:red}");
+        online = false;
+
+        const release = await acquireLock(ws, { command: "sleekcms watch" });
+        try {
+            await assert.rejects(syncSite({ token: "tok", viewsDir: ws, lockTimeout: 50 }), (err) => err.offline && !err.queued);
+            assert.equal(await readQueue(ws), null);
+        } finally {
+            await release();
+        }
+
+        await assert.rejects(syncSite({ token: "tok", viewsDir: ws }), (err) => err.offline && err.queued.join() === "src/public/css/main.css");
+        assert.deepEqual((await readQueue(ws)).paths, ["src/public/css/main.css"]);
+        assert.deepEqual((await fs.readdir(path.join(ws, ".cache"))).filter((f) => /lock|tmp/.test(f)), []);
+    });
+});
+
+test("large pushes go out in ordered chunks and a failed chunk only fails its files", async (t) => {
+
+    const server = [];
+    for (const key of ["a", "b"]) {
+        server.push(
+            { path: `src/models/pages/${key}.model`, content: "{ title: text }" },
+            { path: `src/views/pages/${key}.ejs`, content: "<h1><%= item.title %></h1>" },
+            { path: `src/content/pages/${key}.json`, content: JSON.stringify({ title: key }) },
+        );
+    }
+    const chunks = [];
+    let failTemplates = true;
+    const stub = makeFetchStub(defaultRoutes({
+        [`GET ${BASE}/mcp/get_files`]: async () => server,
+        [`POST ${BASE}/mcp/save_files`]: async (files) => files.map((f) => {
+            server.find((s) => s.path === f.path).content = f.content;
+            return { path: f.path, content: f.content };
+        }),
+    }));
+    stubFetch(t, async (url, init = {}) => {
+        if (url.endsWith("/save_files")) {
+            const paths = JSON.parse(init.body).map((f) => f.path);
+            chunks.push(paths);
+            if (failTemplates && paths[0].startsWith("src/views/")) {
+                return { ok: false, status: 500, text: async () => "boom", json: async () => ({}) };
+            }
+        }
+        return stub(url, init);
+    }, { fastRetries: true });
+
+    await withTempDir(async (tmp) => {
+        const ws = path.join(tmp, "ws");
+        await syncSite({ token: "tok", viewsDir: ws });
+        for (const key of ["a", "b"]) {
+            await fs.outputFile(path.join(ws, `src/models/pages/${key}.model`), "{ title: text, sub: text }");
+            await fs.outputFile(path.join(ws, `src/views/pages/${key}.ejs`), "<h1><%= item.title %></h1><p><%= item.sub %></p>");
+            await fs.outputFile(path.join(ws, `src/content/pages/${key}.json`), JSON.stringify({ title: key, sub: "x" }));
+        }
+
+        const result = await syncSite({ token: "tok", viewsDir: ws, chunkFiles: 2 });
+        assert.equal(result.pushed, 4);
+        const sent = chunks.filter((c, i) => i === 0 || c.join() !== chunks[i - 1].join());
+        assert.deepEqual(sent, [
+            ["src/models/pages/a.model", "src/models/pages/b.model"],
+            ["src/views/pages/a.ejs", "src/views/pages/b.ejs"],
+            ["src/content/pages/a.json", "src/content/pages/b.json"],
+        ]);
+        assert.equal(await fs.readFile(path.join(ws, "sync-errors.log"), "utf-8"),
+            "src/views/pages/a.ejs: boom\nsrc/views/pages/b.ejs: boom\n");
+
+        failTemplates = false;
+        chunks.length = 0;
+        const retry = await syncSite({ token: "tok", viewsDir: ws, chunkFiles: 2 });
+        assert.equal(retry.pushed, 2);
+        assert.deepEqual(chunks, [["src/views/pages/a.ejs", "src/views/pages/b.ejs"]]);
+        assert.equal(await fs.pathExists(path.join(ws, "sync-errors.log")), false);
+    });
+});
+
+test(".sleekignore keeps files out of pushes without deleting ones already synced", async (t) => {
+
+    const saveCalls = [];
+    const deleteCalls = [];
+    stubFetch(t, {
+        [`GET ${BASE}/mcp/get_files`]: async () => [{ path: "src/public/js/vendor.js", content: "lib()" }],
+        [`POST ${BASE}/mcp/save_files`]: async (files) => {
+            saveCalls.push(files.map((f) => f.path));
+            return files.map((f) => ({ path: f.path, content: f.content }));
+        },
+        [`POST ${BASE}/mcp/delete_files`]: async (files) => {
+            deleteCalls.push(files.map((f) => f.path));
+            return files.map((f) => ({ path: f.path }));
+        },
+    });
+
+    await withTempDir(async (tmp) => {
+        const ws = path.join(tmp, "ws");
+        await syncSite({ token: "tok", viewsDir: ws });
+        await fs.writeFile(path.join(ws, ".sleekignore"), "scratch/\nsrc/public/js/vendor.js\n");
+        await fs.outputFile(path.join(ws, "src/views/pages/.home.ejs.swp"), "swap");
+        await fs.outputFile(path.join(ws, "src/views/scratch/idea.ejs"), "<p>idea</p>");
+        await fs.outputFile(path.join(ws, "src/public/js/vendor.js"), "lib(2)");
+        await fs.outputFile(path.join(ws, "src/public/css/main.css"), "body{}");
+
+        assert.deepEqual(await findUnsyncedFiles(ws), ["src/public/css/main.css"]);
+        assert.deepEqual(await workspaceStatus(ws), { new: ["src/public/css/main.css"], modified: [], deleted: [], failing: [] });
+
+        const result = await syncSite({ token: "tok", viewsDir: ws });
+        assert.equal(result.pushed, 1);
+        assert.deepEqual(saveCalls, [["src/public/css/main.css"]]);
+        assert.deepEqual(deleteCalls, []);
+    });
+});
+
+// ---------------------------------------------------------------------------
+// sleekcms commands (src/commands.js)
+// ---------------------------------------------------------------------------
+
+// Run a command with `json` and return what it printed, parsed.
+async function runJson(name, opts) {
+    const lines = [];
+    const origLog = console.log;
+    console.log = (line) => lines.push(line);
+    try {
+        await runCommand(name, { ...opts, json: true });
+    } finally {
+        console.log = origLog;
+    }
+    return JSON.parse(lines.join("\n"));
+}
+
+// runJson for a command that fails: its `{ error }` document and the code
+// it passed to process.exit.
+async function runJsonError(t, name, opts) {
+    let exit = null;
+    const mock = t.mock.method(process, "exit", (code) => {
+        exit = code;
+        throw new Error("exit");
+    });
+    const lines = [];
+    const origLog = console.log;
+    console.log = (line) => lines.push(line);
+    try {
+        await assert.rejects(runCommand(name, { ...opts, json: true }), /exit/);
+    } finally {
+        console.log = origLog;
+        mock.mock.restore();
+    }
+    return { ...JSON.parse(lines.join("\n")), exit };
+}
+
+test("exit codes name the kind of failure", () => {
+    const withProps = (props) => Object.assign(new Error("x"), props);
+    assert.equal(exitCode(withProps({ code: "ENOWORKSPACE" })), EXIT.NO_WORKSPACE);
+    assert.equal(exitCode(withProps({ code: "ENOENT" })), EXIT.ERROR);
+    assert.equal(exitCode(withProps({ code: "ENOTOKEN" })), EXIT.NO_WORKSPACE);
+    assert.equal(exitCode(withProps({ status: 401, offline: false })), EXIT.AUTH);
+    assert.equal(exitCode(withProps({ code: "ELOCKED" })), EXIT.LOCKED);
+    assert.equal(exitCode(withProps({ code: "ENETWORK", offline: true })), EXIT.OFFLINE);
+    assert.equal(exitCode(withProps({ status: 500 })), EXIT.ERROR);
+});
+
+test("sleekcms init, pull, status and sync share the workspace and print JSON", async (t) => {
+    t.after(() => { process.exitCode = 0; });
+    const saveCalls = [];
+    stubFetch(t, {
+        [`GET ${BASE}/mcp/get_files`]: async () => [{ path: "src/views/pages/home.ejs", content: "<h1>Home</h1>" }],
+        [`POST ${BASE}/mcp/save_files`]: async (files) => {
+            saveCalls.push(files.map((f) => f.path));
+            return files.map((f) => ({ path: f.path, content: f.content }));
+        },
+    });
+
+    await withTempDir(async (tmp) => {
+        const init = await runJson("init", { token: "tok", path: tmp });
+        assert.equal(init.isFirstRun, true);
+        assert.equal(init.pulled, 1);
+        const ws = init.workspace;
+
+        await fs.outputFile(path.join(ws, "src/public/css/main.css"), "body{}");
+        const pulled = await runJson("pull", { dir: ws });
+        assert.equal(pulled.pulled, 0);
+        assert.deepEqual(saveCalls, []);
+
+        const status = await runJson("status", { dir: ws });
+        assert.equal(status.clean, false);
+        assert.deepEqual(status.new, ["src/public/css/main.css"]);
+
+        const synced = await runJson("sync", { dir: ws });
+        assert.equal(synced.pushed, 1);
+        assert.deepEqual(synced.failing, []);
+        assert.deepEqual(saveCalls, [["src/public/css/main.css"]]);
+        assert.equal(process.exitCode, EXIT.OK);
+    });
+});
+
+test("sleekcms diff, history, rename-key and rollback run through the same commands", async (t) => {
+    t.after(() => { process.exitCode = 0; });
+    let server = [
+        { path: "src/models/pages/about.model", content: "{ title: text }" },
+        { path: "src/views/pages/about.ejs", content: "<h1><%= item.title %></h1>" },
+        { path: "src/content/pages/about.json", content: JSON.stringify({ title: "About" }) },
+    ];
+    stubFetch(t, {
+        [`GET ${BASE}/mcp/get_files`]: async () => server,
+        [`POST ${BASE}/mcp/save_files`]: async (files) => {
+            server = [...server.filter((s) => !files.some((f) => f.path === s.path)), ...files];
+            return files.map((f) => ({ path: f.path, content: f.content }));
+        },
+        [`POST ${BASE}/mcp/delete_files`]: async (files) => {
+            server = server.filter((s) => !files.some((f) => f.path === s.path));
+            return files.map(() => ({}));
+        },
+    });
+
+    await withTempDir(async (tmp) => {
+        const { workspace: ws } = await runJson("init", { token: "tok", path: tmp });
+        await fs.writeFile(path.join(ws, "src/views/pages/about.ejs"), "<h2><%= item.title %></h2>");
+        const diff = await runJson("diff", { dir: ws });
+        assert.deepEqual(diff.diffs.map((d) => [d.path, d.status]), [["src/views/pages/about.ejs", "modified"]]);
+        await runJson("sync", { dir: ws });
+
+        const renamed = await runJson("rename-key", { dir: ws, kind: "page", old: "about", new: "team", yes: true });
+        assert.equal(renamed.written, true);
+        assert.equal(renamed.pushed, 3);
+        assert.deepEqual(server.map((f) => f.path).sort(), [
+            "src/content/pages/team.json",
+            "src/models/pages/team.model",
+            "src/views/pages/team.ejs",
+        ]);
+
+        const { snapshots } = await runJson("history", { dir: ws });
+        assert.equal(snapshots.length, 2);
+        const rolledBack = await runJson("rollback", { dir: ws, id: snapshots[0].id });
+        assert.equal(rolledBack.restored.length, 6);
+        assert.ok(server.some((f) => f.path === "src/views/pages/about.ejs"));
+    });
+});
+
+test("commands on a missing workspace tell the user to run sleekcms init", async (t) => {
+    t.after(() => { process.exitCode = 0; });
+    await withTempDir(async (tmp) => {
+        for (const name of ["sync", "status", "diff"]) {
+            const { error, exit } = await runJsonError(t, name, { dir: tmp });
+            assert.equal(error.code, "ENOWORKSPACE");
+            assert.match(error.message, /^Workspace not initialized at .+ — run: sleekcms init/);
+            assert.equal(exit, EXIT.NO_WORKSPACE);
+        }
+    });
+});
+
+test("sleekcms new scaffolds a key into the workspace", async (t) => {
+    t.after(() => { process.exitCode = 0; });
+    await withTempDir(async (tmp) => {
+        let parsed;
+        createProgram({ watch: () => {}, run: (name, opts) => { parsed = { name, opts }; } })
+            .parse(["node", "sleekcms", "new", "page", "blog", "--collection", "--fields", "title:text,cover:image", "-d", tmp]);
+        assert.equal(parsed.name, "new");
+        assert.equal(parsed.opts.kind, "page");
+        assert.equal(parsed.opts.key, "blog");
+        assert.equal(parsed.opts.slug, "example");
+
+        await fs.ensureDir(path.join(tmp, "src"));
+        const result = await runJson("new", parsed.opts);
+        assert.deepEqual(result.written, [
+            "src/models/pages/blog+.model",
+            "src/views/pages/blog+.ejs",
+            "src/content/pages/blog+/example.json",
+        ]);
+
+        const { error, exit } = await runJsonError(t, "new", { dir: path.join(tmp, "src"), kind: "page", key: "about" });
+        assert.match(error.message, /not a workspace .* run: sleekcms init/);
+        assert.equal(exit, EXIT.NO_WORKSPACE);
+    });
+});
+
+test("sleekcms lint reports problems as JSON and exits with FILE_ERRORS on errors", async (t) => {
+    t.after(() => { process.exitCode = 0; });
+    await withTempDir(async (tmp) => {
+        await fs.outputFile(path.join(tmp, "src/models/pages/about.model"), "{ title: text }");
+        await fs.outputFile(path.join(tmp, "src/views/pages/about.ejs"), "<h1><%= item.title %></h1>");
+        await fs.outputFile(path.join(tmp, "src/content/pages/about.json"), JSON.stringify({ title: "About" }));
+        const clean = await runJson("lint", { dir: tmp });
+        assert.deepEqual([clean.files, clean.errors, clean.problems], [3, 0, []]);
+        assert.equal(process.exitCode, EXIT.OK);
+
+        await fs.outputFile(path.join(tmp, "src/models/pages/about.model"), "{ title: txet }");
+        const broken = await runJson("lint", { dir: tmp });
+        assert.ok(broken.errors > 0);
+        assert.equal(broken.problems[0].path, "src/models/pages/about.model");
+        assert.equal(process.exitCode, EXIT.FILE_ERRORS);
+
+        // A wrong --dir is not a clean run.
+        const { error, exit } = await runJsonError(t, "lint", { dir: path.join(tmp, "src") });
+        assert.match(error.message, /not a workspace .* run: sleekcms init/);
+        assert.equal(exit, EXIT.NO_WORKSPACE);
+    });
+});
+
+test("headless mode reports sync progress as NDJSON events", async (t) => {
+    t.after(() => events.setReporter(null));
+    stubFetch(t, {
+        [`GET ${BASE}/mcp/get_files`]: async () => [{ path: "src/views/pages/home.ejs", content: "<h1>Home</h1>" }],
+        [`POST ${BASE}/mcp/save_files`]: async (files) => files.map((f) => ({ path: f.path, content: f.content })),
+    });
+    const lines = [];
+    events.setReporter(events.ndjson({ write: (line) => lines.push(line) }));
+
+    await withTempDir(async (tmp) => {
+        const ws = path.join(tmp, "ws");
+        await syncSite({ token: "tok", viewsDir: ws, command: "sleekcms init" });
+        await fs.outputFile(path.join(ws, "src/public/css/main.css"), "body{}");
+        await fs.outputFile(path.join(ws, "src/content/pages/home.json"), "{ broken");
+        lines.length = 0;
+        await syncSite({ token: "tok", viewsDir: ws, command: "sleekcms sync" });
+
+        assert.ok(lines.every((line) => line.endsWith("\n")));
+        const seen = lines.map((line) => JSON.parse(line));
+        assert.ok(seen.every((e) => typeof e.time === "string"));
+        assert.deepEqual(seen.map((e) => e.type), ["sync_started", "pull_completed", "file_failed", "file_pushed", "sync_completed"]);
+        assert.deepEqual(seen[0].site, { id: SITE.id, name: SITE.name });
+        assert.equal(seen[0].command, "sleekcms sync");
+        assert.equal(seen[2].path, "src/content/pages/home.json");
+        assert.equal(seen[3].path, "src/public/css/main.css");
+        assert.equal(seen[3].action, "created");
+        assert.equal(seen[4].pushed, 1);
+        assert.equal(seen[4].failed, 1);
+
+        // A watch poll finding the same failure does not report it again.
+        lines.length = 0;
+        await syncSite({ token: "tok", viewsDir: ws, command: "sleekcms watch" });
+        assert.deepEqual(lines.map((line) => JSON.parse(line).type), ["sync_started", "pull_completed", "sync_completed"]);
+        await fs.writeFile(path.join(ws, "src/content/pages/home.json"), "{ still broken");
+        lines.length = 0;
+        await syncSite({ token: "tok", viewsDir: ws, command: "sleekcms watch" });
+        assert.ok(lines.some((line) => JSON.parse(line).type === "file_failed"));
+    });
+});
+
+test("SLEEKCMS_HEADLESS turns headless mode on only for a true value", (t) => {
+    const saved = process.env.SLEEKCMS_HEADLESS;
+    t.after(() => {
+        if (saved === undefined) delete process.env.SLEEKCMS_HEADLESS;
+        else process.env.SLEEKCMS_HEADLESS = saved;
+    });
+    const headless = (value) => {
+        if (value === undefined) delete process.env.SLEEKCMS_HEADLESS;
+        else process.env.SLEEKCMS_HEADLESS = value;
+        let seen;
+        createProgram({ watch: () => {}, run: (name, opts) => { seen = opts.headless; } }).parse(["node", "sleekcms", "status"]);
+        return !!seen;
+    };
+    assert.equal(headless(undefined), false);
+    assert.equal(headless("0"), false);
+    assert.equal(headless("false"), false);
+    assert.equal(headless(""), false);
+    assert.equal(headless("1"), true);
+    assert.equal(headless("true"), true);
+});
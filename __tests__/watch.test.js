@@ -0,0 +1,96 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const os = require("os");
+const path = require("path");
+const fs = require("fs-extra");
+
+const cli = require("../src/cli");
+const { closeWorkspace, refetchWorkspace } = require("../src/watch");
+const { acquireLock } = require("../src/lock");
+
+// A synced workspace with one tracked file, src/views/pages/home.ejs.
+async function withWorkspace(fn) {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), "watch-test-"));
+    try {
+        const home = path.join(dir, "src/views/pages/home.ejs");
+        await fs.outputFile(home, "h");
+        await fs.outputFile(path.join(dir, ".cache/base/src/views/pages/home.ejs"), "h");
+        const stat = await fs.stat(home);
+        await fs.outputJson(path.join(dir, ".cache/state.json"), {
+            fileMap: {
+                "src/views/pages/home.ejs": { mtimeMs: stat.mtimeMs, size: stat.size, hash: crypto.createHash("sha1").update("h").digest("hex") },
+            },
+        });
+        await fn(dir);
+    } finally {
+        await fs.remove(dir);
+    }
+}
+
+test("a synced workspace is deleted on exit unless it is kept", async () => {
+    await withWorkspace(async (dir) => {
+        assert.equal(await closeWorkspace(dir, { keep: true }), false);
+        assert.ok(await fs.pathExists(dir));
+
+        assert.equal(await closeWorkspace(dir), true);
+        assert.equal(await fs.pathExists(dir), false);
+    });
+});
+
+test("unsynced edits and deletions keep the workspace unless discarded or pushed", async (t) => {
+    const promptExitChoice = cli.promptExitChoice;
+    t.after(() => { cli.promptExitChoice = promptExitChoice; });
+    const asked = [];
+    let choice = "keep";
+    cli.promptExitChoice = async (files) => {
+        asked.push(files);
+        return choice;
+    };
+
+    await withWorkspace(async (dir) => {
+        await fs.outputFile(path.join(dir, "src/views/pages/new.ejs"), "n");
+        await fs.remove(path.join(dir, "src/views/pages/home.ejs"));
+        assert.equal(await closeWorkspace(dir), false);
+        assert.deepEqual(asked, [["src/views/pages/new.ejs", "src/views/pages/home.ejs"]]);
+
+        // A push that leaves files behind still keeps it.
+        choice = "push";
+        let pushes = 0;
+        assert.equal(await closeWorkspace(dir, { push: async () => pushes++ }), false);
+        assert.equal(pushes, 1);
+        assert.ok(await fs.pathExists(dir));
+
+        choice = "discard";
+        assert.equal(await closeWorkspace(dir), true);
+        assert.equal(await fs.pathExists(dir), false);
+    });
+});
+
+test("a workspace another process is syncing is never deleted", async () => {
+    await withWorkspace(async (dir) => {
+        const release = await acquireLock(dir, { command: "sync-site" });
+        try {
+            assert.equal(await closeWorkspace(dir), false);
+            assert.ok(await fs.pathExists(path.join(dir, "src/views/pages/home.ejs")));
+        } finally {
+            await release();
+        }
+    });
+});
+
+test("a re-fetch whose sync fails is reported instead of ending the session", async (t) => {
+    const promptRefetchChoice = cli.promptRefetchChoice;
+    t.after(() => { cli.promptRefetchChoice = promptRefetchChoice; });
+    cli.promptRefetchChoice = async () => "push";
+    const errors = [];
+    t.mock.method(console, "error", (...args) => errors.push(args.join(" ")));
+
+    await withWorkspace(async (dir) => {
+        await fs.outputFile(path.join(dir, "src/views/pages/new.ejs"), "n");
+        const offline = Object.assign(new Error("API unreachable"), { offline: true });
+        assert.equal(await refetchWorkspace(dir, async () => { throw offline; }), false);
+        assert.deepEqual(errors, ["❌ Re-fetch failed: API unreachable"]);
+        assert.equal(await fs.readFile(path.join(dir, "src/views/pages/new.ejs"), "utf-8"), "n");
+    });
+});
@@ -0,0 +1,24 @@
+#!/usr/bin/env node
+
+/**
+ * SleekCMS workspace diff — shim for `sleekcms diff` (src/commands.js).
+ *
+ * Prints unified diffs of pending local changes against the last-synced
+ * content kept in .cache/base/. Does not contact the server.
+ *
+ * Usage: diff-site [paths...] [-d <workspace-dir>] [--json]
+ *   paths are workspace-relative (src/...); default is every pending file.
+ */
+
+const { program } = require("commander");
+const { runCommand } = require("./src/commands");
+
+program
+    .name("diff-site")
+    .description("Show unified diffs of local changes since the last sync. Same as `sleekcms diff`.")
+    .argument("[paths...]", "Limit to these workspace-relative paths")
+    .option("-d, --dir <dir>", "Workspace directory (default: current directory)")
+    .option("--json", "Print machine-readable JSON")
+    .parse(process.argv);
+
+runCommand("diff", { ...program.opts(), paths: program.args });
@@ -0,0 +1,25 @@
+#!/usr/bin/env node
+
+/**
+ * SleekCMS site export — shim for `sleekcms export` (src/commands.js).
+ *
+ * Downloads every file of the token's site into a portable .tar.gz with a
+ * manifest (site id, name, env, timestamp, file hashes). Use import-site to
+ * restore it into the same or another site.
+ *
+ * Usage: export-site -t <token> [-o <file.tar.gz>] [-e <env>] [--json]
+ */
+
+const { program } = require("commander");
+const { runCommand } = require("./src/commands");
+
+program
+    .name("export-site")
+    .description("Export all files of a SleekCMS site to a .tar.gz archive. Same as `sleekcms export`.")
+    .requiredOption("-t, --token <token>", "SleekCMS CLI auth token")
+    .option("-o, --out <file>", "Archive path (default: <site-slug>-<timestamp>.tar.gz)")
+    .option("-e, --env <env>", "Environment override (localhost, development, production)")
+    .option("--json", "Print the result as JSON")
+    .parse(process.argv);
+
+runCommand("export", program.opts());
@@ -0,0 +1,36 @@
+#!/usr/bin/env node
+
+/**
+ * SleekCMS push history — shim for `sleekcms history` and `sleekcms
+ * rollback` (src/commands.js).
+ *
+ * Every push records the previous content of the files it changed under
+ * .cache/history/. `list` shows those snapshots; `rollback <id>` restores
+ * the files from one and pushes them back to the server.
+ *
+ * Usage: history-site [list] [-d <workspace-dir>] [--json]
+ *        history-site rollback <id> [-d <workspace-dir>] [--force] [--json]
+ */
+
+const { program } = require("commander");
+const { runCommand } = require("./src/commands");
+
+program
+    .name("history-site")
+    .description("List and roll back pushes made from a SleekCMS workspace. Same as `sleekcms history` and `sleekcms rollback`.");
+
+program.command("list", { isDefault: true })
+    .description("List push snapshots, newest first")
+    .option("-d, --dir <dir>", "Workspace directory (default: current directory)")
+    .option("--json", "Print machine-readable JSON")
+    .action(opts => runCommand("history", opts));
+
+program.command("rollback")
+    .description("Restore the files a push changed and push them back")
+    .argument("<id>", "Snapshot id from `history-site list`")
+    .option("-d, --dir <dir>", "Workspace directory (default: current directory)")
+    .option("--force", "Overwrite unsynced local changes to those files")
+    .option("--json", "Print the result as JSON")
+    .action((id, opts) => runCommand("rollback", { ...opts, id }));
+
+program.parse(process.argv);
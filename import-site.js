@@ -0,0 +1,27 @@
+#!/usr/bin/env node
+
+/**
+ * SleekCMS site import — shim for `sleekcms import` (src/commands.js).
+ *
+ * Pushes an export-site archive into the token's site in dependency order,
+ * then checks the server's files against the archive manifest. Files with
+ * the same path are overwritten; other files on the site are kept.
+ *
+ * Usage: import-site <archive.tar.gz> -t <token> [-e <env>] [-y] [--chunk-size <kb>] [--json]
+ */
+
+const { program } = require("commander");
+const { runCommand } = require("./src/commands");
+
+program
+    .name("import-site")
+    .description("Import a site export archive into a SleekCMS site and verify the result. Same as `sleekcms import`.")
+    .argument("<archive>", "Archive written by export-site")
+    .requiredOption("-t, --token <token>", "SleekCMS CLI auth token of the target site")
+    .option("-e, --env <env>", "Environment override (localhost, development, production)")
+    .option("-y, --yes", "Import without asking for confirmation")
+    .option("--chunk-size <kb>", "Largest /save_files request in KB (default: 1024)", Number)
+    .option("--json", "Print the result as JSON")
+    .parse(process.argv);
+
+runCommand("import", { ...program.opts(), archive: program.args[0] });
@@ -0,0 +1,23 @@
+#!/usr/bin/env node
+
+/**
+ * SleekCMS workspace lint — shim for `sleekcms lint` (src/commands.js).
+ *
+ * Runs the same local checks that sync-site applies before pushing, without
+ * talking to the server. Exits 7 when any error is found.
+ *
+ * Usage: lint-site [-d <workspace-dir>] [--json]
+ *   -d defaults to the current directory.
+ */
+
+const { program } = require("commander");
+const { runCommand } = require("./src/commands");
+
+program
+    .name("lint-site")
+    .description("Check models, content and cross-file references in a SleekCMS workspace before they are pushed. Same as `sleekcms lint`.")
+    .option("-d, --dir <dir>", "Workspace directory (default: current directory)")
+    .option("--json", "Print machine-readable JSON")
+    .parse(process.argv);
+
+runCommand("lint", program.opts());
@@ -0,0 +1,28 @@
+#!/usr/bin/env node
+
+/**
+ * SleekCMS token rotation — shim for `sleekcms login` (src/commands.js).
+ *
+ * Switches a workspace to a new auth token after checking that the token
+ * reaches the same site. state.json and the workspace files are kept, so
+ * the next sync is incremental. Tokens are kept in the credential store
+ * (src/credentials.js), never in the workspace.
+ *
+ * Usage: login-site [-d <workspace-dir> | -s <site>] [-t <token>] [-e <env>]
+ *   Without -t the token is asked for.
+ */
+
+const { program } = require("commander");
+const { runCommand } = require("./src/commands");
+
+program
+    .name("login-site")
+    .description("Switch a SleekCMS workspace to a new auth token, keeping its sync state. Same as `sleekcms login`.")
+    .option("-t, --token <token>", "New SleekCMS CLI auth token (default: ask)")
+    .option("-d, --dir <dir>", "Workspace directory (default: the --site workspace, else the current directory)")
+    .option("-s, --site <name>", "Use a named site from ~/.sleekcms/profiles.json")
+    .option("-e, --env <env>", "Environment override (localhost, development, production)")
+    .option("--json", "Print the result as JSON")
+    .parse(process.argv);
+
+runCommand("login", program.opts());
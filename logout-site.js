@@ -0,0 +1,23 @@
+#!/usr/bin/env node
+
+/**
+ * SleekCMS logout — shim for `sleekcms logout` (src/commands.js).
+ *
+ * Forgets the auth token stored for a workspace (src/credentials.js). The
+ * workspace and its sync state stay; `login-site` binds a new token.
+ *
+ * Usage: logout-site [-d <workspace-dir> | -s <site>]
+ */
+
+const { program } = require("commander");
+const { runCommand } = require("./src/commands");
+
+program
+    .name("logout-site")
+    .description("Forget the auth token stored for a SleekCMS workspace, keeping its files and sync state. Same as `sleekcms logout`.")
+    .option("-d, --dir <dir>", "Workspace directory (default: the --site workspace, else the current directory)")
+    .option("-s, --site <name>", "Use a named site from ~/.sleekcms/profiles.json")
+    .option("--json", "Print the result as JSON")
+    .parse(process.argv);
+
+runCommand("logout", program.opts());
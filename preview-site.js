@@ -0,0 +1,23 @@
+#!/usr/bin/env node
+
+/**
+ * SleekCMS local preview — shim for `sleekcms preview` (src/commands.js).
+ *
+ * Serves the pages of a workspace rendered with local templates and
+ * content, reloading open tabs whenever a file changes. Nothing is pushed.
+ *
+ * Usage: preview-site [-d <workspace-dir>] [--port <port>]
+ *   -d defaults to the current directory, --port to 4000.
+ */
+
+const { program } = require("commander");
+const { runCommand } = require("./src/commands");
+
+program
+    .name("preview-site")
+    .description("Render a SleekCMS workspace locally with live reload. Does not push changes. Same as `sleekcms preview`.")
+    .option("-d, --dir <dir>", "Workspace directory (default: current directory)")
+    .option("--port <port>", "Port to listen on", "4000")
+    .parse(process.argv);
+
+runCommand("preview", program.opts());
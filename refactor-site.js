@@ -0,0 +1,47 @@
+#!/usr/bin/env node
+
+/**
+ * SleekCMS refactorings — shim for `sleekcms rename-key` and `sleekcms
+ * rename-field` (src/commands.js).
+ *
+ * Renames a key or a model field across models, templates and content,
+ * shows the diff, and after confirmation writes every affected file and
+ * pushes them in one /save_files batch. Reads the auth token like
+ * sync-site (src/config.js).
+ *
+ * Usage: refactor-site rename-key <kind> <old> <new> [-d <dir>] [-y] [--no-push]
+ *        refactor-site rename-field <kind> <key> <field> <new> [-d <dir>] [-y] [--no-push]
+ *   <kind> is page, entry or block; <field> may be dotted (hero.title).
+ */
+
+const { program } = require("commander");
+const { runCommand } = require("./src/commands");
+
+function withCommonOptions(cmd) {
+    return cmd
+        .option("-d, --dir <dir>", "Workspace directory (default: current directory)")
+        .option("-y, --yes", "Apply without asking for confirmation")
+        .option("--no-push", "Only rewrite local files; the next sync pushes them")
+        .option("--json", "Print the result as JSON");
+}
+
+program
+    .name("refactor-site")
+    .description("Rename keys and model fields across a SleekCMS workspace. Same as `sleekcms rename-key` and `sleekcms rename-field`.");
+
+withCommonOptions(program.command("rename-key")
+    .description("Rename a page, entry or block key: model, template, content and references")
+    .argument("<kind>", "page, entry or block")
+    .argument("<old>", "Current key, e.g. blog+")
+    .argument("<new>", "New key"))
+    .action((kind, oldKey, newKey, opts) => runCommand("rename-key", { ...opts, kind, old: oldKey, new: newKey }));
+
+withCommonOptions(program.command("rename-field")
+    .description("Rename a model field in the model, its content and its template")
+    .argument("<kind>", "page, entry or block")
+    .argument("<key>", "Model key, e.g. blog+")
+    .argument("<field>", "Current field name; dotted for nested groups (hero.title)")
+    .argument("<new>", "New field name"))
+    .action((kind, key, field, newName, opts) => runCommand("rename-field", { ...opts, kind, key, field, new: newName }));
+
+program.parse(process.argv);
@@ -0,0 +1,36 @@
+#!/usr/bin/env node
+
+/**
+ * SleekCMS scaffold generator — shim for `sleekcms new` (src/commands.js).
+ *
+ * Creates the model, template and starter content for a new page, entry or
+ * block with correctly matching names. Refuses to overwrite existing keys.
+ *
+ * Usage: scaffold-site <page|entry|block> <key> [-d <workspace-dir>]
+ *          [--collection] [--fields name:type,...] [--slug <slug>] [--json]
+ *   -d defaults to the current directory.
+ */
+
+const { program } = require("commander");
+const { runCommand } = require("./src/commands");
+
+program
+    .name("scaffold-site")
+    .description("Create the model, template and starter content for a new page, entry or block. Same as `sleekcms new`.")
+    .argument("<kind>", "page, entry or block")
+    .argument("<key>", "Key of the new model, e.g. about, blog or authors")
+    .option("-d, --dir <dir>", "Workspace directory (default: current directory)")
+    .option("--collection", "Make a collection (key gets a + suffix)")
+    .option("--fields <fields>", "Comma-separated name:type list (default: title:text)")
+    .option("--slug <slug>", "Slug of the starter collection item", "example")
+    .option("--json", "Print the result as JSON")
+    .addHelpText("after", `
+Examples:
+  $ scaffold-site page blog --collection --fields title:text,cover:image,body:markdown
+  $ scaffold-site entry authors --collection --fields name:text,photo:image
+  $ scaffold-site block hero --fields heading:text,background:image
+`)
+    .parse(process.argv);
+
+const [kind, key] = program.args;
+runCommand("new", { ...program.opts(), kind, key });
@@ -5,13 +5,25 @@
  *
  * Bi-directional sync between a local workspace and the SleekCMS server.
  * Safe to invoke repeatedly: a `.cache/state.json` inside the workspace
- * tracks server-known state so only real diffs are pushed.
+ * tracks server-known state so only real diffs are pulled and pushed.
  */
 
+const crypto = require("crypto");
 const fs = require("fs-extra");
 const os = require("os");
 const path = require("path");
 const { program } = require("commander");
+const merge = require("./src/merge");
+const lint = require("./src/lint");
+const { unifiedDiff } = require("./src/diff");
+const history = require("./src/history");
+const archive = require("./src/archive");
+const { withLock } = require("./src/lock");
+const { request } = require("./src/http");
+const { loadErrors, saveErrors, setError, listErrors, serverError } = require("./src/errors");
+const { loadIgnore } = require("./src/ignore");
+const events = require("./src/events");
+const { bindToken, login } = require("./src/credentials");
 
 const API_BASE_URLS = {
     localhost:   "http://app.sleekcms.test/api/mcp",
@@ -33,23 +45,13 @@ const SRC_DIRS = [
     "src/public/css",
 ];
 
-async function request(baseUrl, token, method, p, body) {
-    const res = await fetch(baseUrl + p, {
-        method,
-        headers: {
-            Authorization: `Bearer ${token}`,
-            ...(body !== undefined ? { "Content-Type": "application/json" } : {}),
-        },
-        body: body !== undefined ? JSON.stringify(body) : undefined,
-    });
-    if (!res.ok) {
-        const text = await res.text();
-        const err = new Error(`${method} ${p} → ${res.status}: ${text}`);
-        err.status = res.status;
-        err.body = text;
-        throw err;
-    }
-    return res.json();
+/**
+ * API base for a token: the env is the third dash-separated token part
+ * unless overridden.
+ */
+function resolveApi(token, envOverride) {
+    const env = (envOverride || token.split("-")[2] || "production").toLowerCase();
+    return { env, apiBase: API_BASE_URLS[env] || API_BASE_URLS.production };
 }
 
 async function writeAuxFiles(viewsDir, agentMdContent) {
@@ -65,21 +67,6 @@ async function writeAuxFiles(viewsDir, agentMdContent) {
     }, null, 2));
 }
 
-async function checkAndWriteToken(viewsDir, token) {
-    const tokenPath = path.join(viewsDir, ".cache", "token");
-    if (await fs.pathExists(tokenPath)) {
-        const existing = (await fs.readFile(tokenPath, "utf-8")).trim();
-        if (existing !== token) {
-            throw new Error(
-                `Workspace at ${viewsDir} is tied to a different token. ` +
-                `Remove ${tokenPath} or use a different workspace.`
-            );
-        }
-        return;
-    }
-    await fs.outputFile(tokenPath, token);
-}
-
 function resolveViewsDir(basePath, site) {
     const slug = `${site.name.substr(0, 20)} ${site.id}`
         .replace(/[\s_]+/g, "-")
@@ -88,95 +75,839 @@ function resolveViewsDir(basePath, site) {
     return path.resolve(base, slug);
 }
 
+/**
+ * Pull server edits and push local changes. With `dryRun` the workspace is
+ * only planned: nothing is pulled or pushed and nothing in it (state.json,
+ * the token binding) is written, though the site is still read from the
+ * server; the result carries `plan` (see
+ * describePushPlan). A dry run of a workspace that was never synced fails
+ * with ENOWORKSPACE, as there is nothing to plan against.
+ * Everything else runs under the workspace lock (src/lock.js); a sync that
+ * finds it held waits up to `lockTimeout` ms, then fails with ELOCKED.
+ * When the API can't be reached (see src/http.js) the pending changes are
+ * recorded in the offline queue and the error is rethrown with `offline`
+ * and `queued` set; the next successful sync drains the queue.
+ * With `pullOnly`, server edits are pulled and local changes stay pending.
+ */
 async function syncSite(opts) {
     const token = (opts.token || "").trim();
     if (!token) throw new Error("syncSite: token is required");
+    if (opts.dryRun && opts.flush) throw new Error("syncSite: dryRun can't be combined with flush");
 
-    const env = (opts.env || token.split("-")[2] || "production").toLowerCase();
-    const apiBase = API_BASE_URLS[env] || API_BASE_URLS.production;
+    try {
+        return await startSync(token, opts);
+    } catch (err) {
+        events.emit("sync_failed", { message: err.body || err.message, code: err.code || null, offline: !!err.offline });
+        throw err;
+    }
+}
 
-    const site = await request(apiBase, token, "GET", "/get_site");
+async function startSync(token, opts) {
+    const { apiBase } = resolveApi(token, opts.env);
+
+    let site;
+    try {
+        site = await request(apiBase, token, "GET", "/get_site");
+    } catch (err) {
+        if (err.offline && opts.viewsDir && !opts.dryRun) await queueOfflineLocked(path.resolve(opts.viewsDir), err, opts);
+        throw err;
+    }
 
     const viewsDir = opts.viewsDir
         ? path.resolve(opts.viewsDir)
         : resolveViewsDir(opts.path, site);
 
-    await fs.ensureDir(viewsDir);
-    await Promise.all(SRC_DIRS.map((dir) => fs.ensureDir(path.join(viewsDir, dir))));
-    await checkAndWriteToken(viewsDir, token);
+    if (opts.dryRun) {
+        if (!(await fs.pathExists(path.join(viewsDir, ".cache", "state.json")))) {
+            const err = new Error(`Nothing to plan: ${viewsDir} was never synced — run: sleekcms init`);
+            err.code = "ENOWORKSPACE";
+            throw err;
+        }
+    } else {
+        await fs.ensureDir(viewsDir);
+        await Promise.all(SRC_DIRS.map((dir) => fs.ensureDir(path.join(viewsDir, dir))));
+        await bindToken(viewsDir, token, site.id);
+    }
+    events.emit("sync_started", {
+        workspace: viewsDir,
+        site: { id: site.id, name: site.name },
+        command: opts.command || "sync",
+        dryRun: !!opts.dryRun,
+    });
+
+    if (opts.dryRun) return syncWorkspace(viewsDir, site, apiBase, token, opts);
+    return withLock(viewsDir, { command: opts.command || "sync", timeout: opts.lockTimeout },
+        () => syncWorkspace(viewsDir, site, apiBase, token, opts));
+}
 
+/**
+ * The sync itself, for a workspace whose lock the caller holds (a dry run
+ * only reads, so it needs none).
+ */
+async function syncWorkspace(viewsDir, site, apiBase, token, opts) {
     const statePath = path.join(viewsDir, ".cache", "state.json");
-    if (opts.flush) await fs.remove(statePath);
+    let before = null;
+    if (opts.flush) {
+        before = await hashWorkspace(viewsDir);
+        await fs.remove(statePath);
+        await fs.remove(path.join(viewsDir, BASE_DIR));
+    }
 
     const isFirstRun = !(await fs.pathExists(statePath));
     let fileMap = isFirstRun ? {} : (await fs.readJson(statePath)).fileMap || {};
 
     let pushed = 0;
     let pulled = 0;
+    let deleted = 0;
+    let moved = 0;
+    let offline = null;
+
+    if (opts.dryRun) {
+        const plan = describePushPlan(await planPush(viewsDir, fileMap, { batch: opts.batch }));
+        return { viewsDir, site, isFirstRun, pushed: 0, pulled: 0, deleted: 0, moved: 0, dryRun: true, plan };
+    }
 
     if (isFirstRun) {
         ({ fileMap, pulled } = await pullServerState(viewsDir, apiBase, token));
         await writeAuxFiles(viewsDir, opts.agentMd);
+        events.emit("pull_completed", { pulled, firstRun: true });
     } else {
-        pushed = await pushLocalChanges(viewsDir, fileMap, apiBase, token);
+        try {
+            pulled = await pullServerChanges(viewsDir, fileMap, apiBase, token);
+        } catch (err) {
+            if (err.offline) await queueOffline(viewsDir, err);
+            throw err;
+        }
+        events.emit("pull_completed", { pulled, firstRun: false });
+        if (!opts.pullOnly) {
+            ({ pushed, deleted, moved, offline } = await pushLocalChanges(viewsDir, fileMap, apiBase, token, {
+                batch: opts.batch,
+                limits: { maxBytes: opts.chunkBytes, maxFiles: opts.chunkFiles },
+            }));
+        }
+    }
+
+    const refetch = before ? await reconcileRefetch(viewsDir, before, fileMap) : undefined;
+
+    await writeState(statePath, fileMap);
+
+    if (offline) {
+        await queueOffline(viewsDir, offline);
+        throw offline;
+    }
+    if (!opts.pullOnly) await fs.remove(path.join(viewsDir, QUEUE_FILE));
+
+    const failed = listErrors(await loadErrors(viewsDir)).length;
+    events.emit("sync_completed", { pulled, pushed, moved, deleted, failed });
+
+    return { viewsDir, site, isFirstRun, pushed, pulled, deleted, moved, refetch };
+}
+
+/**
+ * Switch an initialized workspace to a new `token` (see src/credentials.js)
+ * after checking that it reaches the workspace's site. state.json and the
+ * workspace files are kept, so the next sync is incremental.
+ */
+async function loginSite({ token, viewsDir, env }) {
+    viewsDir = path.resolve(viewsDir);
+    if (!(await fs.pathExists(path.join(viewsDir, ".cache", "state.json")))) {
+        const err = new Error(`No workspace at ${viewsDir} — run: sleekcms init -t <token>`);
+        err.code = "ENOWORKSPACE";
+        throw err;
+    }
+    const { apiBase } = resolveApi(token.trim(), env);
+    const site = await request(apiBase, token.trim(), "GET", "/get_site");
+    await login(viewsDir, token.trim(), site.id);
+    return { viewsDir, site };
+}
+
+/**
+ * Restore the files of history snapshot `id` to their content before that
+ * push and push them back as one batch. Refuses, unless `force`, when any
+ * of those files has unsynced local changes that the restore would lose.
+ */
+async function rollbackSite({ token, viewsDir, id, force = false, env }) {
+    const manifest = await history.readSnapshot(viewsDir, id);
+    const { apiBase } = resolveApi(token.trim(), env);
+    const site = await request(apiBase, token.trim(), "GET", "/get_site");
+
+    return withLock(viewsDir, { command: `rollback ${id}` }, async () => {
+        const status = await workspaceStatus(viewsDir);
+        const pending = new Set([...status.new, ...status.modified, ...status.deleted]);
+        const dirty = manifest.files.map((f) => f.path).filter((rel) => pending.has(rel));
+        if (dirty.length > 0 && !force) {
+            const err = new Error(`Unsynced local changes would be lost: ${dirty.join(", ")}. Sync or pass force to roll back anyway.`);
+            err.code = "EDIRTY";
+            throw err;
+        }
+
+        const restored = await history.restoreSnapshot(viewsDir, id);
+        const result = await syncWorkspace(viewsDir, site, apiBase, token.trim(), { batch: true });
+        return { ...result, restored };
+    });
+}
+
+const ARCHIVE_FORMAT = "sleekcms-export";
+const ARCHIVE_MANIFEST = "manifest.json";
+
+// Import order: what other files refer to goes first (block and entry
+// models before pages, layouts before page templates, images.json and
+// entries before page content).
+const IMPORT_ORDER = [
+    "src/models/blocks/", "src/models/entries/", "src/models/",
+    "src/views/layouts/", "src/views/blocks/", "src/views/entries/", "src/views/",
+    "src/content/images.json", "src/content/entries/", "src/content/",
+];
+
+function importRank(rel) {
+    const i = IMPORT_ORDER.findIndex((prefix) => rel.startsWith(prefix));
+    return i === -1 ? IMPORT_ORDER.length : i;
+}
+
+/**
+ * Download every file of the token's site (as the first pull does) into a
+ * .tar.gz at `file`, with a manifest of site id, name, env, timestamp and
+ * per-file sha1 hashes. Returns `{ file, site, manifest }`.
+ */
+async function exportSite({ token, env, file }) {
+    const api = resolveApi((token || "").trim(), env);
+    const site = await request(api.apiBase, token.trim(), "GET", "/get_site");
+    const files = (await request(api.apiBase, token.trim(), "GET", "/get_files"))
+        .sort((a, b) => (a.path < b.path ? -1 : 1));
+
+    const manifest = {
+        format: ARCHIVE_FORMAT,
+        version: 1,
+        site: { id: site.id, name: site.name },
+        env: api.env,
+        exportedAt: new Date().toISOString(),
+        files: files.map((f) => ({ path: f.path, hash: hashContent(f.content), size: Buffer.byteLength(f.content) })),
+    };
+
+    const target = path.resolve(file || `${path.basename(resolveViewsDir(".", site))}-${manifest.exportedAt.replace(/[:.]/g, "-")}.tar.gz`);
+    await fs.outputFile(target, archive.writeTarGz([
+        { name: ARCHIVE_MANIFEST, content: JSON.stringify(manifest, null, 2) + "\n" },
+        ...files.map((f) => ({ name: f.path, content: f.content })),
+    ]));
+    return { file: target, site, manifest };
+}
+
+/**
+ * Read an export archive and check every file against its manifest.
+ * Returns `{ manifest, files: [{ path, content }] }`.
+ */
+async function readSiteArchive(file) {
+    const entries = archive.readTarGz(await fs.readFile(file));
+    const manifestEntry = entries.find((e) => e.name === ARCHIVE_MANIFEST);
+    if (!manifestEntry) throw new Error(`${file} is not a site export: no ${ARCHIVE_MANIFEST}`);
+    const manifest = JSON.parse(manifestEntry.content.toString("utf-8"));
+    if (manifest.format !== ARCHIVE_FORMAT) throw new Error(`${file} is not a site export (format: ${manifest.format})`);
+
+    const contents = new Map(entries.map((e) => [e.name, e.content.toString("utf-8")]));
+    const files = manifest.files.map((f) => {
+        const content = contents.get(f.path);
+        if (content === undefined) throw new Error(`Archive is incomplete: ${f.path} is listed in the manifest but missing`);
+        if (hashContent(content) !== f.hash) throw new Error(`Archive is corrupt: ${f.path} does not match its manifest hash`);
+        return { path: f.path, content };
+    });
+    return { manifest, files };
+}
+
+/**
+ * Push an export archive into the token's site, in dependency order (at
+ * least one /save_files request per models, templates, content and assets;
+ * see chunkSaves), then verify
+ * the server's files against the manifest. Files already on the site that
+ * are not in the archive are left alone and reported as `extra`.
+ * `confirm(site, manifest)`, if given, can cancel before anything is sent.
+ * Returns `{ site, manifest, pushed, errors, verification }`, or
+ * `{ site, manifest, cancelled: true }`.
+ */
+async function importSite({ token, env, file, confirm, limits }) {
+    const { manifest, files } = await readSiteArchive(file);
+    const api = resolveApi((token || "").trim(), env);
+    const site = await request(api.apiBase, token.trim(), "GET", "/get_site");
+    if (confirm && !(await confirm(site, manifest))) return { site, manifest, cancelled: true };
+
+    const ordered = [...files].sort((a, b) => importRank(a.path) - importRank(b.path) || (a.path < b.path ? -1 : 1));
+    const errors = [];
+    let pushed = 0;
+    const chunks = SAVE_GROUPS.flatMap((group) =>
+        chunkSaves(ordered.filter((f) => saveGroup(f.path) === group), (f) => f, limits));
+    for (let n = 0; n < chunks.length; n++) {
+        const { group, items, bytes } = chunks[n];
+        console.log(`📤 Importing chunk ${n + 1}/${chunks.length}: ${items.length} ${group} file(s), ${formatBytes(bytes)}`);
+        let results;
+        try {
+            results = await request(api.apiBase, token.trim(), "POST", "/save_files", items);
+        } catch (err) {
+            if (err.offline) throw err;
+            items.forEach((f) => errors.push({ path: f.path, error: err.body || err.message }));
+            continue;
+        }
+        items.forEach((f, i) => {
+            const r = results[i] || {};
+            if (r.error) errors.push({ path: f.path, error: serverError(r).message });
+            else pushed++;
+        });
     }
 
-    await fs.outputJson(statePath, { fileMap }, { spaces: 2 });
+    const onServer = new Map((await request(api.apiBase, token.trim(), "GET", "/list_files")).map((f) => [f.path, f.hash]));
+    const expected = new Set(manifest.files.map((f) => f.path));
+    const verification = {
+        missing: manifest.files.filter((f) => !onServer.has(f.path)).map((f) => f.path),
+        mismatched: manifest.files.filter((f) => onServer.has(f.path) && onServer.get(f.path) !== f.hash).map((f) => f.path),
+        extra: [...onServer.keys()].filter((rel) => !expected.has(rel)).sort(),
+    };
+    verification.ok = verification.missing.length === 0 && verification.mismatched.length === 0;
 
-    return { viewsDir, site, isFirstRun, pushed, pulled };
+    return { site, manifest, pushed, errors, verification };
 }
 
+const QUEUE_FILE = path.join(".cache", "queue.json");
+
+/**
+ * Record the workspace's pending changes in `.cache/queue.json` as
+ * `{ since, reason, paths }` after `err` showed the API is unreachable.
+ * `since` is kept from an existing queue. Sets `err.queued` to the paths.
+ * The caller holds the workspace lock.
+ */
+async function queueOffline(viewsDir, err) {
+    if (!(await fs.pathExists(path.join(viewsDir, ".cache", "state.json")))) return;
+    const status = await workspaceStatus(viewsDir);
+    const paths = [...status.new, ...status.modified, ...status.deleted, ...status.failing.map((f) => f.path)];
+    const prior = await readQueue(viewsDir);
+    await writeJsonAtomic(path.join(viewsDir, QUEUE_FILE), {
+        since: prior ? prior.since : new Date().toISOString(),
+        reason: err.message,
+        paths: [...new Set(paths)].sort(),
+    });
+    err.queued = [...new Set(paths)].sort();
+}
+
+/**
+ * queueOffline for a sync that failed before taking the lock. If another
+ * sync holds the lock past `lockTimeout`, that one records the queue.
+ */
+async function queueOfflineLocked(viewsDir, err, opts) {
+    if (!(await fs.pathExists(path.join(viewsDir, ".cache", "state.json")))) return;
+    try {
+        await withLock(viewsDir, { command: opts.command || "sync", timeout: opts.lockTimeout },
+            () => queueOffline(viewsDir, err));
+    } catch (lockErr) {
+        if (lockErr.code !== "ELOCKED") throw lockErr;
+    }
+}
+
+/**
+ * The offline queue (see queueOffline), or null when it is empty.
+ */
+async function readQueue(viewsDir) {
+    const file = path.join(viewsDir, QUEUE_FILE);
+    return (await fs.pathExists(file)) ? fs.readJson(file) : null;
+}
+
+/**
+ * Write JSON through a temp file and rename, so readers that do not take
+ * the lock (status, diff) never see it half-written.
+ */
+async function writeJsonAtomic(file, data) {
+    const tmp = `${file}.${process.pid}.tmp`;
+    await fs.outputJson(tmp, data, { spaces: 2 });
+    await fs.move(tmp, file, { overwrite: true });
+}
+
+async function writeState(statePath, fileMap) {
+    await writeJsonAtomic(statePath, { fileMap });
+}
+
+/**
+ * Contents of every workspace file under src/, keyed by relative path.
+ */
+async function readWorkspace(viewsDir) {
+    const files = {};
+    for (const rel of await walkFiles(viewsDir)) {
+        files[rel] = await fs.readFile(path.join(viewsDir, rel), "utf-8");
+    }
+    return files;
+}
+
+async function hashWorkspace(viewsDir) {
+    const hashes = {};
+    for (const [rel, content] of Object.entries(await readWorkspace(viewsDir))) {
+        hashes[rel] = hashContent(content);
+    }
+    return hashes;
+}
+
+/**
+ * After a flush re-pull, make the workspace an exact copy of the server:
+ * drop local-only files and leftover conflict sidecars. Returns which files
+ * the re-fetch added, changed or removed relative to `before`.
+ */
+async function reconcileRefetch(viewsDir, before, fileMap) {
+    const report = { added: [], changed: [], removed: [] };
+
+    for (const rel of Object.keys(before)) {
+        await fs.remove(path.join(viewsDir, rel + SERVER_SIDECAR));
+        if (fileMap[rel]) continue;
+        await fs.remove(path.join(viewsDir, rel));
+        report.removed.push(rel);
+    }
+    for (const [rel, entry] of Object.entries(fileMap)) {
+        if (!(rel in before)) report.added.push(rel);
+        else if (before[rel] !== entry.hash) report.changed.push(rel);
+    }
+
+    for (const list of Object.values(report)) list.sort();
+    return report;
+}
+
+/**
+ * Local changes that a re-fetch would undo without them ever reaching the
+ * server: files new or edited since the last sync or listed in
+ * sync-errors.json, and deletions not pushed yet (still in the watcher's
+ * debounce window, or waiting in the offline queue). Returns their paths.
+ */
+async function findUnsyncedFiles(viewsDir) {
+    const statePath = path.join(viewsDir, ".cache", "state.json");
+    const fileMap = (await fs.pathExists(statePath)) ? (await fs.readJson(statePath)).fileMap || {} : {};
+    const errors = await loadErrors(viewsDir);
+    const unsynced = [];
+
+    const onDisk = await walkFiles(viewsDir);
+    for (const rel of onDisk) {
+        const full = path.join(viewsDir, rel);
+        const changed = await readIfChanged(full, fileMap[rel]);
+        if (!changed && !errors[rel]) continue;
+        if (changed && !changed.content.trim()) continue;
+        unsynced.push(rel);
+    }
+
+    const queue = await readQueue(viewsDir);
+    const queued = [];
+    for (const rel of queue ? queue.paths : []) {
+        // Missing, but synced before: a deletion. Otherwise a new file since removed.
+        if (await fs.pathExists(path.join(viewsDir, rel))) continue;
+        if ((await readBase(viewsDir, rel)) !== null) queued.push(rel);
+    }
+    unsynced.push(...new Set([...(await findDeleted(viewsDir, fileMap, onDisk)), ...queued]));
+
+    return unsynced;
+}
+
+/**
+ * Pending local changes relative to `.cache/state.json`, without contacting
+ * the server: `{ new, modified, deleted, failing }`, each sorted by path.
+ * `failing` lists the files in sync-errors.json as `{ path, message, ... }`
+ * (see src/errors.js).
+ */
+async function workspaceStatus(viewsDir) {
+    const fileMap = (await fs.readJson(path.join(viewsDir, ".cache", "state.json"))).fileMap || {};
+    const errors = await loadErrors(viewsDir);
+    const status = { new: [], modified: [], deleted: [], failing: [] };
+
+    const onDisk = await walkFiles(viewsDir);
+    for (const rel of onDisk.sort()) {
+        const changed = await readIfChanged(path.join(viewsDir, rel), fileMap[rel]);
+        if (!changed || !changed.content.trim()) continue;
+        status[fileMap[rel] ? "modified" : "new"].push(rel);
+    }
+    status.deleted = (await findDeleted(viewsDir, fileMap, onDisk)).sort();
+    status.failing = listErrors(errors);
+    return status;
+}
+
+/**
+ * Unified diffs of pending changes against the last-synced content in
+ * `.cache/base/`, as `[{ path, status, diff }]`. `paths` limits the files.
+ */
+async function workspaceDiff(viewsDir, paths) {
+    const status = await workspaceStatus(viewsDir);
+    const wanted = paths && paths.length > 0 ? new Set(paths) : null;
+    const diffs = [];
+    for (const kind of ["new", "modified", "deleted"]) {
+        for (const rel of status[kind]) {
+            if (wanted && !wanted.has(rel)) continue;
+            const before = kind === "new" ? null : await readBase(viewsDir, rel);
+            const after = kind === "deleted" ? null : await fs.readFile(path.join(viewsDir, rel), "utf-8");
+            diffs.push({ path: rel, status: kind, diff: unifiedDiff(before, after, { from: `a/${rel}`, to: `b/${rel}` }) });
+        }
+    }
+    return diffs.sort((a, b) => (a.path < b.path ? -1 : a.path > b.path ? 1 : 0));
+}
+
+/**
+ * Copy workspace files into `.cache/backup/<timestamp>/`, keeping their
+ * relative paths; deleted ones have nothing to copy and are skipped.
+ * Returns the backup directory.
+ */
+async function backupFiles(viewsDir, rels) {
+    const stamp = new Date().toISOString().replace(/[:.]/g, "-");
+    const backupDir = path.join(viewsDir, ".cache", "backup", stamp);
+    for (const rel of rels) {
+        if (!(await fs.pathExists(path.join(viewsDir, rel)))) continue;
+        await fs.copy(path.join(viewsDir, rel), path.join(backupDir, rel));
+    }
+    return backupDir;
+}
+
+/**
+ * Tracked files that are gone locally. A tracked file that is still on disk
+ * but missing from `onDisk` (walkFiles) was ignored after it was synced;
+ * it is left alone rather than deleted on the server.
+ */
+async function findDeleted(viewsDir, fileMap, onDisk) {
+    const present = new Set(onDisk);
+    const deleted = [];
+    for (const rel of Object.keys(fileMap)) {
+        if (!present.has(rel) && !(await fs.pathExists(path.join(viewsDir, rel)))) deleted.push(rel);
+    }
+    return deleted;
+}
+
+/**
+ * Workspace files under src/, except conflict sidecars and anything matched
+ * by `.sleekignore` (see src/ignore.js).
+ */
 async function walkFiles(viewsDir) {
     const sourceRoot = path.join(viewsDir, "src");
     if (!(await fs.pathExists(sourceRoot))) return [];
+    const ignored = await loadIgnore(viewsDir);
 
     const out = [];
     async function walk(dir) {
         const entries = await fs.readdir(dir, { withFileTypes: true });
         for (const entry of entries) {
             const full = path.join(dir, entry.name);
+            const rel = path.relative(viewsDir, full).replace(/\\/g, "/");
+            if (ignored(rel, entry.isDirectory())) continue;
             if (entry.isDirectory()) await walk(full);
-            else if (entry.isFile()) out.push(path.relative(viewsDir, full).replace(/\\/g, "/"));
+            else if (entry.isFile() && !entry.name.endsWith(SERVER_SIDECAR)) out.push(rel);
         }
     }
     await walk(sourceRoot);
     return out;
 }
 
+function hashContent(content) {
+    return crypto.createHash("sha1").update(content).digest("hex");
+}
+
+function fileEntry(stat, content) {
+    return { mtimeMs: stat.mtimeMs, size: stat.size, hash: hashContent(content) };
+}
+
+/**
+ * Read a workspace file unless it matches its fileMap entry. Equal mtime and
+ * size is only a fast path; otherwise the content hash decides, so touch,
+ * no-op formatter runs or branch checkouts don't count as edits. Returns
+ * `{ stat, content }` for a real change, else null — refreshing the entry's
+ * stat so the fast path hits next time.
+ */
+async function readIfChanged(full, prior) {
+    const stat = await fs.stat(full);
+    if (prior && prior.mtimeMs === stat.mtimeMs && (prior.size === undefined || prior.size === stat.size)) {
+        return null;
+    }
+
+    const content = await fs.readFile(full, "utf-8");
+    if (prior && prior.hash === hashContent(content)) {
+        prior.mtimeMs = stat.mtimeMs;
+        prior.size = stat.size;
+        return null;
+    }
+    return { stat, content };
+}
+
+// Last-synced content per file, the common ancestor for three-way merges.
+const BASE_DIR = path.join(".cache", "base");
+const SERVER_SIDECAR = ".server";
+
+async function readBase(viewsDir, rel) {
+    const file = path.join(viewsDir, BASE_DIR, rel);
+    if (!(await fs.pathExists(file))) return null;
+    return fs.readFile(file, "utf-8");
+}
+
+async function writeBase(viewsDir, rel, content) {
+    await fs.outputFile(path.join(viewsDir, BASE_DIR, rel), content);
+}
+
+async function removeBase(viewsDir, rel) {
+    await fs.remove(path.join(viewsDir, BASE_DIR, rel));
+}
+
+// Failures this process has reported, as `${viewsDir}\0${rel}` → message,
+// so that a watch session's polls don't repeat one that hasn't changed.
+const reported = new Map();
+
+/**
+ * setError(), also reported as a file_failed event (src/events.js) unless
+ * this process already reported the same failure. Returns whether it did.
+ */
+function recordFailure(viewsDir, errors, rel, category, details) {
+    setError(errors, rel, category, details);
+    const key = `${viewsDir}\0${rel}`;
+    if (reported.get(key) === errors[rel].message) return false;
+    reported.set(key, errors[rel].message);
+    events.emit("file_failed", { path: rel, category, message: errors[rel].message });
+    return true;
+}
+
+/**
+ * Forget reported failures of files that no longer fail, so a new failure
+ * of the same file is reported again.
+ */
+function forgetReported(viewsDir, errors) {
+    for (const key of reported.keys()) {
+        const [dir, rel] = key.split("\0");
+        if (dir === viewsDir && !errors[rel]) reported.delete(key);
+    }
+}
+
 /**
  * Push local edits via /save_files. Server enforces save order.
  *
- * Skip: file mtime matches cache → don't read, don't push.
+ * Skip: content hash matches cache → don't push (see readIfChanged).
  * After save, only overwrite the local file if its mtime is unchanged from
  * when we read it — otherwise a newer local edit is pending and we'd clobber it.
+ *
+ * Deletions are fileMap entries with no file on disk. A deletion whose last
+ * synced hash matches a new file is sent as a single move instead, so key
+ * renames (e.g. `blog+` → `posts+`) don't leave orphans on the server.
+ * With `batch` (used by the refactor commands) moves are not detected:
+ * every new or changed file is saved first, in one /save_files request
+ * whatever its size, and the old paths are deleted afterwards.
+ *
+ * Other saves go out in size-limited chunks (see chunkSaves; `limits`
+ * overrides the defaults), each merged into fileMap as soon as it returns.
+ *
+ * Files with an unresolved merge conflict or failing local checks (see
+ * src/lint.js) are held back and listed in sync-errors.json until fixed;
+ * each is logged once per process until its failure changes. Entries for
+ * files that are neither pending nor blocked any more (e.g. put back to
+ * their synced content) are dropped. A request that fails after its
+ * retries fails only the files in it; if the API is unreachable the push
+ * stops and `offline` holds the error.
+ */
+async function pushLocalChanges(viewsDir, fileMap, apiBase, token, { batch = false, limits } = {}) {
+    const errors = await loadErrors(viewsDir);
+    const plan = await planPush(viewsDir, fileMap, { batch });
+    const pending = new Set([
+        ...plan.saves.map((c) => c.rel),
+        ...plan.moves.flatMap((m) => [m.from, m.to]),
+        ...plan.removals,
+        ...plan.blocked.map((b) => b.path),
+    ]);
+    const stale = Object.keys(errors).filter((rel) => !pending.has(rel));
+    for (const rel of stale) delete errors[rel];
+    for (const p of plan.warnings) console.log(`⚠️ ${lint.formatProblem(p)}`);
+    for (const b of plan.blocked) {
+        if (!recordFailure(viewsDir, errors, b.path, b.problems ? "lint" : "conflict", b)) continue;
+        if (b.problems) b.problems.forEach((p) => console.error(`❌ ${lint.formatProblem(p)}`));
+        else console.error(`⚔️ Not pushing ${b.path}: unresolved conflict`);
+    }
+
+    const snapshot = await snapshotPush(viewsDir, plan);
+    const summary = { pushed: 0, deleted: 0, moved: 0, offline: null };
+
+    try {
+        if (plan.moves.length > 0) {
+            summary.moved = await pushMoves(viewsDir, plan.moves, fileMap, errors, apiBase, token);
+        }
+        if (plan.saves.length > 0) {
+            const saveLimits = batch ? { maxBytes: Infinity, maxFiles: Infinity } : limits;
+            summary.pushed = await pushSaves(viewsDir, plan.saves, fileMap, errors, apiBase, token, saveLimits);
+        }
+        if (plan.removals.length > 0) {
+            summary.deleted = await pushDeletions(viewsDir, plan.removals, fileMap, errors, apiBase, token);
+        }
+    } catch (err) {
+        if (!err.offline) throw err;
+        summary.offline = err;
+    }
+
+    if (snapshot && summary.pushed + summary.deleted + summary.moved === 0) {
+        await history.removeSnapshot(viewsDir, snapshot.id);
+    }
+
+    forgetReported(viewsDir, errors);
+    if (stale.length > 0 || plan.changed > 0 || plan.removals.length > 0 || plan.blocked.length > 0) {
+        await saveErrors(viewsDir, errors);
+    }
+    return summary;
+}
+
+/**
+ * Record the last-synced content of every file a push touches in
+ * .cache/history/ (see src/history.js), so it can be rolled back.
+ */
+async function snapshotPush(viewsDir, plan) {
+    const entries = [
+        ...plan.saves.map((c) => ({ path: c.rel, action: "save" })),
+        ...plan.removals.map((rel) => ({ path: rel, action: "delete" })),
+        ...plan.moves.flatMap((m) => [{ path: m.from, action: "move-from" }, { path: m.to, action: "move-to" }]),
+    ];
+    if (entries.length === 0) return null;
+    for (const e of entries) e.before = await readBase(viewsDir, e.path);
+    return history.createSnapshot(viewsDir, entries);
+}
+
+// Save order within a /save_files batch, matching the server's own order.
+const SAVE_GROUPS = ["models", "templates", "content", "assets"];
+
+function saveGroup(rel) {
+    if (rel.startsWith("src/models/")) return "models";
+    if (rel.startsWith("src/views/")) return "templates";
+    if (rel.startsWith("src/content/")) return "content";
+    return "assets";
+}
+
+/**
+ * Work out what pushLocalChanges would send, without sending or logging:
+ * `{ saves, moves, removals, blocked, warnings, changed }`. Saves are in
+ * SAVE_GROUPS order; `blocked` entries are `{ path, message, problems? }`
+ * (no `problems` for conflicts); `warnings` are non-blocking lint problems.
  */
-async function pushLocalChanges(viewsDir, fileMap, apiBase, token) {
+async function planPush(viewsDir, fileMap, { batch = false } = {}) {
+    const onDisk = await walkFiles(viewsDir);
     const changes = [];
+    const blocked = [];
+    const warnings = [];
+    let problems = null;
 
-    for (const rel of await walkFiles(viewsDir)) {
+    for (const rel of onDisk) {
         const full = path.join(viewsDir, rel);
         const prior = fileMap[rel];
-        const stat = await fs.stat(full);
+        const changed = await readIfChanged(full, prior);
+        if (!changed) continue;
 
-        if (prior && prior.mtimeMs === stat.mtimeMs) continue;
-
-        const content = await fs.readFile(full, "utf-8");
+        const { stat, content } = changed;
         if (!content.trim()) continue;
+        const conflict = await conflictFor(viewsDir, rel, content);
+        if (conflict) {
+            blocked.push({ path: rel, message: conflict });
+            continue;
+        }
+        problems = problems || lint.lintFiles(await readWorkspace(viewsDir));
+        const own = problems.filter((p) => p.path === rel);
+        warnings.push(...own.filter((p) => p.severity === "warning"));
+        const blocking = own.filter((p) => p.severity !== "warning");
+        if (blocking.length > 0) {
+            blocked.push({ path: rel, message: blocking.map(lint.describeProblem).join("; "), problems: blocking });
+            continue;
+        }
         changes.push({ rel, full, stat, content, prior });
     }
 
-    if (changes.length === 0) return 0;
+    let removals = [];
+    for (const rel of await findDeleted(viewsDir, fileMap, onDisk)) {
+        const conflict = await conflictFor(viewsDir, rel, null);
+        if (conflict) blocked.push({ path: rel, message: conflict });
+        else removals.push(rel);
+    }
+
+    const moves = [];
+    for (const c of batch ? [] : changes.filter((c) => !c.prior)) {
+        const hash = hashContent(c.content);
+        const from = removals.find((rel) => fileMap[rel].hash === hash);
+        if (!from) continue;
+        moves.push({ from, to: c.rel, change: c });
+        removals = removals.filter((rel) => rel !== from);
+    }
+    const moved = new Set(moves.map((m) => m.change));
+    const rank = (c) => SAVE_GROUPS.indexOf(saveGroup(c.rel));
+    const saves = changes.filter((c) => !moved.has(c)).sort((a, b) => rank(a) - rank(b) || (a.rel < b.rel ? -1 : 1));
+
+    return { saves, moves, removals, blocked, warnings, changed: changes.length };
+}
+
+/**
+ * JSON-friendly form of a push plan, for dry runs: files that would go to
+ * /save_files grouped (in order) by models, templates, content and assets.
+ */
+function describePushPlan(plan) {
+    const save = Object.fromEntries(SAVE_GROUPS.map((g) => [g, []]));
+    for (const c of plan.saves) save[saveGroup(c.rel)].push(c.rel);
+    return {
+        save,
+        move: plan.moves.map((m) => ({ from: m.from, to: m.to })),
+        delete: [...plan.removals].sort(),
+        blocked: plan.blocked.map((b) => ({ path: b.path, message: b.message })),
+        warnings: plan.warnings.map(lint.formatProblem),
+    };
+}
+
+/**
+ * Text form of describePushPlan() output.
+ */
+function formatPushPlan(plan) {
+    const lines = [];
+    const saves = SAVE_GROUPS.reduce((n, g) => n + plan.save[g].length, 0);
+    if (saves > 0) {
+        lines.push(`📤 Would save ${saves} file(s) via /save_files, in this order:`);
+        for (const group of SAVE_GROUPS) {
+            if (plan.save[group].length === 0) continue;
+            lines.push(`   ${group[0].toUpperCase()}${group.slice(1)}:`);
+            plan.save[group].forEach((rel) => lines.push(`      ${rel}`));
+        }
+    }
+    if (plan.move.length > 0) {
+        lines.push(`🔀 Would move ${plan.move.length} file(s):`);
+        plan.move.forEach((m) => lines.push(`   ${m.from} → ${m.to}`));
+    }
+    if (plan.delete.length > 0) {
+        lines.push(`🗑️ Would delete ${plan.delete.length} file(s):`);
+        plan.delete.forEach((rel) => lines.push(`   ${rel}`));
+    }
+    if (plan.blocked.length > 0) {
+        lines.push(`⛔ Blocked by local checks or conflicts (${plan.blocked.length}):`);
+        plan.blocked.forEach((b) => lines.push(`   ${b.path}: ${b.message}`));
+    }
+    plan.warnings.forEach((w) => lines.push(`⚠️ ${w}`));
+    return lines.length > 0 ? lines.join("\n") : "✔️ Nothing to push.";
+}
+
+/**
+ * Why `rel` must not be pushed because of an unresolved conflict, or null.
+ */
+async function conflictFor(viewsDir, rel, content) {
+    const full = path.join(viewsDir, rel);
+    if (!(await hasConflict(full, content))) return null;
+    const sidecar = await fs.pathExists(full + SERVER_SIDECAR);
+    return `Conflict: ${conflictMessage(rel, sidecar)}`;
+}
 
+async function pushSaves(viewsDir, changes, fileMap, errors, apiBase, token, limits) {
+    const chunks = chunkSaves(changes, (c) => ({ path: c.rel, content: c.content }), limits);
+    let pushed = 0;
+    for (let n = 0; n < chunks.length; n++) {
+        const chunk = chunks[n];
+        if (chunks.length > 1) {
+            console.log(`📤 Saving chunk ${n + 1}/${chunks.length}: ${chunk.items.length} ${chunk.group} file(s), ${formatBytes(chunk.bytes)}`);
+        }
+        pushed += await saveChunk(viewsDir, chunk.items, fileMap, errors, apiBase, token);
+    }
+    return pushed;
+}
+
+/**
+ * Send one /save_files request and merge its results into fileMap and
+ * `errors`. A failed request fails only the files in it.
+ */
+async function saveChunk(viewsDir, changes, fileMap, errors, apiBase, token) {
     let results;
     try {
         results = await request(apiBase, token, "POST", "/save_files",
             changes.map((c) => ({ path: c.rel, content: c.content })));
     } catch (err) {
+        if (err.offline) throw err;
         console.error("❌ Error saving files:", err.body || err.message);
+        for (const c of changes) recordFailure(viewsDir, errors, c.rel, "request", { message: err.body || err.message });
         return 0;
     }
 
-    const errors = await loadErrors(viewsDir);
     let pushed = 0;
 
     for (let i = 0; i < changes.length; i++) {
@@ -184,53 +915,156 @@ async function pushLocalChanges(viewsDir, fileMap, apiBase, token) {
         const r = results[i] || {};
 
         if (r.error) {
-            errors[c.rel] = r.error;
-            console.error(`❌ Error saving ${c.rel}: ${r.error}`);
+            const error = serverError(r);
+            recordFailure(viewsDir, errors, c.rel, "server", error);
+            console.error(`❌ Error saving ${c.rel}: ${error.message}`);
             continue;
         }
 
         delete errors[c.rel];
 
         const finalContent = r.content ?? c.content;
-        let finalMtime = c.stat.mtimeMs;
+        let finalStat = c.stat;
 
         const currentStat = await fs.stat(c.full);
         if (currentStat.mtimeMs === c.stat.mtimeMs && finalContent !== c.content) {
             await fs.outputFile(c.full, finalContent);
-            finalMtime = (await fs.stat(c.full)).mtimeMs;
+            finalStat = await fs.stat(c.full);
         }
+        await writeBase(viewsDir, c.rel, finalContent);
 
-        fileMap[c.rel] = { mtimeMs: finalMtime };
+        fileMap[c.rel] = fileEntry(finalStat, finalContent);
         console.log(`✅ ${c.prior ? "Updated" : "Created"} ${c.rel}`);
+        events.emit("file_pushed", { path: c.rel, action: c.prior ? "updated" : "created" });
         pushed++;
     }
 
-    await saveErrors(viewsDir, errors);
     return pushed;
 }
 
-const ERROR_LOG = "sync-errors.log";
+// Default /save_files request limits; see chunkSaves.
+const CHUNK_BYTES = 1024 * 1024;
+const CHUNK_FILES = 100;
+
+/**
+ * Split `items` (already in save order) into /save_files requests of at
+ * most `maxBytes` of JSON and `maxFiles` files. A set within the limits is
+ * one request, which the server orders itself. Larger sets are split so
+ * that no chunk spans two SAVE_GROUPS, so models still reach the server
+ * before templates and content; a single file over the limit is sent on
+ * its own. `toFile(item)` gives the `{ path, content }` sent for an item.
+ * Returns `[{ group, items, bytes }]`.
+ */
+function chunkSaves(items, toFile, { maxBytes = CHUNK_BYTES, maxFiles = CHUNK_FILES } = {}) {
+    const sized = items.map((item) => {
+        const file = toFile(item);
+        return { item, group: saveGroup(file.path), bytes: Buffer.byteLength(JSON.stringify(file)) + 1 };
+    });
+    const total = sized.reduce((sum, s) => sum + s.bytes, 0);
+    if (sized.length <= maxFiles && total <= maxBytes) {
+        if (sized.length === 0) return [];
+        return [{ group: [...new Set(sized.map((s) => s.group))].join(", "), items, bytes: total }];
+    }
+
+    const chunks = [];
+    let current = null;
+    for (const { item, group, bytes } of sized) {
+        if (!current || current.group !== group || current.items.length >= maxFiles || current.bytes + bytes > maxBytes) {
+            current = { group, items: [], bytes: 0 };
+            chunks.push(current);
+        }
+        current.items.push(item);
+        current.bytes += bytes;
+    }
+    return chunks;
+}
+
+function formatBytes(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+/**
+ * Send renames via /move_files. The moved file's content is unchanged, so
+ * the cache entry is carried over under the new path.
+ */
+async function pushMoves(viewsDir, moves, fileMap, errors, apiBase, token) {
+    let results;
+    try {
+        results = await request(apiBase, token, "POST", "/move_files",
+            moves.map((m) => ({ from: m.from, to: m.to })));
+    } catch (err) {
+        if (err.offline) throw err;
+        console.error("❌ Error moving files:", err.body || err.message);
+        for (const m of moves) recordFailure(viewsDir, errors, m.to, "request", { message: err.body || err.message });
+        return 0;
+    }
+
+    let moved = 0;
+
+    for (let i = 0; i < moves.length; i++) {
+        const m = moves[i];
+        const r = results[i] || {};
+
+        if (r.error) {
+            const error = serverError(r);
+            recordFailure(viewsDir, errors, m.to, "server", error);
+            console.error(`❌ Error moving ${m.from} → ${m.to}: ${error.message}`);
+            continue;
+        }
 
-async function loadErrors(viewsDir) {
-    const file = path.join(viewsDir, ERROR_LOG);
-    if (!(await fs.pathExists(file))) return {};
-    const text = await fs.readFile(file, "utf-8");
-    const errors = {};
-    for (const line of text.split("\n")) {
-        const idx = line.indexOf(": ");
-        if (idx > 0) errors[line.slice(0, idx)] = line.slice(idx + 2);
+        delete errors[m.from];
+        delete errors[m.to];
+        delete fileMap[m.from];
+        fileMap[m.to] = fileEntry(m.change.stat, m.change.content);
+        await removeBase(viewsDir, m.from);
+        await writeBase(viewsDir, m.to, m.change.content);
+        console.log(`🚚 Moved ${m.from} → ${m.to}`);
+        events.emit("file_pushed", { path: m.to, action: "moved", from: m.from });
+        moved++;
     }
-    return errors;
+
+    return moved;
 }
 
-async function saveErrors(viewsDir, errors) {
-    const file = path.join(viewsDir, ERROR_LOG);
-    const entries = Object.entries(errors);
-    if (entries.length === 0) {
-        await fs.remove(file);
-        return;
+/**
+ * Send local deletions via /delete_files and drop their cache entries.
+ */
+async function pushDeletions(viewsDir, removals, fileMap, errors, apiBase, token) {
+    let results;
+    try {
+        results = await request(apiBase, token, "POST", "/delete_files",
+            removals.map((rel) => ({ path: rel })));
+    } catch (err) {
+        if (err.offline) throw err;
+        console.error("❌ Error deleting files:", err.body || err.message);
+        for (const rel of removals) recordFailure(viewsDir, errors, rel, "request", { message: err.body || err.message });
+        return 0;
+    }
+
+    let deleted = 0;
+
+    for (let i = 0; i < removals.length; i++) {
+        const rel = removals[i];
+        const r = results[i] || {};
+
+        if (r.error) {
+            const error = serverError(r);
+            recordFailure(viewsDir, errors, rel, "server", error);
+            console.error(`❌ Error deleting ${rel}: ${error.message}`);
+            continue;
+        }
+
+        delete errors[rel];
+        delete fileMap[rel];
+        await removeBase(viewsDir, rel);
+        console.log(`🗑️ Deleted ${rel}`);
+        events.emit("file_pushed", { path: rel, action: "deleted" });
+        deleted++;
     }
-    await fs.outputFile(file, entries.map(([p, msg]) => `${p}: ${msg}`).join("\n") + "\n");
+
+    return deleted;
 }
 
 async function pullServerState(viewsDir, apiBase, token) {
@@ -243,42 +1077,189 @@ async function pullServerState(viewsDir, apiBase, token) {
     for (const file of files) {
         const full = path.join(viewsDir, file.path);
         await fs.outputFile(full, file.content);
-        const mtimeMs = (await fs.stat(full)).mtimeMs;
+        await writeBase(viewsDir, file.path, file.content);
         pulled++;
-        fileMap[file.path] = { mtimeMs };
+        fileMap[file.path] = fileEntry(await fs.stat(full), file.content);
     }
 
     console.log(`✔️ Synced ${files.length} file(s).`);
     return { fileMap, pulled };
 }
 
-module.exports = { syncSite, resolveViewsDir };
+/**
+ * True when the workspace copy differs from what was last synced — a local
+ * edit, a local delete, or an untracked file sitting at the path.
+ */
+async function hasLocalEdits(viewsDir, rel, prior) {
+    const full = path.join(viewsDir, rel);
+    if (!(await fs.pathExists(full))) return !!prior;
+    if (!prior) return true;
+    return (await readIfChanged(full, prior)) !== null;
+}
+
+/**
+ * Incremental pull. /list_files returns a content hash per server file;
+ * anything whose hash differs from fileMap changed on the server since the
+ * last sync. Only those are fetched. Files without local edits are
+ * overwritten; files changed on both sides go through resolveConflict.
+ * Files the server removed are dropped from sync-errors.json too.
+ */
+async function pullServerChanges(viewsDir, fileMap, apiBase, token) {
+    const listing = await request(apiBase, token, "GET", "/list_files");
+    const serverHashes = new Map(listing.map((f) => [f.path, f.hash]));
+
+    const updates = [];
+    const conflicts = [];
+    const removals = [];
+    const gone = [];
 
+    for (const [rel, hash] of serverHashes) {
+        if (fileMap[rel] && fileMap[rel].hash === hash) continue;
+        const full = path.join(viewsDir, rel);
+        if (await hasLocalEdits(viewsDir, rel, fileMap[rel])) {
+            const local = (await fs.pathExists(full)) ? await fs.readFile(full, "utf-8") : null;
+            if (local !== null && hashContent(local) === hash) {
+                fileMap[rel] = fileEntry(await fs.stat(full), local);
+                await writeBase(viewsDir, rel, local);
+            } else {
+                conflicts.push(rel);
+            }
+            continue;
+        }
+        updates.push(rel);
+    }
+
+    for (const rel of Object.keys(fileMap)) {
+        if (serverHashes.has(rel)) continue;
+        if (await hasLocalEdits(viewsDir, rel, fileMap[rel])) {
+            if (!(await fs.pathExists(path.join(viewsDir, rel)))) {
+                delete fileMap[rel];
+                await removeBase(viewsDir, rel);
+                gone.push(rel);
+            } else {
+                console.log(`⚠️ Server deleted ${rel} but it has local edits — keeping local copy.`);
+            }
+            continue;
+        }
+        removals.push(rel);
+    }
+
+    let pulled = 0;
+
+    if (updates.length > 0 || conflicts.length > 0) {
+        const files = await request(apiBase, token, "POST", "/get_files", { paths: [...updates, ...conflicts] });
+        for (const file of files) {
+            if (conflicts.includes(file.path)) {
+                await resolveConflict(viewsDir, file.path, file.content, fileMap);
+                continue;
+            }
+            const full = path.join(viewsDir, file.path);
+            const existed = !!fileMap[file.path];
+            await fs.outputFile(full, file.content);
+            await writeBase(viewsDir, file.path, file.content);
+            fileMap[file.path] = fileEntry(await fs.stat(full), file.content);
+            console.log(`📥 ${existed ? "Updated" : "Added"} ${file.path}`);
+            pulled++;
+        }
+    }
+
+    for (const rel of removals) {
+        await fs.remove(path.join(viewsDir, rel));
+        await removeBase(viewsDir, rel);
+        delete fileMap[rel];
+        console.log(`🗑️ Removed ${rel} (deleted on server)`);
+        pulled++;
+    }
+
+    const errors = await loadErrors(viewsDir);
+    const cleared = [...gone, ...removals].filter((rel) => errors[rel]);
+    if (cleared.length > 0) {
+        for (const rel of cleared) delete errors[rel];
+        await saveErrors(viewsDir, errors);
+    }
+
+    return pulled;
+}
+
+/**
+ * Three-way merge of a file changed both locally and on the server.
+ *
+ * Clean merges are written to disk and left for pushLocalChanges to send.
+ * Unresolvable text files get conflict markers; JSON content (where markers
+ * would break parsing), local deletions and files with no base get a
+ * `<file>.server` sidecar. Either way pushLocalChanges blocks the file until
+ * the conflict is resolved. The server copy becomes the new base, so the
+ * same server change is not merged twice.
+ */
+async function resolveConflict(viewsDir, rel, serverContent, fileMap) {
+    const full = path.join(viewsDir, rel);
+    const base = await readBase(viewsDir, rel);
+    const local = (await fs.pathExists(full)) ? await fs.readFile(full, "utf-8") : null;
+
+    let result = { clean: false };
+    if (base !== null && local !== null) {
+        result = rel.endsWith(".json")
+            ? merge.mergeJson(base, local, serverContent)
+            : merge.mergeText(base, local, serverContent);
+    }
+
+    if (result.content !== undefined) {
+        await fs.outputFile(full, result.content);
+    } else {
+        await fs.outputFile(full + SERVER_SIDECAR, serverContent);
+    }
+    await writeBase(viewsDir, rel, serverContent);
+    fileMap[rel] = { mtimeMs: 0, hash: hashContent(serverContent) };
+
+    if (result.clean) console.log(`🔀 Merged server changes into ${rel}`);
+    else console.error(`⚔️ Conflict in ${rel}: ${conflictMessage(rel, result.content === undefined)}`);
+}
+
+function conflictMessage(rel, sidecar) {
+    return sidecar
+        ? `changed locally and on the server — merge from ${path.basename(rel)}${SERVER_SIDECAR}, then delete it`
+        : "changed locally and on the server — resolve the conflict markers and save";
+}
+
+/**
+ * True when a local file still has an unresolved conflict with the server.
+ */
+async function hasConflict(full, content) {
+    if (await fs.pathExists(full + SERVER_SIDECAR)) return true;
+    return content !== null && merge.hasConflictMarkers(content);
+}
+
+module.exports = {
+    syncSite,
+    resolveViewsDir,
+    findUnsyncedFiles,
+    backupFiles,
+    readWorkspace,
+    readQueue,
+    workspaceStatus,
+    workspaceDiff,
+    formatPushPlan,
+    saveGroup,
+    loginSite,
+    rollbackSite,
+    exportSite,
+    readSiteArchive,
+    importSite,
+};
+
+// Legacy entry point, kept as a shim for `sleekcms init` (src/commands.js);
+// here -d is the parent directory, as it always was.
 if (require.main === module) {
     program
         .name("setup-site")
-        .description("Initialize a SleekCMS workspace: pull all files and persist the auth token for future syncs.")
-        .requiredOption("-t, --token <token>", "SleekCMS CLI auth token")
-        .option("-d, --dir <dir>", "Parent directory; workspace is created as a slug-named subfolder (default: current directory)")
+        .description("Initialize a SleekCMS workspace: pull all files and store the auth token for future syncs. Same as `sleekcms init`.")
+        .option("-t, --token <token>", "SleekCMS CLI auth token (default: from the --site profile)")
+        .option("-s, --site <name>", "Use a named site from ~/.sleekcms/profiles.json")
+        .option("-d, --dir <dir>", "Parent directory; workspace is created as a slug-named subfolder (default: ~/.sleekcms)")
         .option("-e, --env <env>", "Environment override (localhost, development, production)")
+        .option("--json", "Print the result as JSON")
         .parse(process.argv);
 
-    const opts = program.opts();
-    syncSite({
-        token: opts.token,
-        path: opts.dir || path.join(os.homedir(), ".sleekcms"),
-        env: opts.env,
-    })
-        .then(({ viewsDir, site, isFirstRun, pulled }) => {
-            if (isFirstRun) {
-                console.log(`\n✅ Workspace initialized for "${site.name}" at ${viewsDir} (pulled ${pulled} file(s)).`);
-            } else {
-                console.log(`\n✅ Workspace already initialized for "${site.name}" at ${viewsDir}.`);
-            }
-            console.log(`\nNext: cd ${viewsDir}  →  edit files  →  run sync-site`);
-        })
-        .catch(err => {
-            console.error("❌", err.body || err.message);
-            process.exit(1);
-        });
+    const { dir, ...opts } = program.opts();
+    require("./src/commands").runCommand("init", { ...opts, path: dir });
 }
@@ -0,0 +1,103 @@
+/**
+ * Minimal in-memory .tar.gz reader/writer for site export archives.
+ *
+ * Only regular files are written (ustar, with the prefix field for long
+ * paths); the reader skips anything else, such as directories or pax
+ * headers added by other tar tools.
+ */
+
+const zlib = require("zlib");
+
+const BLOCK = 512;
+
+function writeString(header, text, offset, length) {
+    const bytes = Buffer.from(text, "utf-8");
+    if (bytes.length > length) throw new Error(`Archive field too long: ${text}`);
+    bytes.copy(header, offset);
+}
+
+function writeOctal(header, value, offset, length) {
+    writeString(header, value.toString(8).padStart(length - 1, "0") + "\0", offset, length);
+}
+
+/**
+ * Split a path into ustar `prefix` (≤155 bytes) and `name` (≤100 bytes).
+ */
+function splitName(name) {
+    if (Buffer.byteLength(name) <= 100) return { prefix: "", name };
+    for (let i = name.indexOf("/"); i !== -1; i = name.indexOf("/", i + 1)) {
+        const prefix = name.slice(0, i);
+        const rest = name.slice(i + 1);
+        if (Buffer.byteLength(prefix) <= 155 && Buffer.byteLength(rest) <= 100) return { prefix, name: rest };
+    }
+    throw new Error(`Path too long for a tar archive: ${name}`);
+}
+
+function fileHeader(name, size, mtime) {
+    const header = Buffer.alloc(BLOCK);
+    const split = splitName(name);
+    writeString(header, split.name, 0, 100);
+    writeOctal(header, 0o644, 100, 8);
+    writeOctal(header, 0, 108, 8);
+    writeOctal(header, 0, 116, 8);
+    writeOctal(header, size, 124, 12);
+    writeOctal(header, Math.floor(mtime / 1000), 136, 12);
+    header.fill(" ", 148, 156);
+    header[156] = "0".charCodeAt(0);
+    writeString(header, "ustar\0", 257, 6);
+    writeString(header, "00", 263, 2);
+    writeString(header, split.prefix, 345, 155);
+
+    let sum = 0;
+    for (const byte of header) sum += byte;
+    writeString(header, sum.toString(8).padStart(6, "0") + "\0 ", 148, 8);
+    return header;
+}
+
+/**
+ * Build a gzipped tar from `[{ name, content }]` (content: string or Buffer).
+ */
+function writeTarGz(entries, mtime = Date.now()) {
+    const parts = [];
+    for (const entry of entries) {
+        const data = Buffer.isBuffer(entry.content) ? entry.content : Buffer.from(entry.content, "utf-8");
+        parts.push(fileHeader(entry.name, data.length, mtime), data);
+        const pad = (BLOCK - (data.length % BLOCK)) % BLOCK;
+        if (pad) parts.push(Buffer.alloc(pad));
+    }
+    parts.push(Buffer.alloc(BLOCK * 2));
+    return zlib.gzipSync(Buffer.concat(parts));
+}
+
+function readString(buf, offset, length) {
+    const end = buf.indexOf(0, offset);
+    return buf.toString("utf-8", offset, end === -1 || end > offset + length ? offset + length : end);
+}
+
+/**
+ * Regular files of a gzipped tar, as `[{ name, content: Buffer }]`.
+ */
+function readTarGz(buffer) {
+    const tar = zlib.gunzipSync(buffer);
+    const entries = [];
+    for (let offset = 0; offset + BLOCK <= tar.length;) {
+        const header = tar.subarray(offset, offset + BLOCK);
+        if (header.every((b) => b === 0)) break;
+
+        const size = parseInt(readString(header, 124, 12).trim() || "0", 8);
+        const type = String.fromCharCode(header[156]);
+        const prefix = readString(header, 345, 155);
+        const name = readString(header, 0, 100);
+        const start = offset + BLOCK;
+        if (type === "0" || type === "\0") {
+            entries.push({ name: prefix ? `${prefix}/${name}` : name, content: Buffer.from(tar.subarray(start, start + size)) });
+        }
+        offset = start + Math.ceil(size / BLOCK) * BLOCK;
+    }
+    return entries;
+}
+
+module.exports = {
+    writeTarGz,
+    readTarGz,
+};
@@ -4,30 +4,166 @@
 
 const readline = require("readline");
 const { execSync, spawn } = require("child_process");
-const { program, Option } = require("commander");
+const { Command, Option } = require("commander");
 
 let rawModeEnabled = false;
 
 /**
- * Parse CLI arguments and return options
+ * Whether environment variable `name` is switched on: set to anything but
+ * an empty string, "0", "false", "no" or "off".
  */
-function parseArgs() {
+function envFlag(name) {
+    const value = (process.env[name] || '').trim().toLowerCase();
+    return value !== '' && !['0', 'false', 'no', 'off'].includes(value);
+}
+
+/**
+ * The `sleekcms` program. Global options apply to every subcommand, which
+ * receives them merged with its own flags: `watch` (the default, so
+ * `sleekcms -t <token>` starts a session) calls `actions.watch`, the others
+ * `actions.run(name, options)` (see src/commands.js), with their arguments
+ * in `options` under the names given to run(). Usage errors exit with
+ * `usageExitCode`.
+ */
+function createProgram(actions, { usageExitCode = 2 } = {}) {
+    const program = new Command();
     program
-        .name("cms-cli")
-        .description("SleekCMS CLI tool to sync and edit CMS templates locally. Downloads templates, watches for changes, and syncs updates back to the API.")
-        .addOption(new Option("-v, --version", "output the version number").hideHelp())
-        .option("-t, --token <token>", "API authentication token (required)")
-        .addOption(new Option("-e, --env <env>", "Environment (localhost, development, production)").default("production").hideHelp())
-        .option("-p, --path <path>", "Directory path for files (default: <token-prefix>-views)")
-        .addHelpText("after", `
-Examples:
-  $ cms-cli --token abc123-xxxx
-  $ cms-cli -t abc123-xxxx -e development
-  $ cms-cli -t abc123-xxxx -p ./my-templates
-`)
-        .parse(process.argv);
+        .name('sleekcms')
+        .description('SleekCMS CLI tool to sync and edit CMS templates locally. Downloads templates, watches for changes, and syncs updates back to the API.')
+        .version(require('../package.json').version, '-v, --version', 'output the version number')
+        .exitOverride(err => process.exit(err.exitCode && usageExitCode))
+        .option('-t, --token <token>', 'API authentication token (default: the stored or configured one)')
+        .option('-s, --site <name>', 'Use a named site from ~/.sleekcms/profiles.json')
+        .option('-d, --dir <dir>', 'Workspace directory (default: the --site workspace, else the current directory)')
+        .option('-p, --path <path>', 'Parent directory for new workspaces (default: ~/.sleekcms)')
+        .option('-e, --env <env>', 'Environment (localhost, development, production; default: from the token)')
+        .option('--json', 'Print the result as JSON')
+        .addOption(new Option('--headless', 'Never prompt; print NDJSON events on stdout (for CI and agents; env: SLEEKCMS_HEADLESS)')
+            .default(envFlag('SLEEKCMS_HEADLESS') || undefined));
+
+    const run = (name, ...args) => (...values) => {
+        const cmd = values[values.length - 1];
+        actions.run(name, { ...cmd.optsWithGlobals(), ...Object.fromEntries(args.map((arg, i) => [arg, values[i]])) });
+    };
+
+    program.command('watch', { isDefault: true })
+        .description('Sync, then watch the workspace and push changes until you exit (default)')
+        .option('--preview [port]', 'Serve a local preview of the site with live reload (default port: 4000)')
+        .option('--dry-run', 'Never push: after each change, print what would be sent instead')
+        .option('-k, --keep', 'Keep the workspace on exit; the next run resumes it with an incremental sync')
+        .option('--debounce <ms>', 'Wait this long after the last change before syncing (default: 5000)', Number)
+        .option('--fast-debounce <ms>', 'Shorter wait for CSS/JS and template changes', Number)
+        .option('--model-debounce <ms>', 'Longer wait for model changes, e.g. while an agent generates a site', Number)
+        .action((opts, cmd) => actions.watch(cmd.optsWithGlobals()));
+
+    program.command('init')
+        .description('Create a workspace: pull all files and store the token for later syncs')
+        .action(run('init'));
+
+    program.command('sync')
+        .description('Pull server edits and push local changes')
+        .option('--dry-run', 'Show what would be pushed, grouped by models, templates, content and assets, without pushing')
+        .option('--chunk-size <kb>', 'Largest /save_files request in KB (default: 1024)', Number)
+        .option('--vscode', 'Print failing files as path:line:column: error: message lines (VS Code $gcc problem matcher)')
+        .action(run('sync'));
+
+    program.command('pull')
+        .description('Pull server edits without pushing local changes')
+        .action(run('pull'));
+
+    program.command('status')
+        .description('Show local changes that have not been synced yet (never contacts the server)')
+        .option('--vscode', 'Print only failing files, as path:line:column: error: message lines')
+        .action(run('status'));
+
+    program.command('login')
+        .description('Switch the workspace to a new token, keeping its sync state')
+        .action(run('login'));
 
-    return program.opts();
+    program.command('logout')
+        .description('Forget the token stored for the workspace, keeping its files and sync state')
+        .action(run('logout'));
+
+    program.command('lint')
+        .description('Check models, content and cross-file references before they are pushed (never contacts the server)')
+        .action(run('lint'));
+
+    program.command('diff')
+        .description('Show unified diffs of local changes since the last sync (never contacts the server)')
+        .argument('[paths...]', 'Limit to these workspace-relative paths')
+        .action(run('diff', 'paths'));
+
+    program.command('history')
+        .description('List the pushes recorded in the workspace, newest first')
+        .action(run('history'));
+
+    program.command('rollback')
+        .description('Restore the files a push changed and push them back')
+        .argument('<id>', 'Snapshot id from `sleekcms history`')
+        .option('--force', 'Overwrite unsynced local changes to those files')
+        .action(run('rollback', 'id'));
+
+    program.command('new')
+        .description('Create the model, template and starter content for a new page, entry or block')
+        .argument('<kind>', 'page, entry or block')
+        .argument('<key>', 'Key of the new model, e.g. about, blog or authors')
+        .option('--collection', 'Make a collection (key gets a + suffix)')
+        .option('--fields <fields>', 'Comma-separated name:type list (default: title:text)')
+        .option('--slug <slug>', 'Slug of the starter collection item', 'example')
+        .action(run('new', 'kind', 'key'));
+
+    program.command('rename-key')
+        .description('Rename a page, entry or block key: model, template, content and references')
+        .argument('<kind>', 'page, entry or block')
+        .argument('<old>', 'Current key, e.g. blog+')
+        .argument('<new>', 'New key')
+        .option('-y, --yes', 'Apply without asking for confirmation')
+        .option('--no-push', 'Only rewrite local files; the next sync pushes them')
+        .action(run('rename-key', 'kind', 'old', 'new'));
+
+    program.command('rename-field')
+        .description('Rename a model field in the model, its content and its template')
+        .argument('<kind>', 'page, entry or block')
+        .argument('<key>', 'Model key, e.g. blog+')
+        .argument('<field>', 'Current field name; dotted for nested groups (hero.title)')
+        .argument('<new>', 'New field name')
+        .option('-y, --yes', 'Apply without asking for confirmation')
+        .option('--no-push', 'Only rewrite local files; the next sync pushes them')
+        .action(run('rename-field', 'kind', 'key', 'field', 'new'));
+
+    program.command('export')
+        .description('Export all files of the site to a .tar.gz archive')
+        .option('-o, --out <file>', 'Archive path (default: <site-slug>-<timestamp>.tar.gz)')
+        .action(run('export'));
+
+    program.command('import')
+        .description('Import an export archive into the site and verify the result')
+        .argument('<archive>', 'Archive written by `sleekcms export`')
+        .option('-y, --yes', 'Import without asking for confirmation')
+        .option('--chunk-size <kb>', 'Largest /save_files request in KB (default: 1024)', Number)
+        .action(run('import', 'archive'));
+
+    program.command('preview')
+        .description('Render the workspace locally with live reload; nothing is pushed')
+        .option('--port <port>', 'Port to listen on (default: 4000)', Number)
+        .action(run('preview'));
+
+    program.addHelpText('after', `
+Examples:
+  $ sleekcms --token abc123-xxxx
+  $ sleekcms -t abc123-xxxx -e development
+  $ sleekcms -t abc123-xxxx -p ./my-templates
+  $ sleekcms -t abc123-xxxx --preview --keep
+  $ sleekcms --site marketing
+  $ sleekcms init -t abc123-xxxx
+  $ sleekcms sync -d ~/.sleekcms/demo-123 --json
+  $ sleekcms status --vscode
+  $ sleekcms diff src/views/pages/home.ejs
+  $ sleekcms new page blog --collection --fields title:text,cover:image
+  $ sleekcms rename-key page blog+ posts+ --yes
+  $ sleekcms export -t abc123-xxxx -o site.tar.gz
+`);
+    return program;
 }
 
 /**
@@ -117,9 +253,79 @@ function setupKeyboardInput(handlers) {
 }
 
 /**
- * Show editor selection menu and handle selection
+ * Ask what to do with unsynced local files before a re-fetch.
+ * Resolves to 'push', 'backup', 'discard', or null to cancel.
  */
-function showEditorMenu(viewsDir, handlers) {
+async function promptRefetchChoice(files) {
+    console.log(`\n⚠️  ${files.length} local file(s) have not been synced and would be overwritten:`);
+    files.forEach(f => console.log(`   ${f}`));
+    console.log('\n   [p] Push them first');
+    console.log('   [b] Back them up to .cache/backup/ and re-fetch');
+    console.log('   [d] Discard them and re-fetch');
+    console.log('   [Enter] Cancel\n');
+
+    const choices = { p: 'push', b: 'backup', d: 'discard' };
+    const answer = await prompt('Choose: ');
+    return choices[answer.toLowerCase()] || null;
+}
+
+/**
+ * Ask what to do with unsynced local files before the workspace is deleted.
+ * Resolves to 'push', 'discard' or 'keep'; keeping is the default, and the
+ * only answer without a terminal.
+ */
+async function promptExitChoice(files) {
+    console.log(`\n⚠️  ${files.length} local file(s) have not been synced and would be lost:`);
+    files.forEach(f => console.log(`   ${f}`));
+    if (!process.stdin.isTTY) return 'keep';
+    console.log('\n   [p] Push them, then delete the workspace');
+    console.log('   [d] Discard them and delete the workspace');
+    console.log('   [Enter] Keep the workspace and resume next time\n');
+
+    const choices = { p: 'push', d: 'discard' };
+    const answer = await prompt('Choose: ');
+    return choices[answer.toLowerCase()] || 'keep';
+}
+
+/**
+ * Summarize which files a re-fetch added, changed or removed
+ */
+function showRefetchReport(report) {
+    const sections = [
+        ['➕ Added', report.added],
+        ['✏️  Changed', report.changed],
+        ['➖ Removed', report.removed],
+    ];
+    if (sections.every(([, files]) => files.length === 0)) {
+        console.log('✔️ Re-fetch complete: workspace already matched the server.');
+        return;
+    }
+    console.log('✔️ Re-fetch complete:');
+    for (const [label, files] of sections) {
+        if (files.length === 0) continue;
+        console.log(`   ${label} (${files.length})`);
+        files.forEach(f => console.log(`      ${f}`));
+    }
+}
+
+/**
+ * Show editor selection menu and handle selection. A preferred `editor`
+ * (from the site config) skips the menu: "none" opens nothing, anything
+ * else is the command to open the workspace with.
+ */
+function showEditorMenu(viewsDir, handlers, { editor } = {}) {
+    if (editor) {
+        if (editor !== 'none') {
+            spawn(editor, ['-n', viewsDir], { detached: true, stdio: 'ignore' })
+                .on('error', (err) => console.error(`❌ Could not open ${editor}: ${err.message}`))
+                .unref();
+        }
+        console.log(editor === 'none' ? '👀 Watching for changes...' : `👀 Watching for changes... (opened ${editor})`);
+        showWatchHelp();
+        setupKeyboardInput(handlers);
+        return;
+    }
+
     const editors = [];
     
     if (commandExists('code')) {
@@ -181,9 +387,13 @@ function showEditorMenu(viewsDir, handlers) {
 }
 
 module.exports = {
-    parseArgs,
+    createProgram,
+    envFlag,
     prompt,
     showWatchHelp,
     showEditorMenu,
     setupKeyboardInput,
+    promptRefetchChoice,
+    promptExitChoice,
+    showRefetchReport,
 };
@@ -0,0 +1,493 @@
+/**
+ * The `sleekcms` subcommands other than `watch` (src/watch.js), shared by
+ * index.js and the *-site.js shims.
+ *
+ * Every command finds its workspace and token the same way (src/config.js:
+ * --dir, else the --site profile, else the current directory), prints emoji
+ * lines or, with `json`, one JSON document on stdout, and exits with one of
+ * EXIT. With `json`, a failure prints `{ "error": { message, code, exitCode } }`.
+ * With `headless` (CI and agent sandboxes) nothing prompts and stdout is an
+ * NDJSON event stream instead.
+ */
+
+const fs = require("fs-extra");
+const os = require("os");
+const path = require("path");
+const cli = require("./cli");
+const watcher = require("./watcher");
+const {
+    syncSite,
+    loginSite,
+    rollbackSite,
+    exportSite,
+    importSite,
+    readWorkspace,
+    workspaceStatus,
+    workspaceDiff,
+    readQueue,
+    formatPushPlan,
+} = require("../setup-site");
+const { loadConfig, resolveConfig } = require("./config");
+const { logout, storeName } = require("./credentials");
+const { readLock, describeLock } = require("./lock");
+const { loadErrors, listErrors, formatProblemMatcher } = require("./errors");
+const { listSnapshots } = require("./history");
+const { planRenameKey, planRenameField, formatPlan, planErrors, applyPlan } = require("./refactor");
+const { lintFiles, formatProblem } = require("./lint");
+const { scaffold } = require("./scaffold");
+const { startPreview } = require("./preview");
+const events = require("./events");
+
+const EXIT = {
+    OK: 0,
+    ERROR: 1,
+    USAGE: 2,
+    NO_WORKSPACE: 3, // not initialized, or no token for it
+    AUTH: 4, // the API rejected the token
+    LOCKED: 5, // another process kept the workspace lock
+    OFFLINE: 6, // the API can't be reached; changes are queued
+    FILE_ERRORS: 7, // synced or imported, but some files failed (sync-errors.json); lint found errors
+};
+
+/**
+ * The EXIT code for an error thrown by a command.
+ */
+function exitCode(err) {
+    if (err.code === "ENOWORKSPACE" || err.code === "ENOTOKEN") return EXIT.NO_WORKSPACE;
+    if (err.status === 401 || err.status === 403) return EXIT.AUTH;
+    if (err.code === "ELOCKED") return EXIT.LOCKED;
+    if (err.offline) return EXIT.OFFLINE;
+    return EXIT.ERROR;
+}
+
+function describeError(err) {
+    return err.body || err.message;
+}
+
+// Headless and JSON runs never prompt; they fail with ENOTOKEN instead.
+function canPrompt(opts) {
+    return process.stdin.isTTY && !opts.json && !opts.headless;
+}
+
+/**
+ * Ask a yes/no `question`. `--yes` answers it; without a prompt the answer
+ * is no.
+ */
+async function confirm(opts, question) {
+    if (opts.yes) return true;
+    if (!canPrompt(opts)) return false;
+    return (await cli.prompt(question)).toLowerCase() === "y";
+}
+
+function workspaceDir(config) {
+    return config.path || path.resolve(".");
+}
+
+function configOptions(opts) {
+    return {
+        site: opts.site,
+        dir: opts.dir || (opts.site ? undefined : "."),
+        overrides: { token: opts.token, env: opts.env },
+        readOnly: !!opts.dryRun,
+    };
+}
+
+/**
+ * `dir`, after checking that it is an initialized workspace (ENOWORKSPACE if
+ * not).
+ */
+async function requireWorkspace(dir) {
+    if (!(await fs.pathExists(path.join(dir, ".cache", "state.json")))) {
+        const err = new Error(`Workspace not initialized at ${dir} — run: sleekcms init -t <token>`);
+        err.code = "ENOWORKSPACE";
+        throw err;
+    }
+    return dir;
+}
+
+/**
+ * The resolved config of the command's workspace; throws ENOWORKSPACE
+ * when it has no token and was never initialized, ENOTOKEN when it was.
+ */
+async function workspaceConfig(opts) {
+    const config = await resolveConfig(configOptions(opts));
+    if (!config.token) {
+        const dir = await requireWorkspace(workspaceDir(config));
+        const err = new Error(`No token for ${dir} — run: sleekcms login -d ${dir}`);
+        err.code = "ENOTOKEN";
+        throw err;
+    }
+    return config;
+}
+
+/**
+ * The resolved config, for commands that need a token but no workspace
+ * (export, import): from -t, the --site profile or the current workspace.
+ */
+async function tokenConfig(opts) {
+    const config = await resolveConfig(configOptions(opts));
+    if (!config.token) {
+        const err = new Error("A token is required: pass -t <token> or --site <name>");
+        err.code = "ENOTOKEN";
+        throw err;
+    }
+    return config;
+}
+
+async function init(opts, out) {
+    const config = await resolveConfig({ site: opts.site, dir: opts.dir, overrides: { token: opts.token, env: opts.env } });
+    let token = config.token;
+    if (!token && canPrompt(opts)) token = await cli.prompt("Enter SleekCMS CLI auth token: ");
+    if (!token) {
+        const err = new Error("A token is required: pass -t <token> or --site <name> with a token in its profile");
+        err.code = "ENOTOKEN";
+        throw err;
+    }
+    const { viewsDir, site, isFirstRun, pulled } = await syncSite({
+        token,
+        env: config.env,
+        viewsDir: config.path || undefined,
+        path: opts.path || path.join(os.homedir(), ".sleekcms"),
+        command: "sleekcms init",
+    });
+    if (isFirstRun) {
+        out.log(`\n✅ Workspace initialized for "${site.name}" at ${viewsDir} (pulled ${pulled} file(s)).`);
+    } else {
+        out.log(`\n✅ Workspace already initialized for "${site.name}" at ${viewsDir}.`);
+    }
+    out.log(`\nNext: cd ${viewsDir}  →  edit files  →  run sleekcms sync`);
+    return { workspace: viewsDir, site, isFirstRun, pulled };
+}
+
+async function sync(opts, out) {
+    const config = await workspaceConfig(opts);
+    const result = await syncSite({
+        token: config.token,
+        env: config.env,
+        viewsDir: workspaceDir(config),
+        dryRun: opts.dryRun,
+        command: "sleekcms sync",
+        chunkBytes: opts.chunkSize ? opts.chunkSize * 1024 : undefined,
+    });
+    const { viewsDir, site, pulled, pushed, deleted, moved } = result;
+    if (result.dryRun) {
+        out.log(`📋 Dry run for "${site.name}" at ${viewsDir} — nothing was sent.\n${formatPushPlan(result.plan)}`);
+        return { workspace: viewsDir, site, dryRun: true, plan: result.plan };
+    }
+
+    out.log(`\n✅ Sync complete for "${site.name}" at ${viewsDir} ` +
+        `(pulled ${pulled}, pushed ${pushed}, moved ${moved}, deleted ${deleted} file(s)).`);
+    const failing = listErrors(await loadErrors(viewsDir));
+    if (failing.length > 0) {
+        out.log(`⚠️ ${failing.length} file(s) failed (see sync-errors.log).`);
+        out.exitCode = EXIT.FILE_ERRORS;
+    }
+    if (opts.vscode && !opts.headless) {
+        process.stdout.write(formatProblemMatcher(failing));
+        return undefined;
+    }
+    return { workspace: viewsDir, site, pulled, pushed, moved, deleted, failing };
+}
+
+async function pull(opts, out) {
+    const config = await workspaceConfig(opts);
+    const { viewsDir, site, isFirstRun, pulled } = await syncSite({
+        token: config.token,
+        env: config.env,
+        viewsDir: workspaceDir(config),
+        pullOnly: true,
+        command: "sleekcms pull",
+    });
+    out.log(`⬇️ Pulled ${pulled} file(s) for "${site.name}" into ${viewsDir}. Local changes were not pushed.`);
+    return { workspace: viewsDir, site, isFirstRun, pulled };
+}
+
+async function status(opts, out) {
+    const viewsDir = await requireWorkspace(workspaceDir(await loadConfig(configOptions(opts))));
+    const [result, lock, queue] = await Promise.all([workspaceStatus(viewsDir), readLock(viewsDir), readQueue(viewsDir)]);
+    const pending = result.new.length + result.modified.length + result.deleted.length + result.failing.length;
+    if (opts.vscode && !opts.headless) {
+        process.stdout.write(formatProblemMatcher(result.failing));
+        return undefined;
+    }
+
+    if (lock) out.log(`🔒 Sync in progress: ${describeLock(lock)}`);
+    if (queue) out.log(`📴 Offline since ${queue.since}: ${queue.paths.length} change(s) queued (${queue.reason})`);
+    if (pending === 0) {
+        out.log("✅ Nothing to sync — workspace matches the last sync.");
+    }
+    const sections = [
+        ["➕ New", result.new],
+        ["✏️  Modified", result.modified],
+        ["➖ Deleted", result.deleted],
+        ["❌ Failing", result.failing.map(f => `${f.path}: ${f.message}`)],
+    ];
+    for (const [label, files] of sections) {
+        if (files.length === 0) continue;
+        out.log(`${label} (${files.length}):`);
+        files.forEach(f => out.log(`   ${f}`));
+    }
+    return { workspace: viewsDir, clean: pending === 0, lock, queue, ...result };
+}
+
+async function login(opts, out) {
+    const config = await loadConfig(configOptions(opts));
+    let token = opts.token;
+    if (!token && canPrompt(opts)) token = await cli.prompt("Enter the new SleekCMS CLI auth token: ");
+    if (!token) throw new Error("A token is required: pass -t <token>");
+    const { viewsDir, site } = await loginSite({ token, env: opts.env || config.env, viewsDir: workspaceDir(config) });
+    const where = storeName() === "env" ? "(env mode: nothing stored, SLEEKCMS_TOKEN is used)" : "(stored encrypted in ~/.sleekcms)";
+    out.log(`🔑 Logged in to "${site.name}" at ${viewsDir} ${where}. Sync state kept.`);
+    return { workspace: viewsDir, site };
+}
+
+async function logoutCommand(opts, out) {
+    const viewsDir = workspaceDir(await loadConfig(configOptions(opts)));
+    const loggedOut = await logout(viewsDir);
+    out.log(loggedOut
+        ? `🔒 Logged out of ${viewsDir}. Run sleekcms login to sync it again.`
+        : `ℹ️ No token stored for ${viewsDir}.`);
+    return { workspace: viewsDir, loggedOut };
+}
+
+// Lint also runs on workspaces that were scaffolded but never synced, so it
+// only needs the src/ folder (the same check as scaffold).
+async function lint(opts, out) {
+    const viewsDir = workspaceDir(await loadConfig(configOptions(opts)));
+    if (!(await fs.pathExists(path.join(viewsDir, "src")))) {
+        const err = new Error(`${viewsDir} is not a workspace (no src/ folder) — run: sleekcms init -t <token>`);
+        err.code = "ENOWORKSPACE";
+        throw err;
+    }
+    const files = await readWorkspace(viewsDir);
+    const problems = lintFiles(files);
+    problems.forEach((p) => out.log(formatProblem(p)));
+    const count = Object.keys(files).length;
+    const errors = problems.filter((p) => p.severity !== "warning").length;
+    const warnings = problems.length - errors;
+    if (errors > 0) {
+        out.log(`\n❌ ${errors} error(s), ${warnings} warning(s) found.`);
+        out.exitCode = EXIT.FILE_ERRORS;
+    } else if (warnings > 0) {
+        out.log(`\n⚠️ ${warnings} warning(s) found in ${count} file(s).`);
+    } else {
+        out.log(`✅ No problems found in ${count} file(s).`);
+    }
+    return { workspace: viewsDir, files: count, errors, warnings, problems };
+}
+
+async function diff(opts, out) {
+    const viewsDir = await requireWorkspace(workspaceDir(await loadConfig(configOptions(opts))));
+    const diffs = await workspaceDiff(viewsDir, opts.paths);
+    out.log(diffs.length === 0 ? "✅ No local changes." : diffs.map((d) => d.diff).join("").trimEnd());
+    return { workspace: viewsDir, diffs };
+}
+
+function describeSnapshotFiles(files) {
+    const count = (action) => files.filter((f) => f.action === action).length;
+    return [["save", count("save")], ["delete", count("delete")], ["move", count("move-from")]]
+        .filter(([, n]) => n > 0)
+        .map(([action, n]) => `${n} ${action}${n === 1 ? "" : "s"}`)
+        .join(", ");
+}
+
+async function historyCommand(opts, out) {
+    const viewsDir = await requireWorkspace(workspaceDir(await loadConfig(configOptions(opts))));
+    const snapshots = await listSnapshots(viewsDir);
+    if (snapshots.length === 0) out.log("📭 No pushes recorded yet.");
+    for (const s of snapshots) {
+        out.log(`${s.id}  ${describeSnapshotFiles(s.files)}`);
+        s.files.filter((f) => f.action !== "move-to").forEach((f) => out.log(`   ${f.path}`));
+    }
+    return { workspace: viewsDir, snapshots };
+}
+
+async function rollback(opts, out) {
+    const config = await workspaceConfig(opts);
+    const viewsDir = workspaceDir(config);
+    const { restored, pushed, deleted } = await rollbackSite({
+        token: config.token,
+        env: config.env,
+        viewsDir,
+        id: opts.id,
+        force: opts.force,
+    });
+    out.log(`\n⏪ Rolled back ${opts.id}: restored ${restored.length} file(s) (pushed ${pushed}, deleted ${deleted}).`);
+    return { workspace: viewsDir, id: opts.id, restored, pushed, deleted };
+}
+
+async function newCommand(opts, out) {
+    const viewsDir = workspaceDir(await loadConfig(configOptions(opts)));
+    const written = await scaffold(viewsDir, opts.kind, opts.key, opts);
+    written.forEach((rel) => out.log(`📝 Created ${rel}`));
+    out.log(`\n✅ Scaffolded ${opts.kind} "${opts.key}". Changes are pushed on the next sync.`);
+    return { workspace: viewsDir, kind: opts.kind, key: opts.key, written };
+}
+
+/**
+ * Show the plan `makePlan(files)` builds (see src/refactor.js), write it
+ * once confirmed and, unless `push` is false, push it as one batch.
+ */
+async function refactor(opts, out, command, makePlan) {
+    const viewsDir = workspaceDir(await loadConfig(configOptions(opts)));
+    const files = await readWorkspace(viewsDir);
+    const plan = makePlan(files);
+    const result = { workspace: viewsDir, changes: plan.changes.map((c) => ({ from: c.from, to: c.to })), warnings: plan.warnings };
+
+    out.log(formatPlan(plan));
+    plan.warnings.forEach((w) => out.log(`⚠️ ${w}`));
+
+    const errors = planErrors(files, plan);
+    if (errors.length > 0) {
+        errors.forEach((p) => console.error(`❌ ${formatProblem(p)}`));
+        throw new Error("The refactor would leave errors in the files above; nothing was written.");
+    }
+
+    if (!(await confirm(opts, `\nApply ${plan.changes.length} file change(s)? [y/N] `))) {
+        out.log(`↩️ Nothing written.${canPrompt(opts) ? "" : " Pass --yes to apply without a prompt."}`);
+        return { ...result, written: false };
+    }
+
+    await applyPlan(viewsDir, plan);
+    out.log(`📝 Wrote ${plan.changes.length} file(s).`);
+    if (opts.push === false) return { ...result, written: true };
+
+    const config = await workspaceConfig(opts);
+    const { pushed, deleted } = await syncSite({ token: config.token, env: config.env, viewsDir, batch: true, command });
+    out.log(`\n✅ Refactor pushed (saved ${pushed}, deleted ${deleted} file(s)).`);
+    return { ...result, written: true, pushed, deleted };
+}
+
+function renameKey(opts, out) {
+    return refactor(opts, out, "sleekcms rename-key", (files) => planRenameKey(files, opts.kind, opts.old, opts.new));
+}
+
+function renameField(opts, out) {
+    return refactor(opts, out, "sleekcms rename-field", (files) => planRenameField(files, opts.kind, opts.key, opts.field, opts.new));
+}
+
+async function exportCommand(opts, out) {
+    const config = await tokenConfig(opts);
+    const { file, site, manifest } = await exportSite({ token: config.token, env: config.env, file: opts.out });
+    out.log(`✅ Exported ${manifest.files.length} file(s) of "${site.name}" to ${file}`);
+    return { file, site, files: manifest.files.length };
+}
+
+async function importCommand(opts, out) {
+    if (!(await fs.pathExists(opts.archive))) throw new Error(`Archive not found: ${opts.archive}`);
+    const config = await tokenConfig(opts);
+    const ask = async (site, manifest) => {
+        out.log(`📦 Archive: ${manifest.files.length} file(s) from "${manifest.site.name}" (${manifest.site.id}), exported ${manifest.exportedAt}`);
+        out.log(`🎯 Target:  "${site.name}" (${site.id}) — files with the same path will be overwritten.`);
+        const yes = await confirm(opts, "Import? [y/N] ");
+        if (!yes && !canPrompt(opts)) console.error("Pass --yes to import without a prompt.");
+        return yes;
+    };
+    const { site, cancelled, pushed, errors, verification } = await importSite({
+        token: config.token,
+        env: config.env,
+        file: opts.archive,
+        confirm: ask,
+        limits: { maxBytes: opts.chunkSize ? opts.chunkSize * 1024 : undefined },
+    });
+    if (cancelled) {
+        out.log("↩️ Import cancelled; nothing was sent.");
+        out.exitCode = EXIT.ERROR;
+        return { site, cancelled: true };
+    }
+
+    errors.forEach((e) => console.error(`❌ ${e.path}: ${e.error}`));
+    verification.missing.forEach((p) => console.error(`❌ Missing on server after import: ${p}`));
+    verification.mismatched.forEach((p) => console.error(`❌ Differs from the archive: ${p}`));
+    if (verification.extra.length > 0) {
+        out.log(`ℹ️ ${verification.extra.length} file(s) on the site are not in the archive and were left alone.`);
+    }
+    if (!verification.ok || errors.length > 0) {
+        console.error(`\n❌ Import incomplete: pushed ${pushed} file(s); verification failed.`);
+        out.exitCode = EXIT.FILE_ERRORS;
+    } else {
+        out.log(`\n✅ Imported and verified ${pushed} file(s).`);
+    }
+    return { site, pushed, errors, verification };
+}
+
+/**
+ * Start the preview server (src/preview.js) and leave it running; the
+ * process exits on Ctrl+C.
+ */
+async function previewCommand(opts, out) {
+    const viewsDir = workspaceDir(await loadConfig(configOptions(opts)));
+    const preview = await startPreview({ viewsDir, port: opts.port === undefined ? 4000 : Number(opts.port) });
+    watcher.init({ viewsDir, onChange: () => preview.reload() });
+    watcher.monitorFiles();
+    out.log(`👁️  Preview running at ${preview.url} (Ctrl+C to stop)`);
+    return { workspace: viewsDir, url: preview.url };
+}
+
+const COMMANDS = {
+    init,
+    sync,
+    pull,
+    status,
+    login,
+    logout: logoutCommand,
+    lint,
+    diff,
+    history: historyCommand,
+    rollback,
+    new: newCommand,
+    "rename-key": renameKey,
+    "rename-field": renameField,
+    export: exportCommand,
+    import: importCommand,
+    preview: previewCommand,
+};
+
+/**
+ * Run command `name` with `opts` (global options and its own flags), print
+ * its result and set the exit code. Failures exit the process. With `json`,
+ * the sync engine's progress lines go to stderr so that stdout carries only
+ * the JSON document. With `headless`, stdout carries only NDJSON events
+ * (src/events.js), ending with a `result` or `error` event.
+ */
+async function runCommand(name, opts = {}) {
+    const print = console.log;
+    const quiet = opts.json || opts.headless;
+    const out = {
+        exitCode: EXIT.OK,
+        log: (...args) => {
+            if (!quiet) print(...args);
+        },
+    };
+    if (quiet) console.log = console.error;
+    if (opts.headless) events.setReporter(events.ndjson());
+    let result;
+    try {
+        result = await COMMANDS[name](opts, out);
+    } catch (err) {
+        console.log = print;
+        const code = exitCode(err);
+        if (opts.headless) {
+            events.emit("error", { command: name, message: err.body || err.message, code: err.code || null, exitCode: code });
+        } else if (opts.json) {
+            print(JSON.stringify({ error: { message: err.body || err.message, code: err.code || null, exitCode: code } }, null, 2));
+        } else {
+            console.error("❌", describeError(err));
+        }
+        process.exit(code);
+    }
+    console.log = print;
+    if (opts.headless) {
+        events.emit("result", { command: name, exitCode: out.exitCode, ...result });
+        events.setReporter(null);
+    } else if (opts.json && result !== undefined) {
+        print(JSON.stringify(result, null, 2));
+    }
+    process.exitCode = out.exitCode;
+}
+
+module.exports = {
+    EXIT,
+    exitCode,
+    runCommand,
+};
@@ -0,0 +1,166 @@
+/**
+ * Project config and named site profiles.
+ *
+ * Settings come from, lowest precedence first:
+ *   ~/.sleekcms/profiles.json   { "sites": { "<name>": { ...settings } } }
+ *   <workspace>/sleekcms.config.json   { "site"?: "<name>", ...settings }
+ *   command-line flags
+ * Settings are `token`, `env`, `path` (the workspace directory), `debounce`
+ * (ms, or per kind as in src/watcher.js), `ignore` (extra .sleekignore
+ * patterns; profile and workspace lists add up) and `editor` ("code",
+ * "cursor" or "none"). `token` is a reference: `env:NAME` reads an
+ * environment variable, `file:PATH` a file (relative to the file that
+ * declares it), anything else is the token.
+ * A workspace config may only hold references: a plain token there would
+ * travel with the workspace (see src/credentials.js), so it is refused.
+ *
+ * A workspace belongs to the profile its config names, or else to the
+ * profile whose `path` is that directory. Without a configured token, the
+ * one stored for the workspace (src/credentials.js) is used.
+ */
+
+const os = require("os");
+const path = require("path");
+const fs = require("fs-extra");
+const { readToken } = require("./credentials");
+
+const CONFIG_FILE = "sleekcms.config.json";
+const SETTINGS = ["token", "env", "path", "debounce", "ignore", "editor"];
+
+function profilesPath() {
+    return path.join(os.homedir(), ".sleekcms", "profiles.json");
+}
+
+function expandHome(p) {
+    return p && p.startsWith("~") ? path.join(os.homedir(), p.slice(1)) : p;
+}
+
+async function readJsonFile(file) {
+    if (!(await fs.pathExists(file))) return null;
+    try {
+        return await fs.readJson(file);
+    } catch (err) {
+        throw new Error(`Invalid JSON in ${file}: ${err.message}`);
+    }
+}
+
+async function readProfiles() {
+    const profiles = await readJsonFile(profilesPath());
+    return (profiles && profiles.sites) || {};
+}
+
+/**
+ * The known settings in `settings`, with `path` resolved against `baseDir`
+ * and a `file:` token against `fileDir`, the directory of the file that
+ * holds them. `source` names that file in errors.
+ */
+function pick(settings, baseDir, fileDir = baseDir, source = "flags") {
+    const out = {};
+    for (const key of SETTINGS) {
+        if (settings && settings[key] !== undefined && settings[key] !== null) out[key] = settings[key];
+    }
+    if (out.ignore !== undefined && !(Array.isArray(out.ignore) && out.ignore.every((p) => typeof p === "string"))) {
+        const err = new Error(`"ignore" in ${source} must be a list of patterns, e.g. ["*.bak"]`);
+        err.code = "EBADCONFIG";
+        throw err;
+    }
+    if (out.path) out.path = path.resolve(baseDir, expandHome(out.path));
+    if (typeof out.token === "string" && out.token.startsWith("file:")) {
+        out.token = `file:${path.resolve(fileDir, expandHome(out.token.slice(5)))}`;
+    }
+    if (typeof out.debounce === "number") out.debounce = { default: out.debounce };
+    return out;
+}
+
+/**
+ * Merged settings for `site` (a profile name) and/or `dir` (a workspace
+ * directory), before token references are resolved. Flags in `overrides`
+ * win. Returns `{ site, path, token, env, debounce, ignore, editor }`;
+ * `path` is null when neither gives a workspace.
+ */
+async function loadConfig({ site, dir, overrides = {} } = {}) {
+    const sites = await readProfiles();
+    const home = os.homedir();
+    const profileDir = path.dirname(profilesPath());
+    if (site && !sites[site]) {
+        const known = Object.keys(sites);
+        const err = new Error(`Unknown site "${site}" in ${profilesPath()}` + (known.length ? ` (known: ${known.join(", ")})` : ""));
+        err.code = "ENOSITE";
+        throw err;
+    }
+
+    let profile = site ? pick(sites[site], home, profileDir, profilesPath()) : null;
+    const workspaceDir = dir ? path.resolve(expandHome(dir)) : (profile && profile.path) || null;
+    const workspaceFile = workspaceDir ? await readJsonFile(path.join(workspaceDir, CONFIG_FILE)) : null;
+    const workspace = workspaceFile ? pick(workspaceFile, workspaceDir, workspaceDir, path.join(workspaceDir, CONFIG_FILE)) : {};
+    if (workspace.token && !/^(env|file):/.test(workspace.token)) {
+        const err = new Error(
+            `${path.join(workspaceDir, CONFIG_FILE)} holds a plain token. Remove it and run: sleekcms login -d ${workspaceDir} ` +
+            `(or set "token" to "env:NAME" or "file:PATH")`
+        );
+        err.code = "EINLINETOKEN";
+        throw err;
+    }
+
+    if (!site && workspaceFile && workspaceFile.site) {
+        if (!sites[workspaceFile.site]) throw new Error(`${path.join(workspaceDir, CONFIG_FILE)} names unknown site "${workspaceFile.site}"`);
+        site = workspaceFile.site;
+        profile = pick(sites[site], home, profileDir, profilesPath());
+    } else if (!site && workspaceDir) {
+        site = Object.keys(sites).find((name) => pick(sites[name], home, profileDir, profilesPath()).path === workspaceDir) || null;
+        profile = site ? pick(sites[site], home, profileDir, profilesPath()) : null;
+    }
+
+    const flags = pick(overrides, ".");
+    const merged = { ...profile, ...workspace, ...flags };
+    return {
+        site: site || null,
+        path: workspaceDir || merged.path || null,
+        token: merged.token || null,
+        env: merged.env || null,
+        debounce: { ...(profile && profile.debounce), ...workspace.debounce, ...flags.debounce },
+        ignore: [...((profile && profile.ignore) || []), ...(workspace.ignore || [])],
+        editor: merged.editor || null,
+    };
+}
+
+/**
+ * The token a reference stands for (see above), or null.
+ */
+async function resolveToken(ref) {
+    if (!ref) return null;
+    if (ref.startsWith("env:")) {
+        const name = ref.slice(4);
+        if (!process.env[name]) throw new Error(`Token variable ${name} is not set`);
+        return process.env[name].trim();
+    }
+    if (ref.startsWith("file:")) {
+        const file = expandHome(ref.slice(5));
+        if (!(await fs.pathExists(file))) throw new Error(`Token file not found: ${file}`);
+        return (await fs.readFile(file, "utf-8")).trim();
+    }
+    return ref.trim();
+}
+
+/**
+ * loadConfig with the token resolved, falling back to the workspace's
+ * stored token, and `env` defaulted from the token's third dash-separated
+ * part (null when there is no token either). This is the one config
+ * index.js, setup-site and sync-site act on. With `readOnly` (dry runs)
+ * nothing in the workspace is rewritten, not even a legacy token file.
+ */
+async function resolveConfig(options = {}) {
+    const config = await loadConfig(options);
+    let token = await resolveToken(config.token);
+    if (!token && config.path) token = await readToken(config.path, { readOnly: options.readOnly });
+    const env = config.env || (token ? token.split("-")[2] || "production" : null);
+    return { ...config, token, env: env && env.toLowerCase() };
+}
+
+module.exports = {
+    CONFIG_FILE,
+    profilesPath,
+    loadConfig,
+    resolveToken,
+    resolveConfig,
+};
@@ -0,0 +1,182 @@
+/**
+ * Workspace-wide consistency checks: keys, references and orphans.
+ *
+ * Per-file validation (src/model.js, src/content.js) can't see other
+ * files. These checks build the key graph across models, templates and
+ * content and report, as `{ path, line?, column?, severity, message }`:
+ *   - templates with no model, models with no template        (warning)
+ *   - content with no model                                    (error)
+ *   - entry(key) references to entry models that don't exist   (error)
+ *   - block(key) references with no block model                (error)
+ *     or no block template                                     (warning)
+ *   - cms:<handle> images missing from images.json             (error)
+ *   - entry slugs missing from the referenced collection       (warning)
+ */
+
+const { parseModel, modelInfo, walkModel } = require("./model");
+const { contentInfo } = require("./content");
+
+const IMAGES_JSON = "src/content/images.json";
+
+function templateInfo(rel) {
+    const match = /^src\/views\/(pages|entries|blocks)\/(.+)\.ejs$/.exec(rel);
+    return match ? { kind: match[1], key: match[2] } : null;
+}
+
+function modelPath(kind, key) {
+    return `src/models/${kind}/${key}.model`;
+}
+
+function templatePath(kind, key) {
+    return `src/views/${kind}/${key}.ejs`;
+}
+
+function parseJson(text) {
+    try {
+        return JSON.parse(text);
+    } catch {
+        return undefined;
+    }
+}
+
+/**
+ * Hint pointing at the same key with the `+` suffix toggled, if that exists.
+ */
+function plusHint(files, pathFor, key) {
+    const other = key.endsWith("+") ? key.slice(0, -1) : key + "+";
+    return files[pathFor(other)] !== undefined ? ` (found ${pathFor(other)} — check the + suffix)` : "";
+}
+
+/**
+ * Call `visit(node, value, jsonPath)` for every scalar or entry(...) value
+ * in content, following the model through groups, collections and blocks.
+ */
+function walkContent(node, value, jsonPath, lookupModel, visit) {
+    if (value === null || value === undefined || !node) return;
+    if (node.type === "collection") {
+        if (Array.isArray(value)) value.forEach((v, i) => walkContent(node.item, v, `${jsonPath}[${i}]`, lookupModel, visit));
+        return;
+    }
+    const group = node.type === "block" ? lookupModel("blocks", node.key) : node;
+    if (group && group.type === "group") {
+        if (typeof value !== "object" || Array.isArray(value)) return;
+        const fields = new Map(group.fields.map((f) => [f.name, f.value]));
+        for (const [name, child] of Object.entries(value)) {
+            walkContent(fields.get(name), child, `${jsonPath}.${name}`, lookupModel, visit);
+        }
+        return;
+    }
+    visit(node, value, jsonPath);
+}
+
+/**
+ * `cms:<handle>` references in a string: whole-value image shortcuts and
+ * markdown images like `![alt](cms:logo)`.
+ */
+function cmsHandles(text) {
+    const handles = [];
+    const whole = /^cms:([^|]+)/.exec(text);
+    if (whole) handles.push(whole[1].trim());
+    for (const match of text.matchAll(/!\[[^\]]*\]\(cms:([^|)\s]+)/g)) handles.push(match[1]);
+    return handles;
+}
+
+/**
+ * Slugs of a collection entry, or null when its items don't carry one.
+ */
+function entrySlugs(files, key) {
+    const items = parseJson(files[`src/content/entries/${key}.json`] || "");
+    if (!Array.isArray(items)) return null;
+    const slugs = items.map((item) => item && (item._slug ?? item.slug)).filter((s) => typeof s === "string");
+    return slugs.length > 0 ? new Set(slugs) : null;
+}
+
+/**
+ * Run every cross-file check over `{ [relPath]: content }`.
+ */
+function checkConsistency(files) {
+    const problems = [];
+    const report = (rel, severity, message, at = {}) =>
+        problems.push({ path: rel, line: at.line, column: at.column, severity, message });
+
+    const models = new Map();
+    for (const rel of Object.keys(files)) {
+        if (!modelInfo(rel)) continue;
+        try {
+            models.set(rel, parseModel(files[rel]));
+        } catch {
+            models.set(rel, null); // reported by validateModel
+        }
+    }
+    const lookupModel = (kind, key) => models.get(modelPath(kind, key)) || undefined;
+
+    const images = parseJson(files[IMAGES_JSON] || "{}");
+    const imageHandles = new Set(images && typeof images === "object" ? Object.keys(images) : []);
+
+    for (const rel of Object.keys(files).sort()) {
+        const template = templateInfo(rel);
+        if (template && files[modelPath(template.kind, template.key)] === undefined) {
+            report(rel, "warning", `No model ${modelPath(template.kind, template.key)} for this template` +
+                plusHint(files, (k) => modelPath(template.kind, k), template.key));
+        }
+
+        const model = modelInfo(rel);
+        if (model) {
+            if (files[templatePath(model.kind, model.key)] === undefined) {
+                report(rel, "warning", `No template ${templatePath(model.kind, model.key)} for this model` +
+                    plusHint(files, (k) => templatePath(model.kind, k), model.key));
+            }
+            const ast = models.get(rel);
+            if (ast) walkModel(ast, (node) => {
+                if (node.type === "entry" && files[modelPath("entries", node.key)] === undefined) {
+                    report(rel, "error", `entry(${node.key}) refers to ${modelPath("entries", node.key)}, which does not exist` +
+                        plusHint(files, (k) => modelPath("entries", k), node.key), node);
+                }
+                if (node.type === "block") {
+                    if (files[modelPath("blocks", node.key)] === undefined) {
+                        report(rel, "error", `block(${node.key}) refers to ${modelPath("blocks", node.key)}, which does not exist`, node);
+                    } else if (files[templatePath("blocks", node.key)] === undefined) {
+                        report(rel, "warning", `block(${node.key}) has no template ${templatePath("blocks", node.key)}`, node);
+                    }
+                }
+            });
+        }
+
+        const content = contentInfo(rel);
+        if (content) {
+            const mp = modelPath(content.kind, content.key);
+            if (files[mp] === undefined) {
+                report(rel, "error", `No model ${mp} for this content` + plusHint(files, (k) => modelPath(content.kind, k), content.key));
+                continue;
+            }
+            const data = parseJson(files[rel]);
+            const ast = models.get(mp);
+            if (data === undefined || !ast) continue;
+
+            const records = content.kind === "entries" && content.key.endsWith("+") && Array.isArray(data)
+                ? data.map((item, i) => [item, `$[${i}]`])
+                : [[data, "$"]];
+            for (const [record, at] of records) {
+                walkContent(ast, record, at, lookupModel, (node, value, jsonPath) => {
+                    if (typeof value !== "string") return;
+                    if (node.type === "entry") {
+                        const slugs = node.key.endsWith("+") ? entrySlugs(files, node.key) : null;
+                        if (slugs && !slugs.has(value)) {
+                            report(rel, "warning", `${jsonPath}: entry "${value}" not found in src/content/entries/${node.key}.json`);
+                        }
+                        return;
+                    }
+                    for (const handle of cmsHandles(value)) {
+                        if (!imageHandles.has(handle)) report(rel, "error", `${jsonPath}: image "cms:${handle}" is not declared in ${IMAGES_JSON}`);
+                    }
+                });
+            }
+        }
+    }
+
+    return problems;
+}
+
+module.exports = {
+    checkConsistency,
+};
@@ -0,0 +1,267 @@
+/**
+ * Content record validation against `.model` ASTs.
+ *
+ * Maps each file under src/content/ to its model by key and checks every
+ * value against the declared field type, reporting problems by JSON path
+ * (e.g. `$.hero.background`, `$[2].tags[0]`).
+ */
+
+const IMAGE_SOURCES = ["unsplash", "pexels", "pixabay", "iconify", "url", "cms"];
+
+const STRING_TYPES = new Set(["text", "paragraph", "richtext", "markdown", "code", "color", "link"]);
+
+/**
+ * Which model a content file belongs to, and the top-level shape it needs:
+ *   content/pages/<key>.json          → { kind: "pages", key }
+ *   content/pages/<key+>/<slug>.json  → { kind: "pages", key, slug }
+ *   content/entries/<key>.json        → { kind: "entries", key }
+ * Returns null for anything else (including content/images.json).
+ */
+function contentInfo(rel) {
+    let match = /^src\/content\/(pages|entries)\/([^/]+)\.json$/.exec(rel);
+    if (match) return { kind: match[1], key: match[2] };
+    match = /^src\/content\/pages\/([^/]+)\/([^/]+)\.json$/.exec(rel);
+    if (match) return { kind: "pages", key: match[1], slug: match[2] };
+    return null;
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+function isValidDate(text) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(text);
+    if (!match) return false;
+    const date = new Date(Date.UTC(+match[1], +match[2] - 1, +match[3]));
+    return date.getUTCMonth() === +match[2] - 1 && date.getUTCDate() === +match[3];
+}
+
+/**
+ * True for `<source>:<search>` image shortcuts, with an optional `|alt`.
+ */
+function isImageShortcut(text) {
+    const match = /^([a-z]+):(.+)$/s.exec(text);
+    if (!match || !IMAGE_SOURCES.includes(match[1])) return false;
+    return match[2].split("|")[0].trim() !== "";
+}
+
+function show(value) {
+    const text = JSON.stringify(value);
+    return text.length > 40 ? text.slice(0, 37) + "..." : text;
+}
+
+/**
+ * Check a scalar field value. Returns an expectation message, or null when
+ * the value fits the type.
+ */
+function checkField(fieldType, value) {
+    if (STRING_TYPES.has(fieldType)) return typeof value === "string" ? null : "expected a string";
+    switch (fieldType) {
+        case "number":
+            return typeof value === "number" && Number.isFinite(value) ? null : "expected a number";
+        case "boolean":
+            return typeof value === "boolean" ? null : "expected true or false";
+        case "date":
+            return typeof value === "string" && isValidDate(value) ? null : 'expected a "YYYY-MM-DD" date';
+        case "datetime":
+            return typeof value === "string" && /^\d{4}-\d{2}-\d{2}T/.test(value) && !isNaN(Date.parse(value))
+                ? null : "expected an ISO 8601 datetime";
+        case "time":
+            return typeof value === "string" && /^([01]\d|2[0-3]):[0-5]\d$/.test(value) ? null : 'expected an "HH:mm" time';
+        case "image":
+            if (typeof value === "string") {
+                return isImageShortcut(value)
+                    ? null
+                    : `expected an image object or a "<source>:<search>" shortcut (sources: ${IMAGE_SOURCES.join(", ")})`;
+            }
+            return isPlainObject(value) && typeof value.url === "string" ? null : 'expected { "url": "...", "alt": "..." } or an image shortcut';
+        case "video":
+            return isPlainObject(value) && typeof value.url === "string" ? null : 'expected { "url": "...", "embed": "..." }';
+        case "json":
+            return value !== null && typeof value === "object" ? null : "expected an object or array";
+        case "sheet":
+            return Array.isArray(value) && value.every(Array.isArray) ? null : "expected an array of arrays";
+        case "location":
+            return isPlainObject(value) && Array.isArray(value.markers) &&
+                value.markers.every((m) => isPlainObject(m) && typeof m.lat === "number" && typeof m.lng === "number")
+                ? null : 'expected { "markers": [{ "lat": n, "lng": n }], "img": "..." }';
+        default:
+            return null;
+    }
+}
+
+/**
+ * Validate `value` against a model AST node, appending `{ message }`
+ * problems. `lookupModel(kind, key)` returns a parsed model or undefined;
+ * references to missing block models are left to the cross-file checks.
+ */
+function checkValue(node, value, jsonPath, lookupModel, problems) {
+    if (value === null || value === undefined) return;
+    const fail = (expected) => problems.push({ message: `${jsonPath}: ${expected}, got ${show(value)}` });
+
+    switch (node.type) {
+        case "field": {
+            const expected = checkField(node.fieldType, value);
+            if (expected) fail(expected);
+            return;
+        }
+        case "group":
+            if (!isPlainObject(value)) return fail("expected an object");
+            checkObject(node, value, jsonPath, lookupModel, problems);
+            return;
+        case "collection":
+            if (!Array.isArray(value)) return fail("expected an array");
+            value.forEach((item, i) => checkValue(node.item, item, `${jsonPath}[${i}]`, lookupModel, problems));
+            return;
+        case "block": {
+            if (!isPlainObject(value)) return fail(`expected a block(${node.key}) object`);
+            const model = lookupModel("blocks", node.key);
+            if (model) checkObject(model, value, jsonPath, lookupModel, problems);
+            return;
+        }
+        case "entry":
+            if (typeof value !== "string" || !value) fail(`expected an entry(${node.key}) slug string`);
+            return;
+    }
+}
+
+function checkObject(group, value, jsonPath, lookupModel, problems) {
+    const fields = new Map(group.fields.map((f) => [f.name, f.value]));
+    for (const [name, child] of Object.entries(value)) {
+        const childPath = /^[A-Za-z_$][\w$]*$/.test(name) ? `${jsonPath}.${name}` : `${jsonPath}[${JSON.stringify(name)}]`;
+        if (fields.has(name)) checkValue(fields.get(name), child, childPath, lookupModel, problems);
+        else if (!name.startsWith("_")) problems.push({ message: `${childPath}: field "${name}" is not in the model` });
+    }
+}
+
+/**
+ * Locate the first syntax error in text that JSON.parse rejected. Node's
+ * own message has no position on every version and may quote the whole
+ * file, so scan it again here. Returns `{ line, column, message }`.
+ */
+function locateJsonError(text) {
+    let i = 0;
+
+    const fail = (what) => {
+        const err = new Error(i >= text.length ? `unexpected end of file, expected ${what}` : `unexpected ${JSON.stringify(text[i])}, expected ${what}`);
+        err.index = i;
+        throw err;
+    };
+    const skipSpace = () => {
+        while (/\s/.test(text[i] || "")) i++;
+    };
+    const literal = (word) => {
+        if (!text.startsWith(word, i)) fail("a value");
+        i += word.length;
+    };
+
+    function string() {
+        i++;
+        while (i < text.length && text[i] !== '"') {
+            if (text[i] === "\\") i++;
+            else if (text[i] < " ") fail('a closing "');
+            i++;
+        }
+        if (text[i] !== '"') fail('a closing "');
+        i++;
+    }
+
+    function value() {
+        skipSpace();
+        const ch = text[i];
+        if (ch === "{") return members("}", () => {
+            skipSpace();
+            if (text[i] !== '"') fail("a quoted property name");
+            string();
+            skipSpace();
+            if (text[i] !== ":") fail('":"');
+            i++;
+            value();
+        });
+        if (ch === "[") return members("]", value);
+        if (ch === '"') return string();
+        if (ch === "t") return literal("true");
+        if (ch === "f") return literal("false");
+        if (ch === "n") return literal("null");
+        const match = /^-?(0|[1-9]\d*)(\.\d+)?([eE][+-]?\d+)?/.exec(text.slice(i));
+        if (!match) fail("a value");
+        i += match[0].length;
+    }
+
+    function members(close, member) {
+        i++;
+        skipSpace();
+        if (text[i] === close) {
+            i++;
+            return;
+        }
+        for (;;) {
+            member();
+            skipSpace();
+            if (text[i] === close) {
+                i++;
+                return;
+            }
+            if (text[i] !== ",") fail(`"," or "${close}"`);
+            i++;
+        }
+    }
+
+    try {
+        value();
+        skipSpace();
+        if (i < text.length) fail("end of file");
+        return { message: "invalid JSON" };
+    } catch (err) {
+        const before = text.slice(0, err.index).split("\n");
+        return { line: before.length, column: before[before.length - 1].length + 1, message: err.message };
+    }
+}
+
+/**
+ * Validate a content file against its model. Returns `{ line?, column?,
+ * message }` problems. Content whose model is missing or fails to parse is
+ * skipped here; those are reported against the model or by the cross-file
+ * checks.
+ */
+function validateContent(rel, source, lookupModel) {
+    const info = contentInfo(rel);
+    if (!info) return [];
+
+    let data;
+    try {
+        data = JSON.parse(source);
+    } catch {
+        const at = locateJsonError(source);
+        return [{ line: at.line, column: at.column, message: `Invalid JSON: ${at.message}` }];
+    }
+
+    const collection = info.key.endsWith("+");
+    if (info.kind === "pages" && collection && !info.slug) {
+        return [{ message: `Collection page content must be one file per slug: src/content/pages/${info.key}/<slug>.json` }];
+    }
+    if (info.slug && !collection) {
+        return [{ message: `Only collection pages (key ending in +) have per-slug files; use src/content/pages/${info.key}.json` }];
+    }
+
+    const model = lookupModel(info.kind, info.key);
+    if (!model) return [];
+
+    const problems = [];
+    if (info.kind === "entries" && collection) {
+        if (!Array.isArray(data)) return [{ message: `$: collection entry content must be an array of objects, got ${show(data)}` }];
+        data.forEach((item, i) => checkValue(model, item, `$[${i}]`, lookupModel, problems));
+    } else if (!isPlainObject(data)) {
+        return [{ message: `$: content must be an object, got ${show(data)}` }];
+    } else {
+        checkObject(model, data, "$", lookupModel, problems);
+    }
+    return problems;
+}
+
+module.exports = {
+    IMAGE_SOURCES,
+    contentInfo,
+    isImageShortcut,
+    validateContent,
+};
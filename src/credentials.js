@@ -0,0 +1,227 @@
+/**
+ * Credential storage: where a workspace's auth token lives.
+ *
+ * The workspace itself only holds a binding, `.cache/credentials.json`
+ * `{ id, siteId, fingerprint }`, with no secret in it, so a zipped, shared
+ * or committed workspace gives nobody access to the site. The token is kept
+ * in a store, picked by SLEEKCMS_CREDENTIAL_STORE:
+ *   file  (default) ~/.sleekcms/credentials.json, each token encrypted with
+ *         AES-256-GCM under a per-user key in ~/.sleekcms/credentials.key;
+ *         both files are readable by their owner only.
+ *   env   nothing is written; the token is SLEEKCMS_TOKEN. For CI.
+ * Workspaces set up before this kept the plain token in `.cache/token`; the
+ * file store takes it over and deletes that file the first time it's read.
+ */
+
+const crypto = require("crypto");
+const os = require("os");
+const path = require("path");
+const fs = require("fs-extra");
+
+const BINDING_FILE = path.join(".cache", "credentials.json");
+const LEGACY_TOKEN_FILE = path.join(".cache", "token");
+const TOKEN_VARIABLE = "SLEEKCMS_TOKEN";
+const STORE_VARIABLE = "SLEEKCMS_CREDENTIAL_STORE";
+
+function storeDir() {
+    return path.join(os.homedir(), ".sleekcms");
+}
+
+function fingerprint(token) {
+    return crypto.createHash("sha256").update(token).digest("hex").slice(0, 16);
+}
+
+async function loadKey() {
+    const file = path.join(storeDir(), "credentials.key");
+    try {
+        return Buffer.from((await fs.readFile(file, "utf-8")).trim(), "base64");
+    } catch (err) {
+        if (err.code !== "ENOENT") throw err;
+    }
+    await fs.ensureDir(storeDir(), { mode: 0o700 });
+    try {
+        await fs.writeFile(file, crypto.randomBytes(32).toString("base64"), { mode: 0o600, flag: "wx" });
+    } catch (err) {
+        if (err.code !== "EEXIST") throw err;
+    }
+    return Buffer.from((await fs.readFile(file, "utf-8")).trim(), "base64");
+}
+
+async function readEntries() {
+    const file = path.join(storeDir(), "credentials.json");
+    if (!(await fs.pathExists(file))) return {};
+    return (await fs.readJson(file)).tokens || {};
+}
+
+async function writeEntries(tokens) {
+    const file = path.join(storeDir(), "credentials.json");
+    const tmp = `${file}.${process.pid}.tmp`;
+    await fs.ensureDir(storeDir(), { mode: 0o700 });
+    await fs.writeFile(tmp, JSON.stringify({ version: 1, tokens }, null, 2), { mode: 0o600 });
+    await fs.move(tmp, file, { overwrite: true });
+}
+
+const fileStore = {
+    async get(id) {
+        const entry = (await readEntries())[id];
+        if (!entry) return null;
+        try {
+            const decipher = crypto.createDecipheriv("aes-256-gcm", await loadKey(), Buffer.from(entry.iv, "base64"));
+            decipher.setAAD(Buffer.from(id));
+            decipher.setAuthTag(Buffer.from(entry.tag, "base64"));
+            return Buffer.concat([decipher.update(Buffer.from(entry.data, "base64")), decipher.final()]).toString("utf-8");
+        } catch {
+            throw new Error(`The stored token can't be decrypted (was ${path.join(storeDir(), "credentials.key")} replaced?). Run sleekcms login again.`);
+        }
+    },
+    async set(id, token) {
+        const iv = crypto.randomBytes(12);
+        const cipher = crypto.createCipheriv("aes-256-gcm", await loadKey(), iv);
+        cipher.setAAD(Buffer.from(id));
+        const data = Buffer.concat([cipher.update(token, "utf-8"), cipher.final()]);
+        const tokens = await readEntries();
+        tokens[id] = { iv: iv.toString("base64"), tag: cipher.getAuthTag().toString("base64"), data: data.toString("base64") };
+        await writeEntries(tokens);
+    },
+    async remove(id) {
+        const tokens = await readEntries();
+        if (!tokens[id]) return false;
+        delete tokens[id];
+        await writeEntries(tokens);
+        return true;
+    },
+};
+
+const envStore = {
+    async get() {
+        return (process.env[TOKEN_VARIABLE] || "").trim() || null;
+    },
+    async set() {},
+    async remove() {
+        return false;
+    },
+};
+
+const STORES = { file: fileStore, env: envStore };
+
+/**
+ * Name of the store in use: SLEEKCMS_CREDENTIAL_STORE, default "file".
+ */
+function storeName() {
+    const name = process.env[STORE_VARIABLE] || "file";
+    if (!STORES[name]) throw new Error(`Unknown ${STORE_VARIABLE} "${name}" (use ${Object.keys(STORES).join(" or ")})`);
+    return name;
+}
+
+async function readBinding(viewsDir) {
+    const file = path.join(viewsDir, BINDING_FILE);
+    return (await fs.pathExists(file)) ? fs.readJson(file) : null;
+}
+
+async function writeBinding(viewsDir, binding) {
+    await fs.outputJson(path.join(viewsDir, BINDING_FILE), binding, { spaces: 2 });
+}
+
+// The plain `.cache/token` of a workspace from before the stores, or null.
+async function readLegacyToken(viewsDir) {
+    const legacy = path.join(viewsDir, LEGACY_TOKEN_FILE);
+    if (!(await fs.pathExists(legacy))) return null;
+    return (await fs.readFile(legacy, "utf-8")).trim();
+}
+
+/**
+ * Move a plain `.cache/token` into the file store. The env store never
+ * writes, so there the file is left alone (and not read).
+ */
+async function migrateLegacyToken(viewsDir) {
+    if (storeName() !== "file") return;
+    const token = await readLegacyToken(viewsDir);
+    if (token === null) return;
+    const binding = (await readBinding(viewsDir)) || { id: crypto.randomUUID(), siteId: null };
+    if (token) {
+        await fileStore.set(binding.id, token);
+        binding.fingerprint = fingerprint(token);
+    }
+    await writeBinding(viewsDir, binding);
+    await fs.remove(path.join(viewsDir, LEGACY_TOKEN_FILE));
+}
+
+function checkSite(viewsDir, binding, siteId) {
+    if (binding && binding.siteId && siteId && binding.siteId !== siteId) {
+        throw new Error(`Workspace at ${viewsDir} belongs to site ${binding.siteId}, but this token is for site ${siteId}.`);
+    }
+}
+
+/**
+ * The token of a workspace, or null when it has none (never set up, logged
+ * out, or SLEEKCMS_TOKEN unset in env mode). With `readOnly` a legacy
+ * `.cache/token` is read where it is instead of being migrated.
+ */
+async function readToken(viewsDir, { readOnly = false } = {}) {
+    if (storeName() === "env") return envStore.get();
+    if (readOnly) {
+        const legacy = await readLegacyToken(viewsDir);
+        if (legacy) return legacy;
+    } else {
+        await migrateLegacyToken(viewsDir);
+    }
+    const binding = await readBinding(viewsDir);
+    if (!binding || !binding.fingerprint) return null;
+    return fileStore.get(binding.id);
+}
+
+/**
+ * Tie a workspace to `token` on first use, and check the token on every
+ * later one: a workspace keeps its token until `login` replaces it. A
+ * logged-out workspace takes any token for its site.
+ */
+async function bindToken(viewsDir, token, siteId) {
+    await migrateLegacyToken(viewsDir);
+    const binding = (await readBinding(viewsDir)) || { id: crypto.randomUUID(), siteId: null, fingerprint: null };
+    checkSite(viewsDir, binding, siteId);
+    if (binding.fingerprint && binding.fingerprint !== fingerprint(token)) {
+        throw new Error(
+            `Workspace at ${viewsDir} is tied to a different token. ` +
+            `Run sleekcms login -d ${viewsDir} to switch it to the new one.`
+        );
+    }
+    if (!binding.fingerprint || (storeName() === "file" && !(await fileStore.get(binding.id)))) {
+        await STORES[storeName()].set(binding.id, token);
+    }
+    await writeBinding(viewsDir, { ...binding, siteId: binding.siteId || siteId || null, fingerprint: fingerprint(token) });
+}
+
+/**
+ * Replace the workspace's token (rotation). Sync state is untouched, so the
+ * next sync carries on incrementally.
+ */
+async function login(viewsDir, token, siteId) {
+    await migrateLegacyToken(viewsDir);
+    const binding = (await readBinding(viewsDir)) || { id: crypto.randomUUID(), siteId: null };
+    checkSite(viewsDir, binding, siteId);
+    await STORES[storeName()].set(binding.id, token);
+    await writeBinding(viewsDir, { ...binding, siteId: binding.siteId || siteId || null, fingerprint: fingerprint(token) });
+}
+
+/**
+ * Forget the workspace's token. Returns false when it had none.
+ */
+async function logout(viewsDir) {
+    await migrateLegacyToken(viewsDir);
+    const binding = await readBinding(viewsDir);
+    if (!binding || !binding.fingerprint) return false;
+    await STORES[storeName()].remove(binding.id);
+    await writeBinding(viewsDir, { ...binding, fingerprint: null });
+    return true;
+}
+
+module.exports = {
+    BINDING_FILE,
+    TOKEN_VARIABLE,
+    STORE_VARIABLE,
+    storeName,
+    readToken,
+    bindToken,
+    login,
+    logout,
+};
@@ -0,0 +1,65 @@
+/**
+ * Unified diffs for previews (`rename-key --dry-run`, `diff`).
+ */
+
+const { diffHunks } = require("./merge");
+
+function splitLines(text) {
+    if (text === null || text === undefined || text === "") return [];
+    const lines = text.split("\n");
+    if (lines[lines.length - 1] === "") lines.pop();
+    return lines;
+}
+
+// Empty ranges point at the line before them, as in GNU diff.
+function range(start, length) {
+    return `${length === 0 ? start : start + 1},${length}`;
+}
+
+/**
+ * Unified diff of `before` → `after` with `context` lines around each
+ * change. `null` stands for a missing file. Returns "" when they are equal.
+ */
+function unifiedDiff(before, after, { from = "a", to = "b", context = 3 } = {}) {
+    const a = splitLines(before);
+    const b = splitLines(after);
+    // Files too different to line up show as replaced outright.
+    const hunks = diffHunks(a, b) || [{ start: 0, end: a.length, lines: b }];
+    if (hunks.length === 0) return "";
+
+    const out = [`--- ${before === null ? "/dev/null" : from}`, `+++ ${after === null ? "/dev/null" : to}`];
+
+    // Group changes whose context windows touch into one @@ block.
+    let shift = 0; // b index minus a index before the current hunk
+    const groups = [];
+    for (const h of hunks) {
+        const entry = { ...h, bStart: h.start + shift };
+        shift += h.lines.length - (h.end - h.start);
+        const last = groups[groups.length - 1];
+        if (last && h.start - last[last.length - 1].end <= context * 2) last.push(entry);
+        else groups.push([entry]);
+    }
+
+    for (const group of groups) {
+        const first = group[0];
+        const last = group[group.length - 1];
+        const aStart = Math.max(0, first.start - context);
+        const aEnd = Math.min(a.length, last.end + context);
+        const bStart = first.bStart - (first.start - aStart);
+        const bLen = (aEnd - aStart) + group.reduce((n, h) => n + h.lines.length - (h.end - h.start), 0);
+
+        out.push(`@@ -${range(aStart, aEnd - aStart)} +${range(bStart, bLen)} @@`);
+        let pos = aStart;
+        for (const h of group) {
+            for (; pos < h.start; pos++) out.push(` ${a[pos]}`);
+            for (; pos < h.end; pos++) out.push(`-${a[pos]}`);
+            for (const line of h.lines) out.push(`+${line}`);
+        }
+        for (; pos < aEnd; pos++) out.push(` ${a[pos]}`);
+    }
+    return out.join("\n") + "\n";
+}
+
+module.exports = {
+    unifiedDiff,
+};
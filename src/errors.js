@@ -0,0 +1,133 @@
+/**
+ * Sync errors of a workspace.
+ *
+ * The record is `sync-errors.json` in the workspace root, one entry per
+ * file that is not on the server as it is locally:
+ *   [{ path, message, category, time, line?, column?, problems? }]
+ * `category` is "conflict", "lint" (local checks; `problems` holds each
+ * one), "server" (the server rejected the file) or "request" (the request
+ * carrying it failed). `line` and `column` are set when known. The
+ * human-readable `sync-errors.log` (`path: message` lines) is generated
+ * from it and never read back, except to migrate workspaces that predate
+ * the JSON file.
+ */
+
+const path = require("path");
+const fs = require("fs-extra");
+
+const ERROR_FILE = "sync-errors.json";
+const ERROR_LOG = "sync-errors.log";
+
+/**
+ * `{ message, line?, column? }` from a per-file server result, whose
+ * `error` is a string or `{ message, line, column }`; `line` and `column`
+ * may also sit on the result itself. An error object without a message is
+ * recorded as its JSON.
+ */
+function serverError(result) {
+    const error = typeof result.error === "object" ? result.error : { message: String(result.error) };
+    const line = error.line ?? result.line;
+    const column = error.column ?? result.column;
+    return {
+        message: error.message ? String(error.message) : `Server rejected the file: ${JSON.stringify(result.error)}`,
+        ...(line ? { line, column: column || 1 } : {}),
+    };
+}
+
+/**
+ * Record an error for `rel` in the `errors` map (as returned by
+ * loadErrors). Lint errors take their position from the first problem that
+ * has one. An error that is already recorded keeps its first `time`.
+ */
+function setError(errors, rel, category, { message, line, column, problems }) {
+    const prior = errors[rel];
+    const located = !line && problems ? problems.find((p) => p.line) : null;
+    if (located) ({ line, column } = located);
+    errors[rel] = {
+        message,
+        category,
+        time: prior && prior.message === message ? prior.time : new Date().toISOString(),
+        ...(line ? { line, column } : {}),
+        ...(problems ? { problems: problems.map((p) => ({ line: p.line, column: p.column, severity: p.severity, message: p.message })) } : {}),
+    };
+}
+
+/**
+ * Recorded errors as `{ [path]: { message, category, time, ... } }`.
+ */
+async function loadErrors(viewsDir) {
+    const file = path.join(viewsDir, ERROR_FILE);
+    if (await fs.pathExists(file)) {
+        const errors = {};
+        for (const { path: rel, ...entry } of await fs.readJson(file)) errors[rel] = entry;
+        return errors;
+    }
+
+    const log = path.join(viewsDir, ERROR_LOG);
+    if (!(await fs.pathExists(log))) return {};
+    const errors = {};
+    for (const line of (await fs.readFile(log, "utf-8")).split("\n")) {
+        const idx = line.indexOf(": ");
+        if (idx > 0) errors[line.slice(0, idx)] = { message: line.slice(idx + 2) };
+    }
+    return errors;
+}
+
+/**
+ * Errors as a sorted `[{ path, ... }]` list, the form written to disk.
+ */
+function listErrors(errors) {
+    return Object.keys(errors).sort().map((rel) => ({ path: rel, ...errors[rel] }));
+}
+
+/**
+ * Write sync-errors.json and the generated sync-errors.log, or remove both
+ * when there are no errors.
+ */
+async function saveErrors(viewsDir, errors) {
+    const entries = listErrors(errors);
+    if (entries.length === 0) {
+        await fs.remove(path.join(viewsDir, ERROR_FILE));
+        await fs.remove(path.join(viewsDir, ERROR_LOG));
+        return;
+    }
+    await fs.outputJson(path.join(viewsDir, ERROR_FILE), entries, { spaces: 2 });
+    await fs.outputFile(path.join(viewsDir, ERROR_LOG), formatErrorLog(entries));
+}
+
+/**
+ * The human-readable log: one `path: message` line per file, with any
+ * newlines in the message flattened.
+ */
+function formatErrorLog(entries) {
+    return entries.map((e) => `${e.path}: ${String(e.message ?? "").replace(/\s*\n\s*/g, " ")}`).join("\n") + "\n";
+}
+
+/**
+ * One `path:line:column: severity: message` line per problem, the format of
+ * VS Code's built-in `$gcc` problem matcher. Files without a position point
+ * at 1:1.
+ */
+function formatProblemMatcher(entries) {
+    const lines = [];
+    for (const e of entries) {
+        const problems = e.problems || [{ line: e.line, column: e.column, severity: "error", message: e.message }];
+        for (const p of problems) {
+            const where = `${e.path}:${p.line || 1}:${p.column || 1}`;
+            lines.push(`${where}: ${p.severity || "error"}: ${p.message.replace(/\s*\n\s*/g, " ")}`);
+        }
+    }
+    return lines.join("\n") + (lines.length > 0 ? "\n" : "");
+}
+
+module.exports = {
+    ERROR_FILE,
+    ERROR_LOG,
+    serverError,
+    setError,
+    loadErrors,
+    listErrors,
+    saveErrors,
+    formatErrorLog,
+    formatProblemMatcher,
+};
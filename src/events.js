@@ -0,0 +1,42 @@
+/**
+ * Machine-readable sync events, for headless mode (`--headless`).
+ *
+ * The sync engine and the watcher call emit() next to their emoji lines;
+ * nothing happens until a reporter is set. Each event is a flat object
+ * `{ type, time, ...data }`:
+ *   sync_started    workspace, site, command, dryRun
+ *   pull_completed  pulled, firstRun
+ *   file_pushed     path, action (created, updated, moved, deleted), from
+ *   file_failed     path, category, message (see src/errors.js)
+ *   sync_completed  pulled, pushed, moved, deleted, failed
+ *   sync_failed     message, code, offline
+ *   offline/online  queued (offline only)
+ *   watcher_idle    nothing pending; the watcher waits for changes
+ *   result/error    last event of a command (see src/commands.js)
+ */
+
+let reporter = null;
+
+/**
+ * Send every event to `fn` (null to stop).
+ */
+function setReporter(fn) {
+    reporter = fn;
+}
+
+function emit(type, data = {}) {
+    if (reporter) reporter({ type, time: new Date().toISOString(), ...data });
+}
+
+/**
+ * A reporter writing one JSON object per line to `stream`.
+ */
+function ndjson(stream = process.stdout) {
+    return (event) => stream.write(JSON.stringify(event) + "\n");
+}
+
+module.exports = {
+    setReporter,
+    emit,
+    ndjson,
+};
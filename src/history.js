@@ -0,0 +1,100 @@
+/**
+ * Local push history under `.cache/history/<id>/`.
+ *
+ * Before a push, the last-synced content of every file it touches is saved
+ * as a snapshot, so the push can be undone with `rollback <id>`:
+ *   manifest.json   { id, createdAt, files: [{ path, action, existed }] }
+ *   files/<rel>     prior content (only for files that existed)
+ * `action` is "save", "delete", "move-from" or "move-to". Only the newest
+ * MAX_SNAPSHOTS are kept.
+ */
+
+const path = require("path");
+const fs = require("fs-extra");
+
+const HISTORY_DIR = path.join(".cache", "history");
+const MAX_SNAPSHOTS = 50;
+
+function historyDir(viewsDir) {
+    return path.join(viewsDir, HISTORY_DIR);
+}
+
+/**
+ * Save `entries` (`[{ path, action, before }]`, `before` null for files that
+ * did not exist) as a new snapshot. Returns its manifest.
+ */
+async function createSnapshot(viewsDir, entries) {
+    const stamp = new Date().toISOString().replace(/[:.]/g, "-");
+    let id = stamp;
+    for (let n = 2; await fs.pathExists(path.join(historyDir(viewsDir), id)); n++) id = `${stamp}-${n}`;
+
+    const dir = path.join(historyDir(viewsDir), id);
+    for (const e of entries) {
+        if (e.before !== null) await fs.outputFile(path.join(dir, "files", e.path), e.before);
+    }
+    const manifest = {
+        id,
+        createdAt: new Date().toISOString(),
+        files: entries.map((e) => ({ path: e.path, action: e.action, existed: e.before !== null })),
+    };
+    await fs.outputJson(path.join(dir, "manifest.json"), manifest, { spaces: 2 });
+    await pruneSnapshots(viewsDir);
+    return manifest;
+}
+
+async function removeSnapshot(viewsDir, id) {
+    await fs.remove(path.join(historyDir(viewsDir), id));
+}
+
+async function pruneSnapshots(viewsDir) {
+    const snapshots = await listSnapshots(viewsDir);
+    for (const old of snapshots.slice(MAX_SNAPSHOTS)) await removeSnapshot(viewsDir, old.id);
+}
+
+/**
+ * Snapshot manifests, newest first.
+ */
+async function listSnapshots(viewsDir) {
+    const dir = historyDir(viewsDir);
+    if (!(await fs.pathExists(dir))) return [];
+    const manifests = [];
+    for (const id of await fs.readdir(dir)) {
+        const file = path.join(dir, id, "manifest.json");
+        if (await fs.pathExists(file)) manifests.push(await fs.readJson(file));
+    }
+    return manifests.sort((a, b) => (a.createdAt < b.createdAt ? 1 : a.createdAt > b.createdAt ? -1 : a.id < b.id ? 1 : -1));
+}
+
+async function readSnapshot(viewsDir, id) {
+    const file = path.join(historyDir(viewsDir), id, "manifest.json");
+    if (!(await fs.pathExists(file))) {
+        const err = new Error(`No snapshot "${id}" in ${historyDir(viewsDir)}`);
+        err.code = "ENOSNAPSHOT";
+        throw err;
+    }
+    return fs.readJson(file);
+}
+
+/**
+ * Put the workspace files of snapshot `id` back to their prior content:
+ * files that existed are rewritten, files that did not are removed.
+ * Returns the affected paths.
+ */
+async function restoreSnapshot(viewsDir, id) {
+    const manifest = await readSnapshot(viewsDir, id);
+    const dir = path.join(historyDir(viewsDir), id, "files");
+    for (const f of manifest.files) {
+        const target = path.join(viewsDir, f.path);
+        if (f.existed) await fs.copy(path.join(dir, f.path), target);
+        else await fs.remove(target);
+    }
+    return manifest.files.map((f) => f.path);
+}
+
+module.exports = {
+    createSnapshot,
+    removeSnapshot,
+    listSnapshots,
+    readSnapshot,
+    restoreSnapshot,
+};
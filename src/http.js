@@ -0,0 +1,104 @@
+/**
+ * SleekCMS API requests with timeouts and retries.
+ *
+ * Idempotent calls (reads, and /save_files, which just writes the same
+ * content again) are retried on network errors, timeouts, 429 and 5xx.
+ * /move_files and /delete_files are only retried on 429 and 503, which mean
+ * the server did not act on the request. Retries back off exponentially and
+ * honour `Retry-After`.
+ *
+ * When the API can't be reached at all (network error, timeout, 502-504
+ * after the last retry) the error has `offline: true`.
+ */
+
+const defaults = {
+    retries: 4,
+    baseDelay: 500,
+    maxDelay: 8000,
+    maxRetryAfter: 60000,
+    timeout: 30000,
+};
+
+const IDEMPOTENT_POSTS = new Set(["/get_files", "/save_files"]);
+const UNREACHABLE = new Set([502, 503, 504]);
+
+function isIdempotent(method, p) {
+    return method === "GET" || IDEMPOTENT_POSTS.has(p);
+}
+
+function shouldRetry(err, idempotent) {
+    if (!err.status) return idempotent;
+    if (err.status === 429 || err.status === 503) return true;
+    return idempotent && err.status >= 500;
+}
+
+/**
+ * Milliseconds to wait before retry number `attempt` (0-based): the
+ * server's `Retry-After` (seconds or an HTTP date) when given, else
+ * exponential backoff with jitter.
+ */
+function retryDelay(attempt, retryAfter, options = defaults) {
+    if (retryAfter) {
+        const seconds = Number(retryAfter);
+        const ms = Number.isFinite(seconds) ? seconds * 1000 : Date.parse(retryAfter) - Date.now();
+        if (Number.isFinite(ms)) return Math.min(Math.max(ms, 0), options.maxRetryAfter);
+    }
+    const backoff = Math.min(options.baseDelay * 2 ** attempt, options.maxDelay);
+    return backoff / 2 + Math.random() * (backoff / 2);
+}
+
+async function attempt(baseUrl, token, method, p, body, timeout) {
+    let res;
+    try {
+        res = await fetch(baseUrl + p, {
+            method,
+            headers: {
+                Authorization: `Bearer ${token}`,
+                ...(body !== undefined ? { "Content-Type": "application/json" } : {}),
+            },
+            body: body !== undefined ? JSON.stringify(body) : undefined,
+            signal: AbortSignal.timeout(timeout),
+        });
+    } catch (cause) {
+        const timedOut = cause.name === "TimeoutError";
+        const reason = timedOut ? `timed out after ${timeout}ms` : (cause.cause && cause.cause.code) || cause.message;
+        const err = new Error(`${method} ${p} → ${reason}`);
+        err.code = timedOut ? "ETIMEDOUT" : "ENETWORK";
+        err.cause = cause;
+        throw err;
+    }
+    if (!res.ok) {
+        const text = await res.text();
+        const err = new Error(`${method} ${p} → ${res.status}: ${text}`);
+        err.status = res.status;
+        err.body = text;
+        err.retryAfter = res.headers && res.headers.get ? res.headers.get("retry-after") : null;
+        throw err;
+    }
+    return res.json();
+}
+
+/**
+ * JSON response of `method` `baseUrl + p`, retried as described above.
+ * Throws the last error (with `status` and `body` for HTTP errors).
+ */
+async function request(baseUrl, token, method, p, body) {
+    const idempotent = isIdempotent(method, p);
+    for (let n = 0; ; n++) {
+        try {
+            return await attempt(baseUrl, token, method, p, body, defaults.timeout);
+        } catch (err) {
+            if (n >= defaults.retries || !shouldRetry(err, idempotent)) {
+                err.offline = !err.status || UNREACHABLE.has(err.status);
+                throw err;
+            }
+            await new Promise((resolve) => setTimeout(resolve, retryDelay(n, err.retryAfter)));
+        }
+    }
+}
+
+module.exports = {
+    defaults,
+    retryDelay,
+    request,
+};
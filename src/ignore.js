@@ -0,0 +1,127 @@
+/**
+ * `.sleekignore`: workspace files that are never watched or pushed.
+ *
+ * The file sits in the workspace root and uses gitignore syntax, with paths
+ * relative to the root (`src/views/...`): `#` comments, `!` negation,
+ * trailing `/` for directories only, a leading or inner `/` to anchor the
+ * pattern, and `*`, `?`, `[...]` and `**` wildcards. As in git, a file in an
+ * ignored directory can't be re-included. DEFAULT_PATTERNS (editor swap
+ * files, OS litter, merge leftovers) come first, so `!` can undo them.
+ */
+
+const path = require("path");
+const fs = require("fs-extra");
+const { loadConfig } = require("./config");
+
+const IGNORE_FILE = ".sleekignore";
+
+const DEFAULT_PATTERNS = [
+    ".DS_Store",
+    "Thumbs.db",
+    "*.swp",
+    "*.swo",
+    "*~",
+    ".#*",
+    "*.orig",
+    "*.rej",
+];
+
+function globToRegex(glob) {
+    let out = "";
+    for (let i = 0; i < glob.length; i++) {
+        const c = glob[i];
+        if (c === "*" && glob[i + 1] === "*") {
+            const atStart = i === 0 || glob[i - 1] === "/";
+            const atEnd = i + 2 === glob.length || glob[i + 2] === "/";
+            if (atStart && atEnd) {
+                // "**/" matches any number of directories, a trailing "**"
+                // everything below.
+                out += i + 2 === glob.length ? ".*" : "(?:.*/)?";
+                i += 2;
+                continue;
+            }
+        }
+        if (c === "*") out += "[^/]*";
+        else if (c === "?") out += "[^/]";
+        else if (c === "\\" && i + 1 < glob.length) out += "\\" + glob[++i];
+        else if (c === "[") {
+            const end = glob.indexOf("]", i + 2);
+            if (end === -1) {
+                out += "\\[";
+                continue;
+            }
+            const body = glob.slice(i + 1, end).replace(/^!/, "^").replace(/\\/g, "\\\\");
+            out += `[${body}]`;
+            i = end;
+        } else out += c.replace(/[.+^${}()|\]\\/]/g, "\\$&");
+    }
+    return out;
+}
+
+/**
+ * Rules of gitignore-style `text`, as `[{ regex, negate, dirOnly }]`.
+ */
+function parseIgnore(text) {
+    const rules = [];
+    for (let line of text.split(/\r?\n/)) {
+        line = line.replace(/(?<!\\)\s+$/, "");
+        if (!line || line.startsWith("#")) continue;
+
+        const negate = line.startsWith("!");
+        if (negate) line = line.slice(1);
+        else if (line.startsWith("\\!") || line.startsWith("\\#")) line = line.slice(1);
+
+        const dirOnly = line.endsWith("/");
+        if (dirOnly) line = line.slice(0, -1);
+        const anchored = line.includes("/");
+        line = line.replace(/^\//, "");
+        if (!line) continue;
+
+        const body = globToRegex(line);
+        rules.push({ regex: new RegExp(anchored ? `^${body}$` : `(?:^|/)${body}$`), negate, dirOnly });
+    }
+    return rules;
+}
+
+function matches(rules, rel, isDir) {
+    let ignored = false;
+    for (const rule of rules) {
+        if (rule.dirOnly && !isDir) continue;
+        if (rule.regex.test(rel)) ignored = !rule.negate;
+    }
+    return ignored;
+}
+
+/**
+ * A `(rel, isDir) => boolean` test for workspace-relative paths built from
+ * DEFAULT_PATTERNS and `text`.
+ */
+function createIgnore(text = "") {
+    const rules = parseIgnore([...DEFAULT_PATTERNS, text].join("\n"));
+    return (rel, isDir = false) => {
+        const parts = rel.replace(/\\/g, "/").split("/");
+        for (let i = 1; i < parts.length; i++) {
+            if (matches(rules, parts.slice(0, i).join("/"), true)) return true;
+        }
+        return matches(rules, parts.join("/"), isDir);
+    };
+}
+
+/**
+ * The ignore test for a workspace (see createIgnore): its `.sleekignore`,
+ * if there is one, plus the `ignore` patterns of its config (src/config.js).
+ */
+async function loadIgnore(viewsDir) {
+    const file = path.join(viewsDir, IGNORE_FILE);
+    const text = (await fs.pathExists(file)) ? await fs.readFile(file, "utf-8") : "";
+    const { ignore } = await loadConfig({ dir: viewsDir });
+    return createIgnore([text, ...ignore].join("\n"));
+}
+
+module.exports = {
+    IGNORE_FILE,
+    DEFAULT_PATTERNS,
+    parseIgnore,
+    createIgnore,
+    loadIgnore,
+};
@@ -0,0 +1,81 @@
+/**
+ * Local workspace checks, run by the lint command and before every push.
+ *
+ * Pure functions over `{ [relPath]: content }` so the same rules apply to a
+ * full workspace scan and to the files about to be pushed. Problems have a
+ * `severity`: "error" blocks a push, "warning" is only reported.
+ */
+
+const { parseModel, validateModel, modelInfo } = require("./model");
+const { validateContent } = require("./content");
+const { checkConsistency } = require("./consistency");
+
+/**
+ * Returns `lookupModel(kind, key)` resolving to the parsed model AST from
+ * `files`, or undefined when the model is missing or does not parse.
+ */
+function modelLookup(files) {
+    const cache = new Map();
+    return (kind, key) => {
+        const rel = `src/models/${kind}/${key}.model`;
+        if (!cache.has(rel)) {
+            let ast;
+            try {
+                if (files[rel] !== undefined) ast = parseModel(files[rel]);
+            } catch {
+                ast = undefined;
+            }
+            cache.set(rel, ast);
+        }
+        return cache.get(rel);
+    };
+}
+
+/**
+ * Problems for a single file, as `{ line?, column?, message }`. `files` is
+ * the rest of the workspace, used to resolve content to its model. Files
+ * that have no local checks return an empty list.
+ */
+function lintFile(rel, content, files, lookupModel = modelLookup(files)) {
+    const info = modelInfo(rel);
+    if (info) return validateModel(content, info.kind);
+    return validateContent(rel, content, lookupModel);
+}
+
+/**
+ * Lint every file in `files`, including the cross-file checks. Returns
+ * `{ path, line?, column?, severity, message }` problems sorted by path.
+ */
+function lintFiles(files) {
+    const lookupModel = modelLookup(files);
+    const problems = [];
+    for (const rel of Object.keys(files).sort()) {
+        for (const p of lintFile(rel, files[rel], files, lookupModel)) problems.push({ path: rel, severity: "error", ...p });
+    }
+    problems.push(...checkConsistency(files));
+    return problems.sort((a, b) => (a.path < b.path ? -1 : a.path > b.path ? 1 : 0));
+}
+
+/**
+ * Message with its position, `line:column message`, when it has one.
+ * Warnings are prefixed so they stand out from blocking errors.
+ */
+function describeProblem(p) {
+    const message = p.severity === "warning" ? `warning: ${p.message}` : p.message;
+    return p.line ? `${p.line}:${p.column} ${message}` : message;
+}
+
+/**
+ * One-line form, `path:line:column message`, as editors and sync-errors.log
+ * expect.
+ */
+function formatProblem(p) {
+    return p.line ? `${p.path}:${describeProblem(p)}` : `${p.path} ${describeProblem(p)}`;
+}
+
+module.exports = {
+    modelLookup,
+    lintFiles,
+    describeProblem,
+    formatProblem,
+};
@@ -0,0 +1,160 @@
+/**
+ * Workspace lock at `.cache/sync.lock`.
+ *
+ * Anything that writes state.json, sync-errors.json or pulled files takes the
+ * lock first, so watch mode, `sync-site` and a second terminal never sync
+ * the same workspace at once. The file holds `{ pid, host, command,
+ * createdAt }`. A lock is stale when its process is gone (same host) or,
+ * for a lock taken on another host, once it is older than STALE_AFTER.
+ * Read-only commands such as `status` never take it.
+ */
+
+const crypto = require("crypto");
+const fs = require("fs-extra");
+const os = require("os");
+const path = require("path");
+
+const LOCK_FILE = path.join(".cache", "sync.lock");
+const WAIT_TIMEOUT = 30000;
+const RETRY_INTERVAL = 200;
+const STALE_AFTER = 60 * 60 * 1000;
+
+// Lock files owned by this process, removed on exit even when a sync is
+// interrupted.
+const held = new Set();
+process.on("exit", () => {
+    for (const file of held) fs.removeSync(file);
+});
+
+function lockPath(viewsDir) {
+    return path.join(viewsDir, LOCK_FILE);
+}
+
+function isAlive(pid) {
+    try {
+        process.kill(pid, 0);
+        return true;
+    } catch (err) {
+        return err.code === "EPERM";
+    }
+}
+
+function isStale(lock) {
+    if (lock.host === os.hostname()) return !isAlive(lock.pid);
+    return Date.now() - Date.parse(lock.createdAt) > STALE_AFTER;
+}
+
+/**
+ * The current lock holder as `{ pid, host, command, createdAt }`, or null
+ * when the workspace is not locked (no lock file, or a stale one).
+ */
+async function readLock(viewsDir) {
+    return readLockFile(lockPath(viewsDir));
+}
+
+async function readLockFile(file) {
+    let lock;
+    try {
+        lock = await fs.readJson(file);
+    } catch (err) {
+        if (err.code === "ENOENT") return null;
+        // Unreadable: being written right now, or left half-written by a crash.
+        const stat = await fs.stat(file).catch(() => null);
+        if (!stat || Date.now() - stat.mtimeMs > 5000) return null;
+        return { pid: null, host: null, command: "unknown", createdAt: stat.mtime.toISOString() };
+    }
+    return isStale(lock) ? null : lock;
+}
+
+function describeLock(lock) {
+    const who = lock.pid ? `PID ${lock.pid} on ${lock.host}` : "another process";
+    return `${lock.command} (${who}, since ${lock.createdAt})`;
+}
+
+/**
+ * Take the workspace lock, waiting up to `timeout` ms for a live holder to
+ * finish and replacing stale locks. Throws (err.code ELOCKED) on timeout.
+ * Returns a function that releases the lock.
+ */
+async function acquireLock(viewsDir, { command = "sync", timeout = WAIT_TIMEOUT } = {}) {
+    const file = lockPath(viewsDir);
+    const deadline = Date.now() + timeout;
+    const lock = { pid: process.pid, host: os.hostname(), command, createdAt: new Date().toISOString() };
+
+    await fs.ensureDir(path.dirname(file));
+    for (;;) {
+        try {
+            await fs.writeFile(file, JSON.stringify(lock, null, 2), { flag: "wx" });
+            break;
+        } catch (err) {
+            if (err.code !== "EEXIST") throw err;
+        }
+
+        const holder = await readLock(viewsDir);
+        if (!holder) {
+            await breakStaleLock(file);
+            continue;
+        }
+        if (Date.now() >= deadline) {
+            const err = new Error(
+                `Workspace ${viewsDir} is locked by ${describeLock(holder)}. ` +
+                `Wait for it to finish, or remove ${file} if that process is gone.`
+            );
+            err.code = "ELOCKED";
+            err.lock = holder;
+            throw err;
+        }
+        await new Promise((resolve) => setTimeout(resolve, RETRY_INTERVAL));
+    }
+
+    held.add(file);
+    return async () => {
+        held.delete(file);
+        await fs.remove(file);
+    };
+}
+
+/**
+ * Remove a lock found stale. Another process may have replaced it since it
+ * was read, so it is first renamed to a name only this call uses and read
+ * again; a live lock caught that way is linked back (unless yet another one
+ * took its place) instead of being deleted.
+ */
+async function breakStaleLock(file) {
+    const tombstone = `${file}.${process.pid}.${crypto.randomUUID()}.stale`;
+    try {
+        await fs.rename(file, tombstone);
+    } catch (err) {
+        if (err.code === "ENOENT") return;
+        throw err;
+    }
+    try {
+        if (await readLockFile(tombstone)) {
+            await fs.link(tombstone, file).catch((err) => {
+                if (err.code !== "EEXIST") throw err;
+            });
+        }
+    } finally {
+        await fs.remove(tombstone);
+    }
+}
+
+/**
+ * Run `fn` while holding the workspace lock.
+ */
+async function withLock(viewsDir, options, fn) {
+    const release = await acquireLock(viewsDir, options);
+    try {
+        return await fn();
+    } finally {
+        await release();
+    }
+}
+
+module.exports = {
+    LOCK_FILE,
+    readLock,
+    describeLock,
+    acquireLock,
+    withLock,
+};
@@ -0,0 +1,227 @@
+/**
+ * Three-way merge for workspace files.
+ *
+ * Used when a file changed both locally and on the server since the last
+ * sync. `base` is the last-synced content kept under `.cache/base/`.
+ *   - mergeText: line-based diff3; unresolved regions get conflict markers
+ *   - mergeJson: key-wise merge of content records; no markers, since they
+ *     would make the file invalid JSON
+ */
+
+const CONFLICT = Symbol("conflict");
+
+// Line edits past which two versions count as unrelated (e.g. a reformatted
+// file): matchLines gives up rather than spend O(edits²) memory on them.
+const MAX_EDITS = 2000;
+
+/**
+ * Longest common subsequence of two line arrays, as matched index pairs,
+ * by Myers' O(ND) diff. Null when they differ by more than `maxEdits`
+ * inserted and deleted lines.
+ */
+function matchLines(a, b, maxEdits = MAX_EDITS) {
+    let head = 0;
+    while (head < a.length && head < b.length && a[head] === b[head]) head++;
+    let tail = 0;
+    while (tail < a.length - head && tail < b.length - head &&
+        a[a.length - 1 - tail] === b[b.length - 1 - tail]) tail++;
+
+    const n = a.length - head - tail;
+    const m = b.length - head - tail;
+    const max = Math.min(n + m, maxEdits);
+
+    // v[offset + k] is the furthest x reached on diagonal k = x - y; trace[d]
+    // keeps diagonals -d-1..d+1 of it as they were before edit d.
+    const offset = max + 1;
+    const v = new Int32Array(2 * max + 3);
+    const trace = [];
+    let edits = -1;
+    for (let d = 0; d <= max && edits < 0; d++) {
+        trace.push(v.slice(offset - d - 1, offset + d + 2));
+        for (let k = -d; k <= d; k += 2) {
+            let x = k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])
+                ? v[offset + k + 1]
+                : v[offset + k - 1] + 1;
+            let y = x - k;
+            while (x < n && y < m && a[head + x] === b[head + y]) {
+                x++;
+                y++;
+            }
+            v[offset + k] = x;
+            if (x >= n && y >= m) {
+                edits = d;
+                break;
+            }
+        }
+    }
+    if (edits < 0) return null;
+
+    const middle = [];
+    let x = n;
+    let y = m;
+    for (let d = edits; d > 0; d--) {
+        const at = (k) => trace[d][k + d + 1];
+        const k = x - y;
+        const prevK = k === -d || (k !== d && at(k - 1) < at(k + 1)) ? k + 1 : k - 1;
+        const prevX = at(prevK);
+        const prevY = prevX - prevK;
+        while (x > prevX && y > prevY) middle.push([head + --x, head + --y]);
+        x = prevX;
+        y = prevY;
+    }
+    while (x > 0 && y > 0) middle.push([head + --x, head + --y]);
+
+    const pairs = [];
+    for (let i = 0; i < head; i++) pairs.push([i, i]);
+    pairs.push(...middle.reverse());
+    for (let k = tail; k > 0; k--) pairs.push([a.length - k, b.length - k]);
+    return pairs;
+}
+
+/**
+ * Edits turning `base` into `other`: replace base[start, end) with `lines`.
+ * Null when the two are too different to match up (see matchLines).
+ */
+function diffHunks(base, other) {
+    const pairs = matchLines(base, other);
+    if (!pairs) return null;
+    const hunks = [];
+    let bi = 0;
+    let oi = 0;
+    for (const [i, j] of [...pairs, [base.length, other.length]]) {
+        if (i > bi || j > oi) hunks.push({ start: bi, end: i, lines: other.slice(oi, j) });
+        bi = i + 1;
+        oi = j + 1;
+    }
+    return hunks;
+}
+
+function applyHunks(base, hunks, start, end) {
+    const out = [];
+    let pos = start;
+    for (const h of hunks) {
+        out.push(...base.slice(pos, h.start), ...h.lines);
+        pos = h.end;
+    }
+    out.push(...base.slice(pos, end));
+    return out;
+}
+
+/**
+ * Line-based three-way merge. Returns `{ clean, content }`; when not clean,
+ * `content` holds git-style conflict markers around each clashing region.
+ * A side too different from `base` to diff is a conflict with no `content`.
+ */
+function mergeText(base, local, server) {
+    const baseLines = base.split("\n");
+    const localLines = local.split("\n");
+    const serverLines = server.split("\n");
+    const queues = [diffHunks(baseLines, localLines), diffHunks(baseLines, serverLines)];
+    if (!queues[0] || !queues[1]) return { clean: false };
+
+    const out = [];
+    let pos = 0;
+    let clean = true;
+
+    while (queues[0].length || queues[1].length) {
+        const side = !queues[1].length || (queues[0].length && queues[0][0].start <= queues[1][0].start) ? 0 : 1;
+        let start = queues[side][0].start;
+        let end = queues[side][0].end;
+        const groups = [[], []];
+        groups[side].push(queues[side].shift());
+
+        // Absorb every hunk from either side that touches the region.
+        let grew = true;
+        while (grew) {
+            grew = false;
+            for (const s of [0, 1]) {
+                while (queues[s].length && queues[s][0].start <= end) {
+                    const h = queues[s].shift();
+                    groups[s].push(h);
+                    start = Math.min(start, h.start);
+                    end = Math.max(end, h.end);
+                    grew = true;
+                }
+            }
+        }
+
+        out.push(...baseLines.slice(pos, start));
+        const mine = groups[0].length ? applyHunks(baseLines, groups[0], start, end) : null;
+        const theirs = groups[1].length ? applyHunks(baseLines, groups[1], start, end) : null;
+
+        if (!theirs) out.push(...mine);
+        else if (!mine || mine.join("\n") === theirs.join("\n")) out.push(...theirs);
+        else {
+            clean = false;
+            out.push("<<<<<<< local", ...mine, "=======", ...theirs, ">>>>>>> server");
+        }
+        pos = end;
+    }
+    out.push(...baseLines.slice(pos));
+
+    return { clean, content: out.join("\n") };
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+function sameValue(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function mergeValues(base, local, server) {
+    if (sameValue(local, server)) return local;
+    if (sameValue(local, base)) return server;
+    if (sameValue(server, base)) return local;
+    if (!isPlainObject(local) || !isPlainObject(server)) return CONFLICT;
+
+    const baseObj = isPlainObject(base) ? base : {};
+    const merged = {};
+    for (const key of new Set([...Object.keys(local), ...Object.keys(server)])) {
+        const value = mergeValues(baseObj[key], local[key], server[key]);
+        if (value === CONFLICT) return CONFLICT;
+        if (value !== undefined) merged[key] = value;
+    }
+    return merged;
+}
+
+function detectIndent(text) {
+    const match = text.match(/\n([ \t]+)\S/);
+    return match ? match[1] : "";
+}
+
+/**
+ * Key-wise three-way merge of JSON content. Returns `{ clean, content }`;
+ * `content` is only set when the merge is clean. Unparseable input counts
+ * as a conflict.
+ */
+function mergeJson(base, local, server) {
+    let parsed;
+    try {
+        parsed = [base, local, server].map((text) => JSON.parse(text));
+    } catch {
+        return { clean: false };
+    }
+
+    const merged = mergeValues(...parsed);
+    if (merged === CONFLICT) return { clean: false };
+
+    const trailing = local.endsWith("\n") ? "\n" : "";
+    return { clean: true, content: JSON.stringify(merged, null, detectIndent(local)) + trailing };
+}
+
+/**
+ * True when text still contains unresolved conflict markers.
+ */
+function hasConflictMarkers(text) {
+    return /^<{7} local$/m.test(text) && /^>{7} server$/m.test(text);
+}
+
+module.exports = {
+    diffHunks,
+    detectIndent,
+    mergeText,
+    mergeJson,
+    hasConflictMarkers,
+};
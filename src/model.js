@@ -0,0 +1,239 @@
+/**
+ * Parser and validator for `.model` files.
+ *
+ * Grammar (JSON-like, unquoted keys and type names, trailing commas and
+ * `//` / `/* *\/` comments allowed):
+ *
+ *   model      := group
+ *   group      := "{" [ field { "," field } [ "," ] ] "}"
+ *   field      := key ":" value
+ *   value      := group | collection | type | ref
+ *   collection := "[" ( group | ref ) [ "," ] "]"
+ *   ref        := ( "block" | "entry" ) "(" key ")"
+ *
+ * The AST mirrors that shape; every node carries the line/column it starts at:
+ *   { type: "group", fields: [{ name, value, line, column }] }
+ *   { type: "collection", item }
+ *   { type: "field", fieldType }
+ *   { type: "block", key } / { type: "entry", key }
+ */
+
+const FIELD_TYPES = new Set([
+    "text", "paragraph", "richtext", "markdown", "code", "color", "link",
+    "number", "boolean", "date", "datetime", "time",
+    "image", "video", "json", "sheet", "location",
+]);
+
+const BLOCK_KEY = /^[a-z0-9][a-z0-9_.-]*$/;
+const ENTRY_KEY = /^[a-z0-9][a-z0-9_.-]*\+?$/;
+
+function modelError(message, line, column) {
+    const err = new Error(`${line}:${column} ${message}`);
+    err.line = line;
+    err.column = column;
+    err.reason = message;
+    return err;
+}
+
+function tokenize(source) {
+    const tokens = [];
+    let i = 0;
+    let line = 1;
+    let column = 1;
+
+    function advance(n) {
+        for (let k = 0; k < n; k++) {
+            if (source[i] === "\n") {
+                line++;
+                column = 1;
+            } else {
+                column++;
+            }
+            i++;
+        }
+    }
+
+    while (i < source.length) {
+        const ch = source[i];
+        if (/\s/.test(ch)) {
+            advance(1);
+        } else if (source.startsWith("//", i)) {
+            while (i < source.length && source[i] !== "\n") advance(1);
+        } else if (source.startsWith("/*", i)) {
+            const end = source.indexOf("*/", i + 2);
+            if (end < 0) throw modelError("Unterminated comment", line, column);
+            advance(end + 2 - i);
+        } else if ("{}[](),:".includes(ch)) {
+            tokens.push({ kind: ch, line, column });
+            advance(1);
+        } else if (ch === '"' || ch === "'") {
+            const start = { line, column };
+            let j = i + 1;
+            while (j < source.length && source[j] !== ch && source[j] !== "\n") j++;
+            if (source[j] !== ch) throw modelError("Unterminated string", start.line, start.column);
+            tokens.push({ kind: "name", value: source.slice(i + 1, j), line: start.line, column: start.column });
+            advance(j + 1 - i);
+        } else {
+            const match = /^[A-Za-z0-9_.+-]+/.exec(source.slice(i));
+            if (!match) throw modelError(`Unexpected character "${ch}"`, line, column);
+            tokens.push({ kind: "name", value: match[0], line, column });
+            advance(match[0].length);
+        }
+    }
+    tokens.push({ kind: "end", line, column });
+    return tokens;
+}
+
+function describe(token) {
+    if (token.kind === "end") return "end of file";
+    if (token.kind === "name") return `"${token.value}"`;
+    return `"${token.kind}"`;
+}
+
+/**
+ * Parse `.model` source into an AST. Throws an Error carrying `line` and
+ * `column` on the first syntax error, unknown type or malformed reference.
+ */
+function parseModel(source) {
+    const tokens = tokenize(source);
+    let pos = 0;
+
+    const peek = () => tokens[pos];
+    function expect(kind) {
+        const token = tokens[pos];
+        if (token.kind !== kind) throw modelError(`Expected "${kind}" but found ${describe(token)}`, token.line, token.column);
+        pos++;
+        return token;
+    }
+
+    function parseGroup() {
+        const open = expect("{");
+        const fields = [];
+        const seen = new Set();
+        while (peek().kind !== "}") {
+            const key = peek();
+            if (key.kind !== "name") throw modelError(`Expected a field name but found ${describe(key)}`, key.line, key.column);
+            pos++;
+            if (seen.has(key.value)) throw modelError(`Duplicate field "${key.value}"`, key.line, key.column);
+            seen.add(key.value);
+            expect(":");
+            fields.push({ name: key.value, value: parseValue(), line: key.line, column: key.column });
+            if (peek().kind !== ",") break;
+            pos++;
+        }
+        expect("}");
+        return { type: "group", fields, line: open.line, column: open.column };
+    }
+
+    function parseCollection() {
+        const open = expect("[");
+        const item = peek().kind === "{" ? parseGroup() : parseValue();
+        if (item.type !== "group" && item.type !== "block" && item.type !== "entry") {
+            throw modelError("A collection must contain a group { ... }, block(key) or entry(key)", item.line, item.column);
+        }
+        if (peek().kind === ",") pos++;
+        if (peek().kind !== "]") {
+            throw modelError(`A collection holds exactly one item definition, found ${describe(peek())}`, peek().line, peek().column);
+        }
+        pos++;
+        return { type: "collection", item, line: open.line, column: open.column };
+    }
+
+    function parseRef(name) {
+        expect("(");
+        const key = peek();
+        if (key.kind !== "name") {
+            throw modelError(`${name.value}() needs a key, e.g. ${name.value}(hero)`, key.line, key.column);
+        }
+        pos++;
+        const pattern = name.value === "block" ? BLOCK_KEY : ENTRY_KEY;
+        if (!pattern.test(key.value)) {
+            const hint = name.value === "block" && key.value.endsWith("+")
+                ? "block keys cannot be collections (no + suffix)"
+                : "keys are lowercase and dash-separated";
+            throw modelError(`Invalid ${name.value} key "${key.value}": ${hint}`, key.line, key.column);
+        }
+        expect(")");
+        return { type: name.value, key: key.value, line: name.line, column: name.column };
+    }
+
+    function parseValue() {
+        const token = peek();
+        if (token.kind === "{") return parseGroup();
+        if (token.kind === "[") return parseCollection();
+        if (token.kind !== "name") throw modelError(`Expected a field type but found ${describe(token)}`, token.line, token.column);
+        pos++;
+
+        if (peek().kind === "(") {
+            if (token.value !== "block" && token.value !== "entry") {
+                throw modelError(`Unknown reference "${token.value}()": use block(key) or entry(key)`, token.line, token.column);
+            }
+            return parseRef(token);
+        }
+        if (token.value === "block" || token.value === "entry") {
+            throw modelError(`${token.value} needs a key, e.g. ${token.value}(${token.value === "block" ? "hero" : "authors+"})`, token.line, token.column);
+        }
+        if (!FIELD_TYPES.has(token.value)) {
+            throw modelError(`Unknown field type "${token.value}"`, token.line, token.column);
+        }
+        return { type: "field", fieldType: token.value, line: token.line, column: token.column };
+    }
+
+    const root = parseGroup();
+    if (peek().kind !== "end") throw modelError(`Unexpected ${describe(peek())} after the model`, peek().line, peek().column);
+    return root;
+}
+
+/**
+ * Model kind ("pages", "entries" or "blocks") and key for a workspace path,
+ * or null when the path is not a model file.
+ */
+function modelInfo(rel) {
+    const match = /^src\/models\/(pages|entries|blocks)\/(.+)\.model$/.exec(rel);
+    return match ? { kind: match[1], key: match[2] } : null;
+}
+
+/**
+ * Visit every node of a model AST, depth first.
+ */
+function walkModel(node, visit) {
+    visit(node);
+    if (node.type === "group") node.fields.forEach((f) => walkModel(f.value, visit));
+    else if (node.type === "collection") walkModel(node.item, visit);
+}
+
+/**
+ * Validate `.model` source for a model of the given kind. Returns a list of
+ * `{ line, column, message }` problems; empty when the model is valid.
+ */
+function validateModel(source, kind) {
+    let ast;
+    try {
+        ast = parseModel(source);
+    } catch (err) {
+        if (err.line === undefined) throw err;
+        return [{ line: err.line, column: err.column, message: err.reason }];
+    }
+
+    const problems = [];
+    if (kind === "blocks") {
+        walkModel(ast, (node) => {
+            if (node.type === "block") {
+                problems.push({
+                    line: node.line,
+                    column: node.column,
+                    message: `Block models cannot contain block(${node.key}); use a group, collection or entry() instead`,
+                });
+            }
+        });
+    }
+    return problems;
+}
+
+module.exports = {
+    FIELD_TYPES,
+    parseModel,
+    validateModel,
+    modelInfo,
+    walkModel,
+};
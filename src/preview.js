@@ -0,0 +1,367 @@
+/**
+ * Local preview server.
+ *
+ * Renders src/views/pages/*.ejs (wrapped in a layout) from the local content
+ * JSON with local stand-ins for the SleekCMS template helpers, so template
+ * edits can be checked without a push and a server rebuild. The workspace is
+ * re-read on every request; `reload()` tells open browser tabs to refresh.
+ *
+ * Differences from the real build: images are not optimized (`src`/`img`
+ * pass the URL through, search shortcuts become placeholders) and Tailwind
+ * is loaded from its CDN instead of being compiled.
+ */
+
+const http = require("http");
+const path = require("path");
+const fs = require("fs-extra");
+const ejs = require("ejs");
+const { marked } = require("marked");
+
+const { contentInfo } = require("./content");
+const { modelLookup } = require("./lint");
+const { readWorkspace } = require("../setup-site");
+
+const RELOAD_PATH = "/__preview/reload";
+
+const STATIC_TYPES = {
+    ".css": "text/css; charset=utf-8",
+    ".js": "text/javascript; charset=utf-8",
+};
+
+/**
+ * URL path for a page key: `_` maps to `/`, a trailing `index` segment is
+ * the folder itself, and collection keys (`blog+`) get one path per slug.
+ */
+function pagePath(key, slug) {
+    const segments = key.replace(/\+$/, "").split("_").filter(Boolean);
+    if (segments[segments.length - 1] === "index") segments.pop();
+    if (slug !== undefined) segments.push(slug);
+    return "/" + segments.join("/");
+}
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;");
+}
+
+function attrsToHtml(attrs) {
+    return Object.entries(attrs)
+        .filter(([, v]) => v !== undefined && v !== null && v !== false)
+        .map(([k, v]) => (v === true ? ` ${k}` : ` ${k}="${escapeHtml(v)}"`))
+        .join("");
+}
+
+function parseJson(text, fallback) {
+    try {
+        return JSON.parse(text);
+    } catch {
+        return fallback;
+    }
+}
+
+/**
+ * Build the template context data (pages, entries, images) from workspace
+ * files and return a renderer for it. `viewsDir` is where include() looks
+ * for partials (default: the current directory).
+ */
+function createSite(files, { origin = "", viewsDir = "." } = {}) {
+    const lookupModel = modelLookup(files);
+
+    // Which template renders an object passed to render().
+    const templateOf = new WeakMap();
+    const images = parseJson(files["src/content/images.json"] || "{}", {});
+
+    function resolveImage(value, seen = new Set()) {
+        if (typeof value !== "string") return value;
+        const match = /^([a-z]+):(.*)$/s.exec(value);
+        if (!match) return { url: value, alt: "" };
+        const [search, alt = ""] = match[2].split("|");
+        if (match[1] === "cms") {
+            const handle = search.trim();
+            if (seen.has(handle) || images[handle] === undefined) return { url: "", alt };
+            seen.add(handle);
+            const image = resolveImage(images[handle], seen);
+            return alt ? { ...image, alt } : image;
+        }
+        if (match[1] === "url") return { url: search.trim(), alt };
+        const label = encodeURIComponent(`${match[1]}: ${search.trim()}`);
+        return { url: `https://placehold.co/600x400?text=${label}`, alt };
+    }
+
+    // Raw records first, so entry references can point at the same objects.
+    const entries = {};
+    const entryIndex = {};
+    const pages = [];
+
+    for (const [rel, text] of Object.entries(files)) {
+        const info = contentInfo(rel);
+        if (!info) continue;
+        const data = parseJson(text, null);
+        if (data === null) continue;
+
+        if (info.kind === "entries") {
+            const handle = info.key.replace(/\+$/, "");
+            const template = `src/views/entries/${info.key}.ejs`;
+            const records = (Array.isArray(data) ? data : [data]).map((d) => ({ ...d }));
+            records.forEach((r) => templateOf.set(r, template));
+            entries[handle] = Array.isArray(data) ? records : records[0];
+            entryIndex[info.key] = records;
+        } else {
+            const page = { ...data, _path: pagePath(info.key, info.slug), _key: info.key };
+            if (info.slug !== undefined) page._slug = info.slug;
+            page._meta = page._meta || { updated_at: new Date().toISOString() };
+            templateOf.set(page, `src/views/pages/${info.key}.ejs`);
+            pages.push(page);
+        }
+    }
+    pages.sort((a, b) => a._path.localeCompare(b._path));
+
+    // Single pages with a model and template but no content still render.
+    for (const rel of Object.keys(files)) {
+        const match = /^src\/models\/pages\/([^/+]+)\.model$/.exec(rel);
+        if (!match || files[`src/views/pages/${match[1]}.ejs`] === undefined) continue;
+        if (pages.some((p) => p._key === match[1])) continue;
+        const page = { _path: pagePath(match[1]), _key: match[1], _meta: { updated_at: new Date().toISOString() } };
+        templateOf.set(page, `src/views/pages/${match[1]}.ejs`);
+        pages.push(page);
+    }
+
+    function findEntry(key, slug) {
+        const records = entryIndex[key] || [];
+        if (!key.endsWith("+")) return records[0];
+        return records.find((r, i) => (r._slug ?? r.slug ?? String(i)) === slug);
+    }
+
+    function resolveValue(node, value) {
+        if (value === null || value === undefined || !node) return value;
+        switch (node.type) {
+            case "field":
+                return node.fieldType === "image" ? resolveImage(value) : value;
+            case "collection":
+                return Array.isArray(value) ? value.map((v) => resolveValue(node.item, v)) : value;
+            case "entry":
+                return findEntry(node.key, value) || value;
+            case "block": {
+                const model = lookupModel("blocks", node.key);
+                const block = resolveFields(model, { ...value });
+                templateOf.set(block, `src/views/blocks/${node.key}.ejs`);
+                return block;
+            }
+            case "group":
+                return resolveFields(node, { ...value });
+        }
+        return value;
+    }
+
+    function resolveFields(group, record) {
+        if (!group || typeof record !== "object") return record;
+        for (const field of group.fields) {
+            if (field.name in record) record[field.name] = resolveValue(field.value, record[field.name]);
+        }
+        return record;
+    }
+
+    for (const [key, records] of Object.entries(entryIndex)) {
+        records.forEach((r) => resolveFields(lookupModel("entries", key), r));
+    }
+    for (const page of pages) resolveFields(lookupModel("pages", page._key), page);
+
+    function resolveMarkdownImages(md) {
+        return md.replace(/!\[([^\]]*)\]\(([a-z]+:[^)]+)\)/g, (whole, alt, ref) => {
+            const image = resolveImage(ref.replace(/\s+\d+x\d+$/, ""));
+            return `![${image.alt || alt}](${image.url})`;
+        });
+    }
+
+    function imageAttrs(attr) {
+        if (typeof attr === "string") {
+            const [w, h] = attr.split("x");
+            return { width: w || undefined, height: h || undefined };
+        }
+        if (attr && typeof attr === "object") {
+            return { width: attr.w, height: attr.h, class: attr.class, style: attr.style };
+        }
+        return {};
+    }
+
+    const layouts = Object.keys(files).filter((rel) => /^src\/views\/layouts\/[^/]+\.ejs$/.test(rel)).sort();
+    const layout = files["src/views/layouts/main.ejs"] !== undefined ? "src/views/layouts/main.ejs" : layouts[0];
+
+    function hasTailwind() {
+        return files["src/public/css/tailwind.css"] !== undefined;
+    }
+
+    /**
+     * Render one page: its template, then the layout around it, then the
+     * collected head tags. XML pages (e.g. rss.xml) skip layout and head.
+     */
+    function renderPage(page) {
+        const head = [];
+        const seen = new Set();
+        const addHead = (html, order = 0) => {
+            if (seen.has(html)) return "";
+            seen.add(html);
+            head.push({ html, order });
+            return "";
+        };
+
+        const helpers = {
+            pages,
+            entries,
+            getPage: (p) => pages.find((pg) => pg._path === p || pg._path === p.replace(/\/$/, "")),
+            getPages: (prefix, opts = {}) => pages.filter((pg) =>
+                (pg._path === prefix || pg._path.startsWith(prefix.replace(/\/$/, "") + "/")) &&
+                (!opts.collection || pg._slug !== undefined)),
+            getEntry: (handle) => entries[String(handle).replace(/\+$/, "")],
+            getSlugs: (p) => pages
+                .filter((pg) => pg._slug !== undefined && pg._path === `${p.replace(/\/$/, "")}/${pg._slug}`)
+                .map((pg) => pg._slug),
+            getImage: (name) => (images[name] !== undefined ? resolveImage(`cms:${name}`) : undefined),
+            getOptions: () => undefined,
+            getContent: () => ({ pages, entries, images }),
+            path: (pg) => (pg && pg._path) || "",
+            url: (target) => origin + (typeof target === "string" ? target : target && target._path ? target._path : ""),
+            marked: (md) => (md ? marked.parse(resolveMarkdownImages(String(md))) : ""),
+            render: (val, separator = "") => {
+                if (Array.isArray(val)) return val.map((v) => helpers.render(v)).join(separator);
+                if (!val || typeof val !== "object" || !templateOf.has(val)) return "";
+                const template = templateOf.get(val);
+                return files[template] === undefined ? "" : renderTemplate(template, { item: val });
+            },
+            src: (image) => (resolveImage(image) || {}).url || "",
+            img: (image, attr) => {
+                const resolved = resolveImage(image);
+                if (!resolved || !resolved.url) return "";
+                return `<img${attrsToHtml({ src: resolved.url, alt: resolved.alt || "", ...imageAttrs(attr) })}>`;
+            },
+            picture: (image, attr) => helpers.img(image, attr),
+            svg: (image, attr) => helpers.img(image, attr),
+            markers: (loc) => (loc && loc.markers) || [],
+            embed: (loc) => {
+                const m = helpers.markers(loc)[0];
+                return m ? `<iframe src="https://maps.google.com/maps?q=${m.lat},${m.lng}&output=embed" loading="lazy"></iframe>` : "";
+            },
+            title: (text) => addHead(`<title>${escapeHtml(text)}</title>`, -2),
+            meta: (attrs) => addHead(`<meta${attrsToHtml(attrs)}>`, -1),
+            link: (value, order = 0) => addHead(typeof value === "string"
+                ? (value.endsWith(".css") ? `<link rel="stylesheet" href="${escapeHtml(value)}">` : `<link href="${escapeHtml(value)}">`)
+                : `<link${attrsToHtml(value)}>`, order),
+            style: (css, order = 0) => addHead(`<style>${css}</style>`, order),
+            script: (value, order = 0) => addHead(/\.js(\?.*)?$/.test(value)
+                ? `<script src="${escapeHtml(value)}"></script>`
+                : `<script>${value}</script>`, order),
+        };
+
+        function renderTemplate(template, locals) {
+            return ejs.render(files[template], { ...helpers, ...locals }, { filename: path.resolve(viewsDir, template) });
+        }
+
+        const template = templateOf.get(page);
+        const main = renderTemplate(template, { item: page });
+        const isXml = /\.xml$/.test(page._key) || main.trimStart().startsWith("<?xml");
+        if (isXml) return { html: main, type: "application/xml; charset=utf-8" };
+
+        let html = layout ? renderTemplate(layout, { item: page, main }) : main;
+        if (hasTailwind()) addHead('<script src="https://cdn.tailwindcss.com"></script>', 100);
+        const headHtml = head.sort((a, b) => a.order - b.order).map((h) => h.html).join("\n");
+        if (headHtml) html = html.includes("</head>") ? html.replace("</head>", `${headHtml}\n</head>`) : headHtml + "\n" + html;
+        return { html, type: "text/html; charset=utf-8" };
+    }
+
+    const routes = new Map(pages.filter((p) => files[templateOf.get(p)] !== undefined).map((p) => [p._path, p]));
+
+    return { pages, entries, routes, renderPage };
+}
+
+const RELOAD_SCRIPT = `<script>new EventSource("${RELOAD_PATH}").onmessage = () => location.reload();</script>`;
+
+function errorPage(title, detail) {
+    return `<!DOCTYPE html><html><head><title>${escapeHtml(title)}</title></head>` +
+        `<body><h1>${escapeHtml(title)}</h1><pre>${escapeHtml(detail)}</pre>${RELOAD_SCRIPT}</body></html>`;
+}
+
+/**
+ * Serve the workspace at http://localhost:<port>, on the loopback interface
+ * only. Resolves to `{ url, reload, close }` once listening.
+ */
+async function startPreview({ viewsDir, port = 4000 }) {
+    const clients = new Set();
+    let origin = `http://localhost:${port}`;
+
+    async function handle(req, res) {
+        const urlPath = decodeURIComponent(new URL(req.url, origin).pathname);
+
+        if (urlPath === RELOAD_PATH) {
+            res.writeHead(200, { "Content-Type": "text/event-stream", "Cache-Control": "no-cache", Connection: "keep-alive" });
+            res.write(": connected\n\n");
+            clients.add(res);
+            req.on("close", () => clients.delete(res));
+            return;
+        }
+
+        const asset = /^\/(css|js)\/(.+)$/.exec(urlPath);
+        if (asset) {
+            const full = path.join(viewsDir, "src", "public", asset[1], asset[2]);
+            if (full.startsWith(path.join(viewsDir, "src", "public")) && await fs.pathExists(full)) {
+                res.writeHead(200, { "Content-Type": STATIC_TYPES[path.extname(full)] || "application/octet-stream" });
+                res.end(await fs.readFile(full));
+                return;
+            }
+        }
+
+        const site = createSite(await readWorkspace(viewsDir), { origin, viewsDir });
+        const page = site.routes.get(urlPath.length > 1 ? urlPath.replace(/\/$/, "") : urlPath);
+        if (!page) {
+            const list = [...site.routes.keys()].map((p) => `  ${p}`).join("\n");
+            res.writeHead(404, { "Content-Type": "text/html; charset=utf-8" });
+            res.end(errorPage(`No page at ${urlPath}`, `Available routes:\n${list}`));
+            return;
+        }
+
+        try {
+            const { html, type } = site.renderPage(page);
+            const body = type.startsWith("text/html")
+                ? (html.includes("</body>") ? html.replace("</body>", `${RELOAD_SCRIPT}</body>`) : html + RELOAD_SCRIPT)
+                : html;
+            res.writeHead(200, { "Content-Type": type });
+            res.end(body);
+        } catch (err) {
+            res.writeHead(500, { "Content-Type": "text/html; charset=utf-8" });
+            res.end(errorPage(`Error rendering ${urlPath}`, err.message));
+        }
+    }
+
+    const server = http.createServer((req, res) => {
+        handle(req, res).catch((err) => {
+            res.writeHead(500, { "Content-Type": "text/plain; charset=utf-8" });
+            res.end(err.message);
+        });
+    });
+
+    await new Promise((resolve, reject) => {
+        server.once("error", reject);
+        server.listen(port, "127.0.0.1", resolve);
+    });
+
+    origin = `http://localhost:${server.address().port}`;
+
+    return {
+        url: origin,
+        reload() {
+            for (const client of clients) client.write("data: reload\n\n");
+        },
+        async close() {
+            for (const client of clients) client.end();
+            await new Promise((resolve) => server.close(resolve));
+        },
+    };
+}
+
+module.exports = {
+    pagePath,
+    createSite,
+    startPreview,
+};
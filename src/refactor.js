@@ -0,0 +1,401 @@
+/**
+ * Workspace refactorings: rename a key or a model field everywhere.
+ *
+ * Planning is pure, over `{ [relPath]: content }`: it returns the files to
+ * move and rewrite, so the caller can show a preview before anything is
+ * written and push every affected file together. A plan is
+ * `{ changes: [{ from, to, before, after }], warnings: [] }`; `from` and
+ * `to` differ for moved files.
+ */
+
+const path = require("path");
+const fs = require("fs-extra");
+
+const { parseModel } = require("./model");
+const { contentInfo } = require("./content");
+const { detectIndent } = require("./merge");
+const { unifiedDiff } = require("./diff");
+const { KINDS, KEY } = require("./scaffold");
+const { pagePath } = require("./preview");
+const { lintFiles, describeProblem } = require("./lint");
+
+const FIELD_NAME = /^[A-Za-z_][\w]*$/;
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+function kindDir(kind) {
+    const dir = KINDS[kind] || (Object.values(KINDS).includes(kind) ? kind : null);
+    if (!dir) throw new Error(`Unknown kind "${kind}" (expected page, entry or block)`);
+    return dir;
+}
+
+/**
+ * Build a plan from a per-file path mapping and content rewrite.
+ */
+function buildPlan(files, movePath, rewrite) {
+    const changes = [];
+    for (const rel of Object.keys(files).sort()) {
+        const to = movePath(rel);
+        const after = rewrite(to, files[rel]);
+        if (to !== rel || after !== files[rel]) changes.push({ from: rel, to, before: files[rel], after });
+    }
+    return changes;
+}
+
+/**
+ * Parse valid JSON `text`, keeping where each object's keys are: returns
+ * `{ data, keys }`, `keys` mapping every object in `data` to its
+ * `{ [key]: [start, end] }` spans in `text`.
+ */
+function parseJsonLayout(text) {
+    const keys = new Map();
+    let pos = 0;
+    const token = (re) => {
+        re.lastIndex = pos;
+        const match = re.exec(text);
+        pos = re.lastIndex;
+        return match[0];
+    };
+    const skip = () => token(/\s*/y);
+    const value = () => {
+        skip();
+        const c = text[pos];
+        if (c === "{") {
+            pos++;
+            const obj = {};
+            const spans = {};
+            keys.set(obj, spans);
+            skip();
+            while (text[pos] !== "}") {
+                const start = pos;
+                const key = JSON.parse(token(/"(?:[^"\\]|\\.)*"/y));
+                spans[key] = [start, pos];
+                skip();
+                pos++; // :
+                obj[key] = value();
+                skip();
+                if (text[pos] === ",") pos++;
+                skip();
+            }
+            pos++;
+            return obj;
+        }
+        if (c === "[") {
+            pos++;
+            const list = [];
+            skip();
+            while (text[pos] !== "]") {
+                list.push(value());
+                skip();
+                if (text[pos] === ",") pos++;
+                skip();
+            }
+            pos++;
+            return list;
+        }
+        return JSON.parse(token(/"(?:[^"\\]|\\.)*"|-?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?|true|false|null/y));
+    };
+    return { data: value(), keys };
+}
+
+/**
+ * Apply `transform(data)`, which only renames object keys, to JSON `text`.
+ * Renamed keys are replaced where they stand, so the file keeps its layout;
+ * anything else re-serializes it in its own indent (2 spaces if it has none).
+ */
+function rewriteJson(text, transform) {
+    try {
+        JSON.parse(text);
+    } catch {
+        return text; // reported by lint, left alone here
+    }
+    const { data, keys } = parseJsonLayout(text);
+    const before = new Map([...keys].map(([obj]) => [obj, Object.keys(obj)]));
+    if (!transform(data)) return text;
+
+    const edits = [];
+    for (const [obj, spans] of keys) {
+        const after = Object.keys(obj);
+        const removed = before.get(obj).filter((k) => !after.includes(k));
+        const added = after.filter((k) => !before.get(obj).includes(k));
+        if (removed.length !== added.length || removed.length > 1) {
+            return JSON.stringify(data, null, detectIndent(text) || "  ") + (text.endsWith("\n") ? "\n" : "");
+        }
+        if (removed.length === 1) edits.push([...spans[removed[0]], JSON.stringify(added[0])]);
+    }
+    edits.sort((a, b) => b[0] - a[0]);
+    return edits.reduce((out, [start, end, key]) => out.slice(0, start) + key + out.slice(end), text);
+}
+
+function renameProperty(obj, from, to) {
+    if (!obj || typeof obj !== "object" || Array.isArray(obj) || !(from in obj)) return false;
+    const entries = Object.entries(obj).map(([k, v]) => [k === from ? to : k, v]);
+    for (const k of Object.keys(obj)) delete obj[k];
+    Object.assign(obj, Object.fromEntries(entries));
+    return true;
+}
+
+/**
+ * Plan renaming `oldKey` to `newKey` for a page, entry or block: move its
+ * model, template and content, and rewrite block()/entry() references in
+ * models and getPage/getPages/getSlugs/getEntry calls in templates.
+ */
+function planRenameKey(files, kind, oldKey, newKey) {
+    const dir = kindDir(kind);
+    if (oldKey.endsWith("+") && !newKey.endsWith("+")) newKey += "+";
+    if (newKey.endsWith("+") && !oldKey.endsWith("+")) {
+        throw new Error(`Can't turn "${oldKey}" into a collection by renaming; the content shape differs`);
+    }
+    const oldBase = oldKey.replace(/\+$/, "");
+    const newBase = newKey.replace(/\+$/, "");
+    if (!KEY.test(newBase)) throw new Error(`Invalid key "${newKey}": use lowercase letters, digits, "_", "." and "-"`);
+    if (oldKey === newKey) throw new Error("The new key is the same as the old one");
+
+    const prefixes = [`src/models/${dir}/`, `src/views/${dir}/`, `src/content/${dir}/`];
+    const movePath = (rel) => {
+        for (const prefix of prefixes) {
+            if (!rel.startsWith(prefix)) continue;
+            const rest = rel.slice(prefix.length);
+            for (const ext of [".model", ".ejs", ".json", "/"]) {
+                if (rest.startsWith(oldKey + ext)) return prefix + newKey + rest.slice(oldKey.length);
+            }
+        }
+        return rel;
+    };
+
+    const moved = Object.keys(files).filter((rel) => movePath(rel) !== rel);
+    if (moved.length === 0) throw new Error(`No ${kind} "${oldKey}" in this workspace`);
+    const toggled = `src/models/${dir}/${newKey.endsWith("+") ? newBase : newBase + "+"}.model`;
+    const taken = [...moved.map(movePath), toggled].filter((rel) => files[rel] !== undefined);
+    if (taken.length > 0) throw new Error(`"${newBase}" already exists: ${taken.join(", ")}`);
+
+    const ref = dir === "blocks" ? "block" : dir === "entries" ? "entry" : null;
+    const refPattern = ref && new RegExp(`\\b${ref}\\(\\s*${escapeRegExp(oldKey)}\\s*\\)`, "g");
+
+    const oldPath = pagePath(oldKey);
+    const newPath = pagePath(newKey);
+    const pageCall = new RegExp(`\\b(getPages?|getSlugs)\\(\\s*(['"\`])${escapeRegExp(oldPath)}(${oldPath === "/" ? "" : "/[^'\"`]*"})?\\2`, "g");
+    const entryCall = new RegExp(`\\bgetEntry\\(\\s*(['"\`])${escapeRegExp(oldBase)}(\\+?)\\1`, "g");
+
+    const rewrite = (rel, text) => {
+        if (ref && rel.endsWith(".model")) return text.replace(refPattern, `${ref}(${newKey})`);
+        if (!rel.endsWith(".ejs")) return text;
+        if (dir === "pages" && oldPath !== newPath) {
+            return text.replace(pageCall, (m, fn, q, rest = "") => `${fn}(${q}${newPath === "/" && rest ? "" : newPath}${rest}${q}`);
+        }
+        if (dir === "entries") return text.replace(entryCall, (m, q, plus) => `getEntry(${q}${newBase}${plus}${q}`);
+        return text;
+    };
+
+    const changes = buildPlan(files, movePath, rewrite);
+
+    // Mentions the plan can't safely rewrite, e.g. literal hrefs.
+    const warnings = [];
+    const leftover = dir === "pages" && oldPath !== "/" ? new RegExp(`['"\`]${escapeRegExp(oldPath)}(/[^'"\`]*)?['"\`]`) : null;
+    if (leftover) {
+        for (const rel of Object.keys(files).sort()) {
+            if (!rel.endsWith(".ejs")) continue;
+            const after = (changes.find((c) => c.from === rel) || {}).after ?? files[rel];
+            if (leftover.test(after)) warnings.push(`${rel} still mentions "${oldPath}" outside getPage()/getPages()`);
+        }
+    }
+    return { changes, warnings };
+}
+
+/**
+ * Follow a dotted field path through groups (and lists of groups) in a
+ * model. Returns the group nodes along the way, ending with the field's
+ * parent, or throws when the path does not exist.
+ */
+function resolveFieldPath(ast, segments) {
+    const groups = [];
+    let node = ast;
+    segments.forEach((name, i) => {
+        if (node.type === "collection") node = node.item;
+        if (!node || node.type !== "group") throw new Error(`"${segments.slice(0, i).join(".")}" is not a group`);
+        const field = node.fields.find((f) => f.name === name);
+        if (!field) throw new Error(`No field "${segments.slice(0, i + 1).join(".")}" in the model`);
+        groups.push(node);
+        if (i < segments.length - 1) node = field.value;
+    });
+    return groups;
+}
+
+/**
+ * Rename the field at `segments` in content `value` shaped by model `node`.
+ * Returns true when anything changed.
+ */
+function renameInValue(node, value, segments, newName) {
+    if (value === null || value === undefined || !node) return false;
+    if (node.type === "collection") {
+        if (!Array.isArray(value)) return false;
+        return value.map((v) => renameInValue(node.item, v, segments, newName)).some(Boolean);
+    }
+    if (node.type !== "group" || typeof value !== "object" || Array.isArray(value)) return false;
+    const [name, ...rest] = segments;
+    if (rest.length === 0) return renameProperty(value, name, newName);
+    const field = node.fields.find((f) => f.name === name);
+    return renameInValue(field && field.value, value[name], rest, newName);
+}
+
+/**
+ * Call `visit(value)` for every block(`key`) object in content shaped by
+ * `node`, following nested groups, lists and other blocks.
+ */
+function visitBlocks(node, value, key, lookupModel, visit) {
+    if (value === null || value === undefined || !node) return false;
+    if (node.type === "collection") {
+        if (!Array.isArray(value)) return false;
+        return value.map((v) => visitBlocks(node.item, v, key, lookupModel, visit)).some(Boolean);
+    }
+    if (typeof value !== "object" || Array.isArray(value)) return false;
+    let changed = false;
+    let group = node;
+    if (node.type === "block") {
+        group = lookupModel(node.key);
+        if (node.key === key && visit(value)) changed = true;
+    }
+    if (!group || group.type !== "group") return changed;
+    for (const field of group.fields) {
+        if (visitBlocks(field.value, value[field.name], key, lookupModel, visit)) changed = true;
+    }
+    return changed;
+}
+
+/**
+ * Plan renaming a model field (dotted for nested groups, e.g. `hero.title`)
+ * in the model, every content record using it, and `item.<field>` in the
+ * model's own template.
+ */
+function planRenameField(files, kind, key, fieldPath, newName) {
+    const dir = kindDir(kind);
+    const modelRel = `src/models/${dir}/${key}.model`;
+    if (files[modelRel] === undefined) throw new Error(`No model ${modelRel}`);
+    if (!FIELD_NAME.test(newName)) throw new Error(`Invalid field name "${newName}"`);
+
+    const ast = parseModel(files[modelRel]);
+    const segments = fieldPath.split(".");
+    const groups = resolveFieldPath(ast, segments);
+    const parent = groups[groups.length - 1];
+    const oldName = segments[segments.length - 1];
+    if (parent.fields.some((f) => f.name === newName)) throw new Error(`The model already has a field "${newName}" there`);
+
+    const field = parent.fields.find((f) => f.name === oldName);
+    const modelLines = files[modelRel].split("\n");
+    const line = modelLines[field.line - 1];
+    modelLines[field.line - 1] = line.slice(0, field.column - 1) + newName + line.slice(field.column - 1 + oldName.length);
+    const newModel = modelLines.join("\n");
+
+    const models = new Map();
+    const lookupModel = (blockKey) => {
+        const rel = `src/models/blocks/${blockKey}.model`;
+        if (!models.has(rel)) {
+            try {
+                models.set(rel, files[rel] === undefined ? null : parseModel(files[rel]));
+            } catch {
+                models.set(rel, null);
+            }
+        }
+        return models.get(rel);
+    };
+
+    const rewriteContent = (rel, text) => {
+        const info = contentInfo(rel);
+        if (!info) return text;
+        if (dir !== "blocks") {
+            if (info.kind !== dir || info.key !== key) return text;
+            const records = (data) => (dir === "entries" && key.endsWith("+") && Array.isArray(data) ? data : [data]);
+            return rewriteJson(text, (data) => records(data).map((r) => renameInValue(ast, r, segments, newName)).some(Boolean));
+        }
+        let owner;
+        try {
+            owner = files[`src/models/${info.kind}/${info.key}.model`] && parseModel(files[`src/models/${info.kind}/${info.key}.model`]);
+        } catch {
+            owner = null;
+        }
+        if (!owner) return text;
+        return rewriteJson(text, (data) => {
+            const list = info.kind === "entries" && info.key.endsWith("+") && Array.isArray(data) ? data : [data];
+            return list.map((r) => visitBlocks(owner, r, key, lookupModel, (block) => renameInValue(ast, block, segments, newName))).some(Boolean);
+        });
+    };
+
+    const templateRel = `src/views/${dir}/${key}.ejs`;
+    const itemPath = ["item", ...segments.slice(0, -1)].map(escapeRegExp).join("\\.");
+    const templateRef = new RegExp(`(?<![\\w$.])(${itemPath})(?:\\.${escapeRegExp(oldName)}\\b|\\[(['"])${escapeRegExp(oldName)}\\2\\])`, "g");
+
+    const rewrite = (rel, text) => {
+        if (rel === modelRel) return newModel;
+        if (rel === templateRel) return text.replace(templateRef, `$1.${newName}`);
+        return rewriteContent(rel, text);
+    };
+
+    const changes = buildPlan(files, (rel) => rel, rewrite);
+
+    const warnings = [];
+    const mention = new RegExp(`\\.${escapeRegExp(oldName)}\\b`);
+    for (const rel of Object.keys(files).sort()) {
+        if (!rel.endsWith(".ejs")) continue;
+        const after = (changes.find((c) => c.from === rel) || {}).after ?? files[rel];
+        if (mention.test(after)) warnings.push(`${rel} still reads ".${oldName}" — check it if it uses this ${kind}'s field`);
+    }
+    return { changes, warnings };
+}
+
+/**
+ * Human-readable preview: one header per moved file, then unified diffs.
+ */
+function formatPlan(plan) {
+    const out = [];
+    for (const c of plan.changes) {
+        if (c.from !== c.to) out.push(`rename ${c.from} → ${c.to}`);
+        const diff = unifiedDiff(c.before, c.after, { from: `a/${c.from}`, to: `b/${c.to}` });
+        if (diff) out.push(diff.trimEnd());
+    }
+    return out.join("\n");
+}
+
+/**
+ * Lint errors the plan would introduce in the files it touches. Errors the
+ * files already had before the refactor are not counted.
+ */
+function planErrors(files, plan) {
+    const next = { ...files };
+    for (const c of plan.changes) delete next[c.from];
+    for (const c of plan.changes) next[c.to] = c.after;
+
+    const errorsIn = (problems, rel) => problems
+        .filter((p) => p.path === rel && p.severity !== "warning")
+        .map(describeProblem);
+    const before = lintFiles(files);
+    const after = lintFiles(next);
+    return plan.changes.flatMap((c) => {
+        const old = new Set(errorsIn(before, c.from));
+        return after.filter((p) => p.path === c.to && p.severity !== "warning" && !old.has(describeProblem(p)));
+    });
+}
+
+/**
+ * Write a plan to the workspace: rewrite/move files, then remove sources
+ * (and folders left empty by a move).
+ */
+async function applyPlan(viewsDir, plan) {
+    for (const c of plan.changes) await fs.outputFile(path.join(viewsDir, c.to), c.after);
+    for (const c of plan.changes) {
+        if (c.from === c.to) continue;
+        const full = path.join(viewsDir, c.from);
+        await fs.remove(full);
+        const parent = path.dirname(full);
+        if ((await fs.readdir(parent)).length === 0) await fs.remove(parent);
+    }
+}
+
+module.exports = {
+    planRenameKey,
+    planRenameField,
+    formatPlan,
+    planErrors,
+    applyPlan,
+};
@@ -0,0 +1,170 @@
+/**
+ * Scaffold generator for pages, entries and blocks.
+ *
+ * Writes a correctly named model, template and starter content for a new
+ * key, so the `+` suffix and the per-slug content folder of collections are
+ * always consistent. Never overwrites: if any target file (or the same key
+ * with the `+` toggled) already exists, nothing is written.
+ */
+
+const path = require("path");
+const fs = require("fs-extra");
+
+const { FIELD_TYPES, validateModel } = require("./model");
+
+const KINDS = { page: "pages", entry: "entries", block: "blocks" };
+
+const KEY = /^[a-z0-9_][a-z0-9_.-]*$/;
+
+/**
+ * Parse `name:type,name:type` into `[{ name, type }]`. A type is a field
+ * type, `block(key)`, `entry(key)`, or either ref in brackets for a list.
+ */
+function parseFields(spec) {
+    if (!spec) return [{ name: "title", type: "text" }];
+    return spec.split(",").map((s) => s.trim()).filter(Boolean).map((pair) => {
+        const [name, type = ""] = pair.split(":").map((s) => s.trim());
+        if (!/^[A-Za-z_][\w]*$/.test(name)) throw new Error(`Invalid field name "${name}" in "${pair}"`);
+        const ref = /^(\[?)(block|entry)\([^)]+\)(\]?)$/.exec(type);
+        if (!FIELD_TYPES.has(type) && !(ref && ref[1].length === ref[3].length)) {
+            throw new Error(`Unknown field type "${type}" for "${name}" (types: ${[...FIELD_TYPES].join(", ")}, block(key), entry(key), [block(key)])`);
+        }
+        return { name, type };
+    });
+}
+
+function starterValue({ name, type }) {
+    if (type.startsWith("[")) return [];
+    switch (type) {
+        case "text":
+        case "paragraph":
+        case "code":
+            return `Example ${name}`;
+        case "markdown":
+            return `Example **${name}**`;
+        case "richtext":
+            return `<p>Example ${name}</p>`;
+        case "link":
+            return "/";
+        case "color":
+            return "#000000";
+        case "number":
+            return 0;
+        case "boolean":
+            return false;
+        case "date":
+            return new Date().toISOString().slice(0, 10);
+        case "datetime":
+            return new Date().toISOString();
+        case "time":
+            return "09:00";
+        case "image":
+            return `unsplash:${name}`;
+        case "json":
+            return {};
+        case "sheet":
+            return [];
+        case "location":
+            return { markers: [] };
+        default:
+            return null; // video, block(), entry(): filled in by the editor
+    }
+}
+
+function starterLine({ name, type }) {
+    const value = `item.${name}`;
+    if (/^\[?(block|entry)\(/.test(type)) return `<%- render(${value}) %>`;
+    switch (type) {
+        case "markdown":
+            return `<%- marked(${value}) %>`;
+        case "richtext":
+            return `<%- ${value} %>`;
+        case "image":
+            return `<%- img(${value}) %>`;
+        case "text":
+            return name === "title" ? `<h1><%= ${value} %></h1>` : `<p><%= ${value} %></p>`;
+        default:
+            return `<p><%= ${value} %></p>`;
+    }
+}
+
+/**
+ * Files for a new key, as `{ [relPath]: content }`.
+ *   kind: "page" | "entry" | "block"; a trailing `+` on the key or
+ *   `collection: true` makes a collection (not allowed for blocks).
+ */
+function scaffoldFiles(kind, key, { collection = false, fields, slug = "example" } = {}) {
+    const dir = KINDS[kind];
+    if (!dir) throw new Error(`Unknown kind "${kind}" (expected page, entry or block)`);
+
+    const base = key.replace(/\+$/, "");
+    if (!KEY.test(base)) throw new Error(`Invalid key "${key}": use lowercase letters, digits, "_", "." and "-"`);
+    if (kind === "block" && (collection || key.endsWith("+"))) throw new Error("Blocks can't be collections; use [block(key)] in a model instead");
+    if (!KEY.test(slug)) throw new Error(`Invalid slug "${slug}"`);
+
+    const isCollection = collection || key.endsWith("+");
+    const fullKey = isCollection ? base + "+" : base;
+    const parsed = parseFields(fields);
+
+    const model = `{\n${parsed.map((f) => `    ${f.name}: ${f.type},`).join("\n")}\n}\n`;
+    const problems = validateModel(model, dir);
+    if (problems.length > 0) throw new Error(`Generated model is invalid: ${problems[0].message}`);
+
+    const record = Object.fromEntries(parsed.map((f) => [f.name, starterValue(f)]));
+    const files = {
+        [`src/models/${dir}/${fullKey}.model`]: model,
+        [`src/views/${dir}/${fullKey}.ejs`]: parsed.map(starterLine).join("\n") + "\n",
+    };
+    if (kind === "page") {
+        const rel = isCollection ? `src/content/pages/${fullKey}/${slug}.json` : `src/content/pages/${fullKey}.json`;
+        files[rel] = JSON.stringify(record, null, 2) + "\n";
+    } else if (kind === "entry") {
+        const content = isCollection ? [{ _slug: slug, ...record }] : record;
+        files[`src/content/entries/${fullKey}.json`] = JSON.stringify(content, null, 2) + "\n";
+    }
+    return files;
+}
+
+/**
+ * Write the scaffold for a new key into `viewsDir`. Throws, without writing
+ * anything, if the key (with or without `+`) already exists. Returns the
+ * relative paths written.
+ */
+async function scaffold(viewsDir, kind, key, opts = {}) {
+    const files = scaffoldFiles(kind, key, opts);
+    if (!(await fs.pathExists(path.join(viewsDir, "src")))) {
+        const err = new Error(`${viewsDir} is not a workspace (no src/ folder) — run: sleekcms init -t <token>`);
+        err.code = "ENOWORKSPACE";
+        throw err;
+    }
+    const dir = KINDS[kind];
+    const base = key.replace(/\+$/, "");
+
+    const taken = [];
+    for (const variant of [base, base + "+"]) {
+        for (const rel of [`src/models/${dir}/${variant}.model`, `src/views/${dir}/${variant}.ejs`]) {
+            if (await fs.pathExists(path.join(viewsDir, rel))) taken.push(rel);
+        }
+    }
+    for (const rel of Object.keys(files)) {
+        if (!taken.includes(rel) && await fs.pathExists(path.join(viewsDir, rel))) taken.push(rel);
+    }
+    if (taken.length > 0) {
+        const err = new Error(`"${base}" already exists: ${taken.join(", ")}`);
+        err.code = "EEXIST";
+        throw err;
+    }
+
+    for (const [rel, content] of Object.entries(files)) {
+        await fs.outputFile(path.join(viewsDir, rel), content);
+    }
+    return Object.keys(files);
+}
+
+module.exports = {
+    KINDS,
+    KEY,
+    parseFields,
+    scaffoldFiles,
+    scaffold,
+};
@@ -0,0 +1,320 @@
+/**
+ * `sleekcms watch`: the interactive editing session.
+ *
+ * Handles prompts, editor launch and file watching. All sync work (fetch,
+ * push, pull, cache) is delegated to setup-site.js so the same logic can be
+ * invoked standalone (e.g. as a skill for managed agents).
+ *
+ * With `headless` there is no prompt, menu or editor: the workspace is kept,
+ * stdout carries NDJSON events (src/events.js) and a missing token or a
+ * failed first sync exits at once with a code from EXIT (src/commands.js).
+ */
+
+const fs = require("fs-extra");
+const os = require("os");
+const path = require("path");
+
+const cli = require("./cli");
+const watcher = require("./watcher");
+const { syncSite, findUnsyncedFiles, backupFiles, formatPushPlan } = require("../setup-site");
+const { startPreview } = require("./preview");
+const { readLock, describeLock } = require("./lock");
+const { loadConfig, resolveConfig } = require("./config");
+const { logout } = require("./credentials");
+const { EXIT, exitCode } = require("./commands");
+const events = require("./events");
+
+const agentMdContent = fs.readFileSync(path.join(__dirname, "..", "AGENT.md"), "utf-8");
+
+let options = {};
+let VIEWS_DIR = null;
+let ENV = null;
+let TOKEN = null;
+let site = null;
+let preview = null;
+let lastPlan = null;
+let config = null;
+let isShuttingDown = false;
+
+async function cleanupFiles(dir) {
+    if (!dir) return;
+    console.log("🧹 Cleaning up files...");
+    try {
+        await logout(dir);
+        await fs.remove(dir);
+        console.log(`✅ Cleanup complete. Deleted workspace at ${dir}.`);
+    } catch (err) {
+        console.error("❌ Error during cleanup:", err.message);
+    }
+}
+
+/**
+ * Report a fatal error and exit with `code`: an `error` event when headless,
+ * else an emoji line.
+ */
+function fail(prefix, err, code) {
+    const message = err.body || err.message;
+    if (options.headless) {
+        events.emit("error", { command: "watch", message, code: err.code || null, exitCode: code });
+    } else {
+        console.error(prefix, message);
+    }
+    process.exit(code);
+}
+
+async function runSync({ flush = false } = {}) {
+    const result = await syncSite({
+        token: TOKEN,
+        viewsDir: VIEWS_DIR,
+        path: VIEWS_DIR ? undefined : options.path,
+        env: ENV,
+        agentMd: agentMdContent,
+        flush,
+        dryRun: options.dryRun && !flush,
+        command: "sleekcms watch",
+    });
+    VIEWS_DIR = result.viewsDir;
+    site = result.site;
+    if (result.dryRun) {
+        // The watcher also polls; only print a plan when it changed.
+        const plan = formatPushPlan(result.plan);
+        if (plan !== lastPlan) console.log(`\n📋 Dry run — nothing was pushed.\n${plan}`);
+        lastPlan = plan;
+    }
+    return result;
+}
+
+/**
+ * Re-fetch everything in `dir` from the server without silently losing
+ * local work: unsynced files are pushed, backed up or discarded as the user
+ * chooses. `sync(opts)` runs a sync. A failed sync is reported and the
+ * session goes on; returns whether the re-fetch completed.
+ */
+async function refetchWorkspace(dir, sync) {
+    try {
+        let unsynced = await findUnsyncedFiles(dir);
+
+        if (unsynced.length > 0) {
+            const choice = await cli.promptRefetchChoice(unsynced);
+            if (!choice) {
+                console.log("↩️ Re-fetch cancelled.");
+                return false;
+            }
+            if (choice === "push") {
+                await sync();
+                unsynced = await findUnsyncedFiles(dir);
+            }
+            if (choice === "backup" || (choice === "push" && unsynced.length > 0)) {
+                const backupDir = await backupFiles(dir, unsynced);
+                console.log(`💾 Backed up ${unsynced.length} file(s) to ${backupDir}`);
+            }
+        }
+
+        const result = await sync({ flush: true });
+        cli.showRefetchReport(result.refetch);
+        return true;
+    } catch (err) {
+        console.error("❌ Re-fetch failed:", err.body || err.message);
+        return false;
+    }
+}
+
+/**
+ * Resolve the session's token, env, workspace and watch settings from the
+ * flags and the --site profile (see src/config.js). A workspace given by
+ * --dir or the profile is always kept on exit, as if --keep were given.
+ */
+async function initConfig() {
+    try {
+        config = await resolveConfig({
+            site: options.site,
+            dir: options.dir,
+            overrides: { token: options.token, env: options.env, debounce: debounceFlags() },
+            readOnly: !!options.dryRun,
+        });
+    } catch (err) {
+        fail("❌", err, EXIT.ERROR);
+    }
+
+    TOKEN = config.token;
+    if (!TOKEN && !options.headless) TOKEN = await cli.prompt("Enter SleekCMS CLI auth token: ");
+    if (!TOKEN) {
+        const err = new Error("Token is required.");
+        err.code = "ENOTOKEN";
+        fail("❌", err, EXIT.NO_WORKSPACE);
+    }
+    TOKEN = TOKEN.trim();
+    ENV = config.env || (TOKEN.split("-")[2] || "production").toLowerCase();
+
+    if (config.path) {
+        VIEWS_DIR = config.path;
+        options.keep = true;
+    }
+
+    let customPath = options.path;
+    if (customPath && customPath.startsWith("~")) {
+        customPath = path.join(os.homedir(), customPath.slice(1));
+    }
+    options.path = customPath;
+}
+
+/**
+ * Whether the workspace at `dir` may be deleted on exit. Unsynced files
+ * block it until the user pushes (with `push`) or discards them, and a sync
+ * by another process (see src/lock.js) always does; otherwise it is kept
+ * and the next run resumes it.
+ */
+async function confirmCleanup(dir, push) {
+    if (!dir) return false;
+    const lock = await readLock(dir);
+    if (lock) {
+        console.log(`🔒 Workspace is in use by ${describeLock(lock)}; not deleting it.`);
+        return false;
+    }
+    let unsynced = await findUnsyncedFiles(dir);
+    if (unsynced.length === 0) return true;
+
+    const choice = await cli.promptExitChoice(unsynced);
+    if (choice === "discard") return true;
+    if (choice === "push") {
+        try {
+            await push();
+        } catch (err) {
+            console.error("❌ Sync failed:", err.body || err.message);
+        }
+        unsynced = await findUnsyncedFiles(dir);
+        if (unsynced.length === 0) return true;
+        console.log(`⚠️ ${unsynced.length} file(s) could not be pushed (see sync-errors.log).`);
+    }
+    return false;
+}
+
+/**
+ * Watcher debounce from the --debounce flags (see src/watcher.js); the
+ * fast one covers templates and assets.
+ */
+function debounceFlags() {
+    const settings = {};
+    if (options.debounce >= 0) settings.default = options.debounce;
+    if (options.fastDebounce >= 0) settings.templates = settings.assets = options.fastDebounce;
+    if (options.modelDebounce >= 0) settings.models = options.modelDebounce;
+    return settings;
+}
+
+/**
+ * Delete the workspace at `dir` on exit unless `keep` is set or
+ * confirmCleanup() says no; `push` syncs it when the user asks to. Returns
+ * true when it was deleted.
+ */
+async function closeWorkspace(dir, { keep = false, push } = {}) {
+    if (!keep && await confirmCleanup(dir, push)) {
+        await cleanupFiles(dir);
+        return true;
+    }
+    if (dir) console.log(`💾 Workspace kept at ${dir}. Run again with the same token to resume.`);
+    return false;
+}
+
+async function handleExit() {
+    if (isShuttingDown) return;
+    isShuttingDown = true;
+    watcher.setShuttingDown(true);
+    console.log("\n⚠️ Shutting down...");
+
+    await watcher.stopWatching();
+    if (preview) await preview.close();
+
+    await closeWorkspace(VIEWS_DIR, { keep: options.keep, push: () => runSync() });
+
+    events.emit("result", { command: "watch", exitCode: EXIT.OK, workspace: VIEWS_DIR });
+    process.exit(EXIT.OK);
+}
+
+/**
+ * Start the session: sync, then watch until the user exits. `opts` are the
+ * `sleekcms` global options plus the watch flags.
+ */
+async function watch(opts) {
+    options = { ...opts };
+    if (options.headless) {
+        events.setReporter(events.ndjson());
+        console.log = console.error;
+        options.keep = true;
+    }
+    await initConfig();
+
+    try {
+        const result = await runSync();
+        if (!result.isFirstRun) {
+            console.log(`♻️ Resumed existing workspace (pulled ${result.pulled}, pushed ${result.pushed} file(s)).`);
+        }
+    } catch (err) {
+        fail("❌ Sync failed:", err, exitCode(err));
+    }
+
+    // Now that the workspace is known, pick up its sleekcms.config.json.
+    try {
+        config = await resolveConfig({
+            site: options.site,
+            dir: VIEWS_DIR,
+            overrides: { token: TOKEN, env: options.env, debounce: debounceFlags() },
+        });
+    } catch (err) {
+        console.error("❌", err.message);
+    }
+
+    if (options.preview) {
+        const port = options.preview === true ? 4000 : Number(options.preview);
+        try {
+            preview = await startPreview({ viewsDir: VIEWS_DIR, port });
+        } catch (err) {
+            console.error(`❌ Preview server failed to start on port ${port}:`, err.message);
+        }
+    }
+
+    watcher.init({
+        viewsDir: VIEWS_DIR,
+        onSync: runSync,
+        onChange: preview ? () => preview.reload() : null,
+        debounce: config.debounce,
+        loadDebounce: async () =>
+            (await loadConfig({ site: options.site, dir: VIEWS_DIR, overrides: { debounce: debounceFlags() } })).debounce,
+    });
+    watcher.monitorFiles();
+
+    console.log(`\n✅ Ready! Editing session started for site - ${site.name}.`);
+    console.log(`\n📁 Workspace created at: ${VIEWS_DIR}`);
+    if (ENV !== "production") console.log(`🌐 Environment: ${ENV}`);
+    if (preview) console.log(`👁️  Preview: ${preview.url}`);
+    if (options.dryRun) console.log(`📋 Dry run: local changes are never pushed, only listed.`);
+    if (options.keep) console.log(`\n💾 The workspace is kept on exit; run again to resume.`);
+    else console.log(`\n⚠️  Files will be cleaned up on exit (Ctrl+C); unsynced changes are never deleted without asking.`);
+
+    if (!options.headless) {
+        cli.showEditorMenu(VIEWS_DIR, {
+            onExit: handleExit,
+            onRefetch: () => refetchWorkspace(VIEWS_DIR, runSync),
+        }, { editor: config.editor });
+    }
+
+    process.on("SIGINT", async () => {
+        if (isShuttingDown) {
+            // Interrupted while asking about unsynced files: keep everything.
+            console.log(`\n💾 Workspace kept at ${VIEWS_DIR}.`);
+            process.exit(1);
+        }
+        console.log("\n🛑 Caught interrupt signal (Ctrl+C)");
+        await handleExit();
+    });
+
+    process.on("SIGTERM", async () => {
+        console.log("\n🛑 Caught termination signal");
+        await handleExit();
+    });
+}
+
+module.exports = {
+    watch,
+    closeWorkspace,
+    refetchWorkspace,
+};
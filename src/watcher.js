@@ -2,28 +2,71 @@
  * File watching + debounced sync trigger.
  *
  * All push/pull logic lives in sync-site.js. This module only:
- *   - watches the workspace with chokidar
- *   - debounces change events
+ *   - watches the workspace with chokidar, skipping `.sleekignore` matches
+ *   - reloads ignore rules and debounce when `.sleekignore` or
+ *     `sleekcms.config.json` changes
+ *   - debounces change events, per file kind (see DEFAULT_DEBOUNCE)
+ *   - polls periodically so server-side edits are pulled in
  *   - calls back into a provided `onSync` handler that invokes syncSite()
+ *   - calls an optional `onChange` handler on every change (preview reload)
+ *   - while the API is unreachable (a sync fails with `err.offline`), retries
+ *     with backoff instead of polling, until a sync drains the queue
+ *   - reports offline, online and watcher_idle events (src/events.js)
  */
 
 const path = require("path");
 const chokidar = require("chokidar");
+const { IGNORE_FILE, createIgnore, loadIgnore } = require("./ignore");
+const { CONFIG_FILE } = require("./config");
+const { saveGroup } = require("../setup-site");
+const events = require("./events");
 
-const DEBOUNCE_DELAY = 5000;
+// Milliseconds to wait after the last change before syncing. `default`
+// applies to any kind (models, templates, content, assets; see saveGroup)
+// without its own value. With several kinds pending, the longest wins.
+const DEFAULT_DEBOUNCE = { default: 5000 };
+const POLL_INTERVAL = 30000;
+const OFFLINE_RETRY_MIN = 5000;
+const OFFLINE_RETRY_MAX = 60000;
 
 let watcher = null;
+let pollTimer = null;
 let isShuttingDown = false;
 let debounceTimer = null;
 let dirty = false;
 let syncInFlight = false;
+let offline = false;
+let offlineTimer = null;
+let offlineDelay = OFFLINE_RETRY_MIN;
+let offlineQueued = 0;
+let debounce = DEFAULT_DEBOUNCE;
+let pendingDelay = 0;
+let ignored = createIgnore();
+let idle = false;
 
 let viewsDir = null;
 let onSync = null;
+let onChange = null;
+let loadDebounce = null;
 
+/**
+ * `loadDebounce()`, if given, resolves the debounce settings again after
+ * sleekcms.config.json changes (flags still winning over the file).
+ */
 function init(options) {
     viewsDir = options.viewsDir;
-    onSync = options.onSync;
+    onSync = options.onSync || null;
+    onChange = options.onChange || null;
+    loadDebounce = options.loadDebounce || null;
+    debounce = { ...DEFAULT_DEBOUNCE, ...options.debounce };
+}
+
+/**
+ * Debounce for a change to workspace-relative `rel`.
+ */
+function debounceFor(rel, settings = debounce) {
+    const kind = saveGroup(rel);
+    return settings[kind] ?? settings.default ?? DEFAULT_DEBOUNCE.default;
 }
 
 function setShuttingDown(value) {
@@ -35,45 +78,140 @@ async function flush() {
     if (!dirty || isShuttingDown) return;
     if (syncInFlight) {
         // Re-arm to retry after the current sync finishes.
-        debounceTimer = setTimeout(flush, DEBOUNCE_DELAY);
+        debounceTimer = setTimeout(flush, debounce.default);
         return;
     }
     dirty = false;
+    pendingDelay = 0;
     syncInFlight = true;
     try {
         await onSync();
+        if (offline) backOnline();
+        if (!dirty && !idle) {
+            idle = true;
+            events.emit("watcher_idle");
+        }
     } catch (err) {
-        console.error("❌ Sync failed:", err.body || err.message);
+        if (err.offline) goOffline(err);
+        else console.error("❌ Sync failed:", err.body || err.message);
     } finally {
         syncInFlight = false;
     }
 }
 
-function scheduleSync() {
-    if (isShuttingDown) return;
+function goOffline(err) {
+    const queued = err.queued ? err.queued.length : 0;
+    if (!offline) {
+        console.log(`📴 Offline (${err.message}). ${queued} change(s) queued; they will be pushed when the connection is back.`);
+    } else if (queued !== offlineQueued) {
+        console.log(`📴 Still offline — ${queued} change(s) queued.`);
+    }
+    if (!offline) events.emit("offline", { queued });
+    offline = true;
+    offlineQueued = queued;
+    if (offlineTimer) clearTimeout(offlineTimer);
+    offlineTimer = setTimeout(() => {
+        offlineTimer = null;
+        if (isShuttingDown) return;
+        dirty = true;
+        flush();
+    }, offlineDelay);
+    offlineDelay = Math.min(offlineDelay * 2, OFFLINE_RETRY_MAX);
+}
+
+function backOnline() {
+    offline = false;
+    offlineDelay = OFFLINE_RETRY_MIN;
+    if (offlineTimer) {
+        clearTimeout(offlineTimer);
+        offlineTimer = null;
+    }
+    console.log("📶 Back online — queued changes synced.");
+    events.emit("online");
+}
+
+function scheduleSync(filePath) {
+    if (onChange) onChange();
+    if (isShuttingDown || !onSync) return;
     dirty = true;
+    idle = false;
+    pendingDelay = Math.max(pendingDelay, debounceFor(path.relative(viewsDir, filePath).replace(/\\/g, "/")));
     if (debounceTimer) clearTimeout(debounceTimer);
-    debounceTimer = setTimeout(flush, DEBOUNCE_DELAY);
+    debounceTimer = setTimeout(flush, pendingDelay);
+}
+
+async function reloadIgnore() {
+    ignored = await loadIgnore(viewsDir);
+}
+
+function isIgnored(filePath, stats) {
+    const rel = path.relative(viewsDir, filePath).replace(/\\/g, "/");
+    if (!rel || rel === IGNORE_FILE || rel === CONFIG_FILE || rel === "src") return false;
+    return ignored(rel, stats ? stats.isDirectory() : false);
+}
+
+function poll() {
+    // A pending debounce will sync (and pull) anyway; offline retries have
+    // their own timer.
+    if (isShuttingDown || !onSync || debounceTimer || syncInFlight || offline) return;
+    dirty = true;
+    flush();
 }
 
 function watchTargets(rootDir) {
-    return [path.join(rootDir, "src")];
+    return [path.join(rootDir, "src"), path.join(rootDir, IGNORE_FILE), path.join(rootDir, CONFIG_FILE)];
+}
+
+/**
+ * Re-read the settings in workspace root file `name` (.sleekignore or
+ * sleekcms.config.json).
+ */
+async function reloadSettings(name) {
+    await reloadIgnore();
+    if (name !== CONFIG_FILE || !loadDebounce) {
+        console.log(`🙈 Reloaded ignore rules from ${name}`);
+        return;
+    }
+    debounce = { ...DEFAULT_DEBOUNCE, ...(await loadDebounce()) };
+    console.log(`🙈 Reloaded ignore rules and debounce from ${name}`);
+}
+
+function onEvent(filePath) {
+    if (path.dirname(filePath) === viewsDir) {
+        reloadSettings(path.basename(filePath)).catch((err) => console.error("❌", err.message));
+        return;
+    }
+    scheduleSync(filePath);
 }
 
-function monitorFiles() {
+async function monitorFiles() {
     const watchedFolder = path.join(viewsDir, "src");
     console.log(`👀 Watching folder: ${watchedFolder}`);
+    await reloadIgnore();
 
     watcher = chokidar.watch(watchTargets(viewsDir), {
         persistent: true,
         ignoreInitial: true,
+        ignored: isIgnored,
     })
-        .on("change", (filePath) => { scheduleSync(); })
-        .on("add", (filePath) => { scheduleSync(); })
-        .on("unlink", (filePath) => { scheduleSync(); });
+        .on("change", onEvent)
+        .on("add", onEvent)
+        .on("unlink", onEvent);
+
+    pollTimer = setInterval(poll, POLL_INTERVAL);
+    idle = true;
+    events.emit("watcher_idle");
 }
 
 async function stopWatching() {
+    if (offlineTimer) {
+        clearTimeout(offlineTimer);
+        offlineTimer = null;
+    }
+    if (pollTimer) {
+        clearInterval(pollTimer);
+        pollTimer = null;
+    }
     if (watcher) {
         await watcher.close();
         watcher = null;
@@ -83,6 +221,8 @@ async function stopWatching() {
 module.exports = {
     init,
     setShuttingDown,
+    debounceFor,
+    reloadSettings,
     monitorFiles,
     stopWatching,
 };
@@ -0,0 +1,26 @@
+#!/usr/bin/env node
+
+/**
+ * SleekCMS workspace status — shim for `sleekcms status` (src/commands.js).
+ *
+ * Lists files that are new, modified or deleted since the last sync, and
+ * files that failed to push (sync-errors.json). Does not contact the server
+ * and works while another process holds the workspace lock. Changes queued
+ * while the API was unreachable are reported too.
+ *
+ * Usage: status-site [-d <workspace-dir>] [--json | --vscode]
+ *   -d defaults to the current directory.
+ */
+
+const { program } = require("commander");
+const { runCommand } = require("./src/commands");
+
+program
+    .name("status-site")
+    .description("Show local changes that have not been synced to SleekCMS yet. Same as `sleekcms status`.")
+    .option("-d, --dir <dir>", "Workspace directory (default: current directory)")
+    .option("--json", "Print machine-readable JSON")
+    .option("--vscode", "Print only failing files, as path:line:column: error: message lines (VS Code $gcc problem matcher)")
+    .parse(process.argv);
+
+runCommand("status", program.opts());
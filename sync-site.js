@@ -1,48 +1,38 @@
 #!/usr/bin/env node
 
 /**
- * SleekCMS site sync — thin wrapper.
+ * SleekCMS site sync — shim for `sleekcms sync` (src/commands.js).
  *
- * Reads the auth token from <workspace>/.cache/token (written by setup-site)
- * and pushes local changes to the server.
+ * Reads the auth token from the resolved config (src/config.js: --site
+ * profile, sleekcms.config.json, else the token setup-site stored for the
+ * workspace, see src/credentials.js), pulls server-side edits and pushes
+ * local changes.
  *
- * Usage: sync-site [-d <workspace-dir>]
+ * Usage: sync-site [-d <workspace-dir> | -s <site>] [--dry-run] [--json | --headless] [--chunk-size <kb>] [--vscode]
  *   -d defaults to the current directory.
+ *   --dry-run prints what would be pushed; nothing is pulled or pushed and
+ *   nothing in the workspace is written. It still reads the site from the
+ *   server.
+ * If another process is syncing the same workspace, waits for it (up to
+ * 30s) instead of racing it.
  *
- * To initialize a new workspace for the first time, run setup-site instead:
- *   setup-site -t <token> [-d <parent-dir>]
+ * To initialize a new workspace for the first time, run `sleekcms init`
+ * (or setup-site) instead.
  */
 
-const fs = require("fs-extra");
-const path = require("path");
 const { program } = require("commander");
-const { syncSite } = require("./setup-site");
+const { runCommand } = require("./src/commands");
 
 program
     .name("sync-site")
-    .description("Push local changes to SleekCMS. Reads auth token from <workspace>/.cache/token.")
-    .option("-d, --dir <dir>", "Workspace directory (default: current directory)")
+    .description("Pull server edits and push local changes to SleekCMS. Same as `sleekcms sync`.")
+    .option("-d, --dir <dir>", "Workspace directory (default: the --site workspace, else the current directory)")
+    .option("-s, --site <name>", "Use a named site from ~/.sleekcms/profiles.json")
+    .option("--dry-run", "Show what would be pushed, grouped by models, templates, content and assets, without pushing")
+    .option("--json", "Print the result (with --dry-run, the plan) as JSON")
+    .option("--headless", "Never prompt; print NDJSON events on stdout (for CI and agents)")
+    .option("--chunk-size <kb>", "Largest /save_files request in KB (default: 1024)", Number)
+    .option("--vscode", "After syncing, print files that failed as path:line:column: error: message lines (VS Code $gcc problem matcher)")
     .parse(process.argv);
 
-const opts = program.opts();
-const workspaceDir = path.resolve(opts.dir || ".");
-const tokenPath = path.join(workspaceDir, ".cache", "token");
-
-fs.readFile(tokenPath, "utf-8")
-    .then(raw => {
-        const token = raw.trim();
-        if (!token) throw new Error(`Token file is empty: ${tokenPath}`);
-        return syncSite({ token, viewsDir: workspaceDir });
-    })
-    .then(({ viewsDir, site, pushed }) => {
-        console.log(`\n✅ Sync complete for "${site.name}" at ${viewsDir} (pushed ${pushed} file(s)).`);
-    })
-    .catch(err => {
-        if (err.code === "ENOENT") {
-            console.error(`❌ Workspace not initialized — run: setup-site -t <token>`);
-        } else {
-            console.error("❌", err.body || err.message);
-        }
-        process.exit(1);
-    });
-
+runCommand("sync", program.opts());